@@ -1,72 +1,3 @@
-import NextAuth from 'next-auth';
-import GoogleProvider from 'next-auth/providers/google';
+import { authHandler } from '../../../../lib/auth';
 
-export const authOptions = {
-  providers: [
-    GoogleProvider({
-      clientId: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      authorization: {
-        params: {
-          scope: 'https://www.googleapis.com/auth/calendar.readonly https://www.googleapis.com/auth/calendar.events openid email profile',
-          prompt: "consent",
-          access_type: "offline",
-          response_type: "code"
-        }
-      }
-    }),
-  ],
-  callbacks: {
-    async jwt({ token, account, profile }) {
-      // Persist the OAuth access_token and refresh_token to the token right after signin
-      if (account) {
-        token.accessToken = account.access_token;
-        token.refreshToken = account.refresh_token;
-        token.accessTokenExpires = account.expires_at * 1000;
-      }
-      
-      // If token has expired, try to refresh it
-      if (token.accessTokenExpires && Date.now() > token.accessTokenExpires) {
-        try {
-          const response = await fetch("https://oauth2.googleapis.com/token", {
-            headers: { "Content-Type": "application/x-www-form-urlencoded" },
-            body: new URLSearchParams({
-              client_id: process.env.GOOGLE_CLIENT_ID,
-              client_secret: process.env.GOOGLE_CLIENT_SECRET,
-              grant_type: "refresh_token",
-              refresh_token: token.refreshToken,
-            }),
-            method: "POST",
-          });
-
-          const tokens = await response.json();
-
-          if (!response.ok) throw tokens;
-
-          return {
-            ...token,
-            accessToken: tokens.access_token,
-            accessTokenExpires: Date.now() + tokens.expires_in * 1000,
-            refreshToken: tokens.refresh_token ?? token.refreshToken,
-          };
-        } catch (error) {
-          console.error("Error refreshing access token", error);
-          return { ...token, error: "RefreshAccessTokenError" };
-        }
-      }
-      return token;
-    },
-    async session({ session, token }) {
-      // Send properties to the client
-      session.accessToken = token.accessToken;
-      session.error = token.error;
-      session.user.id = token.sub;
-      return session;
-    },
-  },
-  secret: process.env.NEXTAUTH_SECRET,
-  debug: process.env.NODE_ENV === 'development',
-};
-
-const handler = NextAuth(authOptions);
-export { handler as GET, handler as POST };
\ No newline at end of file
+export { authHandler as GET, authHandler as POST };
@@ -0,0 +1,31 @@
+import { getOfflineCalendarClient } from '../../../../../lib/googleCalendar';
+import { guestBookingSchema } from '../../../../../lib/validation';
+import { assertLinkActive, bookViaLink, getBookingLinkStore, linkErrorResponse } from '../../../../../lib/bookingLinks';
+import { errorResponse, jsonResponse, parseBody } from '../../../../../lib/apiErrors';
+
+// Public: a guest books one of the link's open slots
+export async function POST(req, { params }) {
+  try {
+    const { id } = await params;
+    const { data, response } = await parseBody(req, guestBookingSchema);
+    if (response) {
+      return response;
+    }
+
+    const store = getBookingLinkStore();
+    const link = await store.get(id);
+    assertLinkActive(link);
+
+    const booking = await bookViaLink(store, id, {
+      slot: data.slot,
+      guest: { name: data.name, email: data.email },
+      calendar: getOfflineCalendarClient(link.owner.refreshToken)
+    });
+
+    return jsonResponse({ booking }, 201);
+
+  } catch (error) {
+    console.error('Error booking via link:', error);
+    return linkErrorResponse(error) || errorResponse(error);
+  }
+}
@@ -0,0 +1,25 @@
+import { getOfflineCalendarClient } from '../../../../lib/googleCalendar';
+import {
+  assertLinkActive,
+  findLinkAvailability,
+  getBookingLinkStore,
+  linkErrorResponse,
+  toPublicLink
+} from '../../../../lib/bookingLinks';
+import { errorResponse, jsonResponse } from '../../../../lib/apiErrors';
+
+// Public: the link's details and its currently open slots
+export async function GET(req, { params }) {
+  try {
+    const { id } = await params;
+    const link = await getBookingLinkStore().get(id);
+    assertLinkActive(link);
+
+    const slots = await findLinkAvailability(link, getOfflineCalendarClient(link.owner.refreshToken));
+    return jsonResponse({ link: toPublicLink(link), slots });
+
+  } catch (error) {
+    console.error('Error loading booking link:', error);
+    return linkErrorResponse(error) || errorResponse(error);
+  }
+}
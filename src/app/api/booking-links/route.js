@@ -0,0 +1,72 @@
+import { getToken } from 'next-auth/jwt';
+import { authOptions, getSession, requireCalendarWrite } from '../../../lib/auth';
+import { bookingLinkSchema } from '../../../lib/validation';
+import { getCalendarClient } from '../../../lib/googleCalendar';
+import {
+  assertLinkAttendeesReadable,
+  createBookingLink,
+  getBookingLinkStore,
+  toOwnerLink
+} from '../../../lib/bookingLinks';
+import { errorResponse, jsonResponse, parseBody } from '../../../lib/apiErrors';
+
+// Lists the signed-in user's booking links
+export async function GET() {
+  try {
+    const session = await getSession();
+    if (!session?.accessToken) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const links = await getBookingLinkStore().list({ ownerEmail: session.user?.email });
+    return jsonResponse({ links: links.map(link => toOwnerLink(link)) });
+
+  } catch (error) {
+    console.error('Error listing booking links:', error);
+    return errorResponse(error);
+  }
+}
+
+// Creates a booking link. The owner's refresh token is stored with it so the
+// public page can read and book on their calendar while they're signed out.
+export async function POST(req) {
+  try {
+    const session = await getSession();
+    if (!session?.accessToken) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+    requireCalendarWrite(session);
+
+    const token = await getToken({ req, secret: authOptions.secret });
+    if (!token?.refreshToken) {
+      return jsonResponse(
+        {
+          error: 'Please sign in again so booking links can reach your calendar while you are away.',
+          code: 'offline_access_required'
+        },
+        401
+      );
+    }
+
+    const { data, response } = await parseBody(req, bookingLinkSchema);
+    if (response) {
+      return response;
+    }
+    await assertLinkAttendeesReadable(data, getCalendarClient(session));
+
+    const link = await createBookingLink(getBookingLinkStore(), {
+      owner: {
+        email: session.user.email,
+        name: session.user.name,
+        refreshToken: token.refreshToken
+      },
+      settings: data
+    });
+
+    return jsonResponse({ link: toOwnerLink(link), url: `/book/${link.id}` }, 201);
+
+  } catch (error) {
+    console.error('Error creating booking link:', error);
+    return errorResponse(error);
+  }
+}
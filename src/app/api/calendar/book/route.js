@@ -0,0 +1,77 @@
+import { getSession, requireCalendarWrite } from '../../../../lib/auth';
+import { getCalendarClient } from '../../../../lib/googleCalendar';
+import { forgetFreeBusy, getFreeBusyCache } from '../../../../lib/calendarProviders/cache';
+import { getSearchHistoryStore, markSearchBooked } from '../../../../lib/searchHistory';
+import { bookingSchema } from '../../../../lib/validation';
+import { toRRule } from '../../../../lib/recurrence';
+import { errorResponse, jsonResponse, parseBody } from '../../../../lib/apiErrors';
+
+export async function POST(req) {
+  try {
+    const session = await getSession();
+    if (session?.microsoftAccessToken && !session.accessToken) {
+      return jsonResponse(
+        { error: 'Booking needs a connected Google account.', code: 'google_required' },
+        400
+      );
+    }
+    if (!session?.accessToken) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+    requireCalendarWrite(session);
+
+    const { data, response } = await parseBody(req, bookingSchema);
+    if (response) {
+      return response;
+    }
+
+    const { slot, title, description, attendees, timezone, recurrence, room, searchId } = data;
+    const calendar = getCalendarClient(session);
+
+    // Insert on the organizer's primary calendar and email invites to everyone
+    const event = await calendar.events.insert({
+      calendarId: 'primary',
+      sendUpdates: 'all',
+      requestBody: {
+        summary: title || 'Meeting',
+        description: description || '',
+        ...(room && { location: [room.name, room.location].filter(Boolean).join(', ') || room.email }),
+        start: { dateTime: slot.start, timeZone: timezone },
+        end: { dateTime: slot.end, timeZone: timezone },
+        ...(recurrence && { recurrence: [toRRule(recurrence)] }),
+        attendees: [
+          ...attendees.map(attendee => ({
+            email: attendee.email,
+            optional: Boolean(attendee.optional)
+          })),
+          // Inviting the room's calendar is what reserves it
+          ...(room ? [{ email: room.email, resource: true }] : [])
+        ]
+      }
+    });
+
+    // The next search should see the new meeting
+    await forgetFreeBusy(getFreeBusyCache(), session.user.email, [
+      'primary',
+      ...attendees.map(attendee => attendee.email),
+      ...(room ? [room.email] : [])
+    ]);
+
+    if (searchId) {
+      await markSearchBooked(getSearchHistoryStore(), searchId, {
+        ownerEmail: session.user.email,
+        slot,
+        htmlLink: event.data.htmlLink
+      }).catch(error => console.error('Error updating search history:', error));
+    }
+
+    return jsonResponse({
+      eventId: event.data.id,
+      htmlLink: event.data.htmlLink,
+    });
+
+  } catch (error) {
+    console.error('Error booking calendar event:', error);
+    return errorResponse(error, { calendarId: 'primary' });
+  }
+}
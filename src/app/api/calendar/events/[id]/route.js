@@ -0,0 +1,56 @@
+import { getSession, requireCalendarWrite } from '../../../../../lib/auth';
+import { getCalendarClient } from '../../../../../lib/googleCalendar';
+import { forgetFreeBusy, getFreeBusyCache } from '../../../../../lib/calendarProviders/cache';
+import { movePatch, rescheduleDetails } from '../../../../../lib/reschedule';
+import { moveEventSchema } from '../../../../../lib/validation';
+import { errorResponse, jsonResponse, parseBody } from '../../../../../lib/apiErrors';
+
+// Moves an event on the organizer's primary calendar to a new slot and emails
+// the update to its attendees
+export async function PATCH(req, { params }) {
+  try {
+    const session = await getSession();
+    if (session?.microsoftAccessToken && !session.accessToken) {
+      return jsonResponse(
+        { error: 'Rescheduling needs a connected Google account.', code: 'google_required' },
+        400
+      );
+    }
+    if (!session?.accessToken) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+    requireCalendarWrite(session);
+
+    const { data, response } = await parseBody(req, moveEventSchema);
+    if (response) {
+      return response;
+    }
+
+    const { id } = await params;
+    const calendar = getCalendarClient(session);
+    const { data: event } = await calendar.events.get({ calendarId: 'primary', eventId: id });
+    const details = rescheduleDetails(event);
+
+    const moved = await calendar.events.patch({
+      calendarId: 'primary',
+      eventId: id,
+      sendUpdates: 'all',
+      requestBody: movePatch(details, data.slot, data.timezone)
+    });
+
+    await forgetFreeBusy(getFreeBusyCache(), session.user.email, [
+      'primary',
+      ...details.attendees.map(attendee => attendee.email),
+      ...(details.room ? [details.room.email] : [])
+    ]);
+
+    return jsonResponse({
+      eventId: moved.data.id,
+      htmlLink: moved.data.htmlLink,
+    });
+
+  } catch (error) {
+    console.error('Error moving calendar event:', error);
+    return errorResponse(error, { calendarId: 'primary' });
+  }
+}
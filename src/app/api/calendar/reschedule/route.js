@@ -0,0 +1,66 @@
+import { getSession, requireCalendarWrite } from '../../../../lib/auth';
+import { getCalendarClient } from '../../../../lib/googleCalendar';
+import { getCalendarProvider } from '../../../../lib/calendarProviders/session';
+import { withTimeExcluded } from '../../../../lib/calendarProviders/exclude';
+import { CalendarService } from '../../../../lib/calendarService';
+import { parseEventId, rescheduleDetails } from '../../../../lib/reschedule';
+import { rescheduleSearchSchema } from '../../../../lib/validation';
+import { errorResponse, jsonResponse, parseBody } from '../../../../lib/apiErrors';
+
+// New times for an existing event on the organizer's Google calendar, with
+// the event's current slot counted as free for everyone on it
+export async function POST(req) {
+  try {
+    const session = await getSession();
+    if (session?.microsoftAccessToken && !session.accessToken) {
+      return jsonResponse(
+        { error: 'Rescheduling needs a connected Google account.', code: 'google_required' },
+        400
+      );
+    }
+    if (!session?.accessToken) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+    // Reading the event needs more than the free/busy scope from sign-in,
+    // and moving it needs write access anyway
+    requireCalendarWrite(session);
+
+    const { data, response } = await parseBody(req, rescheduleSearchSchema);
+    if (response) {
+      return response;
+    }
+
+    const eventId = parseEventId(data.event);
+    const { data: event } = await getCalendarClient(session).events.get({ calendarId: 'primary', eventId });
+    const details = rescheduleDetails(event);
+
+    const attendees = details.attendees.map(({ email, optional }) => ({ email, optional }));
+    const provider = withTimeExcluded(getCalendarProvider(session, { attendees }), {
+      start: details.start,
+      end: details.end,
+      calendarIds: ['primary', ...attendees.map(attendee => attendee.email), ...(details.room ? [details.room.email] : [])]
+    });
+
+    const { suggestions, bestEffort, calendarStatus, roomStatus } = await new CalendarService(provider)
+      .findOptimalMeetingTimes({
+        organizer: session.user?.email,
+        attendees,
+        durationMinutes: details.durationMinutes,
+        searchRange: data.searchRange,
+        startDate: data.startDate,
+        endDate: data.endDate,
+        maxResults: data.maxResults,
+        // Keep the event's room, if it has one
+        rooms: details.room ? [details.room] : undefined,
+        preferences: { ...data.preferences, timezone: data.preferences.timezone || details.timezone }
+      });
+
+    return jsonResponse({ event: details, suggestions, bestEffort, calendarStatus, roomStatus });
+
+  } catch (error) {
+    console.error('Error finding new times for event:', error);
+    // Reading the event goes to the primary calendar; a refused free/busy
+    // query names its own calendar
+    return errorResponse(error, { calendarId: 'primary' });
+  }
+}
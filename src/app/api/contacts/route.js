@@ -0,0 +1,30 @@
+import { canWriteCalendar, getSession } from '../../../lib/auth';
+import { fetchPeople } from '../../../lib/contacts';
+import { getCalendarClient, getPeopleClient } from '../../../lib/googleCalendar';
+import { errorResponse, jsonResponse } from '../../../lib/apiErrors';
+
+// People to suggest in the attendee picker: Google contacts and recent
+// invitees. Microsoft-only sessions get an empty list.
+export async function GET() {
+  try {
+    const session = await getSession();
+    if (!session?.accessToken && !session?.microsoftAccessToken) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+    if (!session.accessToken) {
+      return jsonResponse({ people: [] });
+    }
+
+    const people = await fetchPeople({
+      people: getPeopleClient(session),
+      // Past events can only be read once calendar.events is granted
+      calendar: canWriteCalendar(session) ? getCalendarClient(session) : undefined,
+      selfEmail: session.user?.email
+    });
+    return jsonResponse({ people }, 200, { 'Cache-Control': 'private, max-age=300' });
+
+  } catch (error) {
+    console.error('Error loading contacts:', error);
+    return errorResponse(error);
+  }
+}
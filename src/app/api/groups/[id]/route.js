@@ -0,0 +1,47 @@
+import { getSession } from '../../../../lib/auth';
+import { attendeeGroupSchema } from '../../../../lib/validation';
+import { deleteGroup, getAttendeeGroupStore, updateGroup } from '../../../../lib/attendeeGroups';
+import { errorResponse, jsonResponse, parseBody } from '../../../../lib/apiErrors';
+
+// Renames a group and/or replaces its members
+export async function PATCH(req, { params }) {
+  try {
+    const session = await getSession();
+    if (!session?.user?.email) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const { data, response } = await parseBody(req, attendeeGroupSchema.partial());
+    if (response) {
+      return response;
+    }
+
+    const { id } = await params;
+    const group = await updateGroup(getAttendeeGroupStore(), id, {
+      ownerEmail: session.user.email,
+      changes: data
+    });
+    return jsonResponse({ group });
+
+  } catch (error) {
+    console.error('Error updating attendee group:', error);
+    return errorResponse(error);
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    const session = await getSession();
+    if (!session?.user?.email) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const { id } = await params;
+    await deleteGroup(getAttendeeGroupStore(), id, { ownerEmail: session.user.email });
+    return new Response(null, { status: 204 });
+
+  } catch (error) {
+    console.error('Error deleting attendee group:', error);
+    return errorResponse(error);
+  }
+}
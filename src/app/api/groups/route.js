@@ -0,0 +1,45 @@
+import { getSession } from '../../../lib/auth';
+import { attendeeGroupSchema } from '../../../lib/validation';
+import { createGroup, getAttendeeGroupStore, listGroups } from '../../../lib/attendeeGroups';
+import { errorResponse, jsonResponse, parseBody } from '../../../lib/apiErrors';
+
+// Lists the signed-in user's saved attendee groups
+export async function GET() {
+  try {
+    const session = await getSession();
+    if (!session?.user?.email) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const groups = await listGroups(getAttendeeGroupStore(), session.user.email);
+    return jsonResponse({ groups });
+
+  } catch (error) {
+    console.error('Error listing attendee groups:', error);
+    return errorResponse(error);
+  }
+}
+
+export async function POST(req) {
+  try {
+    const session = await getSession();
+    if (!session?.user?.email) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const { data, response } = await parseBody(req, attendeeGroupSchema);
+    if (response) {
+      return response;
+    }
+
+    const group = await createGroup(getAttendeeGroupStore(), {
+      ownerEmail: session.user.email,
+      group: data
+    });
+    return jsonResponse({ group }, 201);
+
+  } catch (error) {
+    console.error('Error creating attendee group:', error);
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,20 @@
+import { getSession } from '../../../../lib/auth';
+import { deleteSearch, getSearchHistoryStore } from '../../../../lib/searchHistory';
+import { errorResponse, jsonResponse } from '../../../../lib/apiErrors';
+
+export async function DELETE(req, { params }) {
+  try {
+    const session = await getSession();
+    if (!session?.user?.email) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const { id } = await params;
+    await deleteSearch(getSearchHistoryStore(), id, { ownerEmail: session.user.email });
+    return new Response(null, { status: 204 });
+
+  } catch (error) {
+    console.error('Error deleting search from history:', error);
+    return errorResponse(error);
+  }
+}
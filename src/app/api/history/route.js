@@ -0,0 +1,20 @@
+import { getSession } from '../../../lib/auth';
+import { getSearchHistoryStore, listSearches } from '../../../lib/searchHistory';
+import { errorResponse, jsonResponse } from '../../../lib/apiErrors';
+
+// The signed-in user's past searches, newest first
+export async function GET() {
+  try {
+    const session = await getSession();
+    if (!session?.user?.email) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const searches = await listSearches(getSearchHistoryStore(), session.user.email);
+    return jsonResponse({ searches });
+
+  } catch (error) {
+    console.error('Error listing search history:', error);
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,47 @@
+import { getSession } from '../../../../lib/auth';
+import { searchPresetSchema } from '../../../../lib/validation';
+import { deletePreset, getPresetStore, updatePreset } from '../../../../lib/searchHistory';
+import { errorResponse, jsonResponse, parseBody } from '../../../../lib/apiErrors';
+
+// Renames a preset and/or replaces its settings
+export async function PATCH(req, { params }) {
+  try {
+    const session = await getSession();
+    if (!session?.user?.email) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const { data, response } = await parseBody(req, searchPresetSchema.partial());
+    if (response) {
+      return response;
+    }
+
+    const { id } = await params;
+    const preset = await updatePreset(getPresetStore(), id, {
+      ownerEmail: session.user.email,
+      changes: data
+    });
+    return jsonResponse({ preset });
+
+  } catch (error) {
+    console.error('Error updating search preset:', error);
+    return errorResponse(error);
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    const session = await getSession();
+    if (!session?.user?.email) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const { id } = await params;
+    await deletePreset(getPresetStore(), id, { ownerEmail: session.user.email });
+    return new Response(null, { status: 204 });
+
+  } catch (error) {
+    console.error('Error deleting search preset:', error);
+    return errorResponse(error);
+  }
+}
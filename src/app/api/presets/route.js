@@ -0,0 +1,45 @@
+import { getSession } from '../../../lib/auth';
+import { searchPresetSchema } from '../../../lib/validation';
+import { createPreset, getPresetStore, listPresets } from '../../../lib/searchHistory';
+import { errorResponse, jsonResponse, parseBody } from '../../../lib/apiErrors';
+
+// Lists the signed-in user's saved search presets
+export async function GET() {
+  try {
+    const session = await getSession();
+    if (!session?.user?.email) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const presets = await listPresets(getPresetStore(), session.user.email);
+    return jsonResponse({ presets });
+
+  } catch (error) {
+    console.error('Error listing search presets:', error);
+    return errorResponse(error);
+  }
+}
+
+export async function POST(req) {
+  try {
+    const session = await getSession();
+    if (!session?.user?.email) {
+      return jsonResponse({ error: 'Unauthorized', code: 'unauthorized' }, 401);
+    }
+
+    const { data, response } = await parseBody(req, searchPresetSchema);
+    if (response) {
+      return response;
+    }
+
+    const preset = await createPreset(getPresetStore(), {
+      ownerEmail: session.user.email,
+      preset: data
+    });
+    return jsonResponse({ preset }, 201);
+
+  } catch (error) {
+    console.error('Error creating search preset:', error);
+    return errorResponse(error);
+  }
+}
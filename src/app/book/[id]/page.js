@@ -0,0 +1,189 @@
+'use client';
+
+import { useParams } from 'next/navigation';
+import { useEffect, useState } from 'react';
+
+// Groups slots under a heading per day in the guest's own time zone
+function groupByDay(slots) {
+  const days = new Map();
+  for (const slot of slots) {
+    const day = new Date(slot.start).toLocaleDateString([], {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+    });
+    days.set(day, [...(days.get(day) || []), slot]);
+  }
+  return [...days.entries()];
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+export default function BookingLinkPage() {
+  const { id } = useParams();
+  const [link, setLink] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [booking, setBooking] = useState(false);
+  const [booked, setBooked] = useState(null);
+
+  const loadAvailability = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`/api/booking-links/${id}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Request failed (status ${response.status})`);
+      }
+      setLink(data.link);
+      setSlots(data.slots);
+      setError('');
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadAvailability();
+  }, [id]);
+
+  const handleBook = async () => {
+    setBooking(true);
+    setError('');
+    setFieldErrors({});
+
+    try {
+      const response = await fetch(`/api/booking-links/${id}/book`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ slot: { start: selected.start }, name, email }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        if (data.issues) {
+          setFieldErrors(Object.fromEntries(data.issues.map(issue => [issue.path, issue.message])));
+        }
+        if (data.code === 'slot_unavailable') {
+          setSelected(null);
+          loadAvailability();
+        }
+        throw new Error(data.code === 'invalid_request' ? 'Please fix the highlighted fields.' : data.error);
+      }
+
+      setBooked(data.booking);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBooking(false);
+    }
+  };
+
+  if (loading && !link) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-2xl mx-auto px-4">
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          {!link ? (
+            <p className="text-red-600">{error}</p>
+          ) : booked ? (
+            <div className="space-y-2">
+              <h1 className="text-2xl font-bold">You're booked</h1>
+              <p className="text-gray-700">
+                {link.title} with {link.ownerName} on {new Date(booked.start).toLocaleDateString()} at{' '}
+                {formatTime(booked.start)} – {formatTime(booked.end)}.
+              </p>
+              <p className="text-sm text-gray-600">A calendar invite is on its way to {email}.</p>
+            </div>
+          ) : (
+            <div className="space-y-8">
+              <div>
+                <h1 className="text-3xl font-bold">{link.title}</h1>
+                <p className="mt-2 text-gray-600">
+                  {link.durationMinutes} minutes with {link.ownerName}. Times are shown in your time zone.
+                </p>
+              </div>
+
+              {error && <p className="text-sm text-red-600">{error}</p>}
+
+              {slots.length === 0 ? (
+                <p className="text-gray-600">No times are available right now. Please check back later.</p>
+              ) : (
+                <div className="space-y-4">
+                  {groupByDay(slots).map(([day, daySlots]) => (
+                    <div key={day}>
+                      <h2 className="text-sm font-medium text-gray-700 mb-2">{day}</h2>
+                      <div className="flex flex-wrap gap-2">
+                        {daySlots.map(slot => (
+                          <button
+                            key={slot.start}
+                            className={`px-3 py-1 text-sm rounded-md border transition-colors ${
+                              selected?.start === slot.start
+                                ? 'bg-blue-500 text-white border-blue-500'
+                                : 'border-gray-300 hover:border-blue-500'
+                            }`}
+                            onClick={() => setSelected(slot)}
+                          >
+                            {formatTime(slot.start)}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {selected && (
+                <div className="space-y-3">
+                  <input
+                    type="text"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="Your name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                  />
+                  {fieldErrors.name && <p className="text-sm text-red-600">{fieldErrors.name}</p>}
+                  <input
+                    type="email"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="Your email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                  />
+                  {fieldErrors.email && <p className="text-sm text-red-600">{fieldErrors.email}</p>}
+                  <button
+                    className="w-full bg-blue-500 text-white px-4 py-3 rounded-md hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={handleBook}
+                    disabled={booking || !name.trim() || !email.trim()}
+                  >
+                    {booking
+                      ? 'Booking...'
+                      : `Book ${new Date(selected.start).toLocaleDateString()} at ${formatTime(selected.start)}`}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
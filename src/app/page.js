@@ -1,105 +1,43 @@
 'use client';
 
-import { useSession, signIn } from 'next-auth/react';
-import { useState } from 'react';
+import { useSession, signIn, getProviders } from 'next-auth/react';
+import { useEffect, useState } from 'react';
 import SignOutButton from '../components/SignOutButton';
+import MeetingScheduler from '../components/MeetingScheduler';
+
+const PROVIDER_LABELS = {
+  google: { signInId: 'google', label: 'Google' },
+  microsoft: { signInId: 'azure-ad', label: 'Microsoft 365' },
+};
 
 export default function Home() {
   const { data: session, status } = useSession();
-  const [attendees, setAttendees] = useState('');
-  const [searchRange, setSearchRange] = useState('week');
-  const [duration, setDuration] = useState('30');
-  const [noFridays, setNoFridays] = useState(false);
-  const [loading, setLoading] = useState(false);
-  const [results, setResults] = useState(null);
-  const [randomPoem, setRandomPoem] = useState('');
-  const [error, setError] = useState('');
-
-  const handleSubmit = async () => {
-    setLoading(true);
-    setError('');
-    
-    try {
-      console.log('Starting handleSubmit with:', {
-        attendees,
-        searchRange,
-        duration,
-        noFridays
-      });
-
-      const emailList = attendees
-        .split(/[,;\s\n]+/)
-        .map(email => email.trim())
-        .filter(email => email.length > 0);
-
-      console.log('Processed email list:', emailList);
-
-      if (emailList.length === 0) {
-        setError('Please enter at least one email address');
-        setLoading(false);
-        return;
-      }
-
-      const requestBody = {
-        attendees: emailList,
-        searchRange,
-        duration: parseInt(duration),
-        preferences: {
-          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-          noFridays,
-          workingHours: {
-            start: 9,
-            end: 17,
-          }
-        }
-      };
-
-      console.log('Sending request with body:', requestBody);
-
-      const response = await fetch('/api/calendar', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      });
-
-      console.log('Response status:', response.status);
-
-      const rawResponse = await response.text();
-      console.log('Raw response:', rawResponse);
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}, body: ${rawResponse}`);
-      }
-
-      let data;
-      try {
-        data = JSON.parse(rawResponse);
-      } catch (e) {
-        console.error('Error parsing response:', e);
-        throw new Error('Invalid response format from server');
-      }
-
-      console.log('Processed response data:', data);
-
-      if (data.error) {
-        throw new Error(data.error);
-      }
-
-      setResults(data.suggestions);
-      setError('');
-    } catch (error) {
-      console.error('Main error:', {
-        message: error.message,
-        name: error.name,
-        stack: error.stack
-      });
-      setError(`Error: ${error.message}`);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const [authProviders, setAuthProviders] = useState({});
+  const [signInAgain, setSignInAgain] = useState(null);
+
+  useEffect(() => {
+    getProviders().then(providers => setAuthProviders(providers || {}));
+  }, []);
+
+  // Google signed us in without a refresh token; going through the consent
+  // screen gets one. Only tried once per tab, after that the banner asks.
+  useEffect(() => {
+    if (session?.error !== 'MissingRefreshToken' || sessionStorage.getItem('consentRequested')) return;
+    sessionStorage.setItem('consentRequested', 'true');
+    signIn('google', { callbackUrl: '/' }, { prompt: 'consent' });
+  }, [session?.error]);
+
+  // A refresh that failed in the background shows up on the session itself
+  const reauthProvider = signInAgain
+    || (['RefreshAccessTokenError', 'MissingRefreshToken'].includes(session?.error)
+      && (session.errorProvider === 'microsoft' ? 'azure-ad' : 'google'));
+
+  // Calendar systems that are configured but not yet connected
+  const unconnectedProviders = Object.entries(PROVIDER_LABELS)
+    .filter(([name, provider]) =>
+      authProviders[provider.signInId] && !session?.connectedProviders?.includes(name)
+    )
+    .map(([, provider]) => provider);
 
   if (status === "loading") {
     return (
@@ -120,6 +58,14 @@ export default function Home() {
           >
             Sign in with Google
           </button>
+          {authProviders['azure-ad'] && (
+            <button
+              onClick={() => signIn('azure-ad', { callbackUrl: '/' })}
+              className="mt-3 w-full border border-blue-500 text-blue-600 px-4 py-2 rounded-md hover:bg-blue-50 transition-colors"
+            >
+              Sign in with Microsoft 365
+            </button>
+          )}
         </div>
       </div>
     );
@@ -140,95 +86,31 @@ export default function Home() {
               </p>
               <SignOutButton />
             </div>
-          </div>
-
-          <div className="space-y-8">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Attendees' Emails
-              </label>
-              <textarea
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
-                rows="3"
-                placeholder="Paste email addresses (separated by commas, spaces, or new lines)"
-                value={attendees}
-                onChange={(e) => setAttendees(e.target.value)}
-              />
-              {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
-            </div>
-
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Available Times For
-                </label>
-                <select
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
-                  value={searchRange}
-                  onChange={(e) => setSearchRange(e.target.value)}
+            {reauthProvider && (
+              <div className="mt-3 p-3 flex items-center justify-between gap-3 text-sm text-red-800 bg-red-50 rounded-md">
+                <span>Your {reauthProvider === 'azure-ad' ? 'Microsoft 365' : 'Google'} sign-in has expired. Sign in again to keep using your calendar.</span>
+                <button
+                  type="button"
+                  className="shrink-0 px-3 py-1 text-white bg-red-600 rounded-md hover:bg-red-700 transition-colors"
+                  onClick={() => signIn(reauthProvider, { callbackUrl: '/' }, { prompt: 'consent' })}
                 >
-                  <option value="day">1 Day</option>
-                  <option value="week">1 Week</option>
-                  <option value="month">1 Month</option>
-                </select>
+                  Sign in again
+                </button>
               </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Meeting Duration
-                </label>
-                <select
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
-                  value={duration}
-                  onChange={(e) => setDuration(e.target.value)}
-                >
-                  <option value="15">15 minutes</option>
-                  <option value="30">30 minutes</option>
-                  <option value="60">1 hour</option>
-                </select>
-              </div>
-            </div>
-
-            <div className="flex items-center py-2">
-              <input
-                type="checkbox"
-                id="noFridays"
-                checked={noFridays}
-                onChange={(e) => setNoFridays(e.target.checked)}
-                className="h-4 w-4 text-blue-500 border-gray-300 rounded focus:ring-blue-500"
-              />
-              <label htmlFor="noFridays" className="ml-2 text-sm text-gray-700">
-                Exclude Fridays
-              </label>
-            </div>
-
-            <button
-              className="w-full bg-blue-500 text-white px-4 py-3 rounded-md hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed mt-4"
-              onClick={handleSubmit}
-              disabled={loading || !attendees.trim()}
-            >
-              {loading ? 'Finding Times...' : 'Find Available Times'}
-            </button>
+            )}
+            {unconnectedProviders.map(provider => (
+              <button
+                key={provider.signInId}
+                type="button"
+                className="mt-2 text-sm text-blue-600 hover:underline"
+                onClick={() => signIn(provider.signInId, { callbackUrl: '/' })}
+              >
+                Connect {provider.label} to include its calendars
+              </button>
+            ))}
           </div>
 
-          {results && (
-            <div className="mt-12 space-y-6">
-              <h2 className="text-xl font-semibold">Available Times:</h2>
-              {results.length > 0 ? (
-                <div className="space-y-3">
-                  {results.map((slot, index) => (
-                    <div key={index} className="p-4 bg-gray-50 rounded-md">
-                      {new Date(slot.start).toLocaleDateString()} at{' '}
-                      {new Date(slot.start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })} -{' '}
-                      {new Date(slot.end).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
-                    </div>
-                  ))}
-                </div>
-              ) : (
-                <p className="text-gray-600">No available times found. Try different parameters.</p>
-              )}
-            </div>
-          )}
+          <MeetingScheduler session={session} onSignInAgain={setSignInAgain} />
         </div>
       </div>
     </div>
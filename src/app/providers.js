@@ -5,12 +5,16 @@ import { SessionProvider } from 'next-auth/react';
 
 const queryClient = new QueryClient();
 
+// Polling the session lets the server refresh access tokens ahead of expiry
+// even while the tab sits idle
+const SESSION_REFETCH_SECONDS = 4 * 60;
+
 export default function Providers({ children }) {
   return (
     <QueryClientProvider client={queryClient}>
-      <SessionProvider>
+      <SessionProvider refetchInterval={SESSION_REFETCH_SECONDS}>
         {children}
       </SessionProvider>
     </QueryClientProvider>
   );
-}
\ No newline at end of file
+}
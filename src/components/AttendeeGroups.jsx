@@ -0,0 +1,147 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { splitEmails } from '../lib/contacts/match';
+import { requestJson } from '../lib/requestJson';
+
+// Saved attendee groups: one click adds a group's members to the attendee
+// list, and the current list can be saved as a new group
+export default function AttendeeGroups({ attendees, onAdd }) {
+  const [groups, setGroups] = useState([]);
+  const [name, setName] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadGroups = async () => {
+    const response = await fetch('/api/groups');
+    if (response.ok) {
+      setGroups((await response.json()).groups);
+    }
+  };
+
+  useEffect(() => {
+    loadGroups();
+  }, []);
+
+  const run = async (action) => {
+    setSaving(true);
+    setError('');
+    try {
+      await action();
+      await loadGroups();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = () => run(async () => {
+    await requestJson('/api/groups', {
+      method: 'POST',
+      body: JSON.stringify({ name, members: attendees }),
+    });
+    setName('');
+  });
+
+  const handleSave = () => run(async () => {
+    await requestJson(`/api/groups/${editing.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ name: editing.name, members: splitEmails(editing.members) }),
+    });
+    setEditing(null);
+  });
+
+  const handleDelete = (id) => run(async () => {
+    await requestJson(`/api/groups/${id}`, { method: 'DELETE' });
+    setEditing(null);
+  });
+
+  return (
+    <div className="mt-2 space-y-2 text-sm">
+      {groups.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {groups.map(group => (
+            <span key={group.id} className="inline-flex items-center bg-blue-50 rounded-full">
+              <button
+                type="button"
+                className="pl-3 pr-2 py-1 text-blue-700 hover:underline"
+                title={group.members.join(', ')}
+                onClick={() => onAdd(group.members)}
+              >
+                + {group.name} ({group.members.length})
+              </button>
+              <button
+                type="button"
+                className="pr-3 py-1 text-gray-500 hover:text-gray-700"
+                onClick={() => setEditing({ id: group.id, name: group.name, members: group.members.join('\n') })}
+              >
+                Edit
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {editing && (
+        <div className="p-3 bg-gray-50 rounded-md space-y-2">
+          <input
+            type="text"
+            className="w-full px-2 py-1 border border-gray-300 rounded-md"
+            value={editing.name}
+            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+          />
+          <textarea
+            className="w-full px-2 py-1 border border-gray-300 rounded-md"
+            rows="4"
+            value={editing.members}
+            onChange={(e) => setEditing({ ...editing, members: e.target.value })}
+          />
+          <div className="flex gap-3">
+            <button
+              type="button"
+              className="px-3 py-1 text-white bg-blue-500 rounded-md hover:bg-blue-600 disabled:opacity-50"
+              onClick={handleSave}
+              disabled={saving}
+            >
+              Save group
+            </button>
+            <button
+              type="button"
+              className="text-red-600 hover:underline"
+              onClick={() => handleDelete(editing.id)}
+              disabled={saving}
+            >
+              Delete
+            </button>
+            <button type="button" className="text-gray-600 hover:underline" onClick={() => setEditing(null)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {attendees.length > 0 && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            className="flex-1 px-2 py-1 border border-gray-300 rounded-md"
+            placeholder="Group name (e.g. Platform team)"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <button
+            type="button"
+            className="px-3 py-1 text-blue-600 border border-blue-300 rounded-md hover:bg-blue-50 disabled:opacity-50"
+            onClick={handleCreate}
+            disabled={saving || !name.trim()}
+          >
+            Save {attendees.length} as group
+          </button>
+        </div>
+      )}
+      {error && <p className="text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { initials, isEmail, matchPeople, splitEmails } from '../lib/contacts/match';
+
+function Avatar({ person }) {
+  return person.photo ? (
+    <img src={person.photo} alt="" className="w-6 h-6 rounded-full" referrerPolicy="no-referrer" />
+  ) : (
+    <span className="w-6 h-6 rounded-full bg-blue-200 text-blue-800 text-xs flex items-center justify-center">
+      {initials(person)}
+    </span>
+  );
+}
+
+// Chip-style attendee input. Typing suggests contacts and recent invitees;
+// Enter, Tab, comma or a paste turns the text into chips. Invalid addresses
+// stay in the input with an error, and duplicates are skipped.
+export default function AttendeePicker({ attendees, onChange }) {
+  const [people, setPeople] = useState([]);
+  const [text, setText] = useState('');
+  const [highlight, setHighlight] = useState(0);
+  const [problem, setProblem] = useState('');
+
+  useEffect(() => {
+    fetch('/api/contacts')
+      .then(response => (response.ok ? response.json() : { people: [] }))
+      .then(data => setPeople(data.people))
+      .catch(() => {});
+  }, []);
+
+  const byEmail = new Map(people.map(person => [person.email, person]));
+  const personFor = email => byEmail.get(email.toLowerCase()) || { email };
+  const matches = matchPeople(people, text, { exclude: attendees });
+
+  // Adds every valid, new address in `value`; returns what couldn't be added
+  const addEntries = (value) => {
+    const entries = splitEmails(value);
+    const seen = new Set(attendees.map(email => email.toLowerCase()));
+    const added = [];
+    const invalid = [];
+    let duplicates = 0;
+
+    for (const entry of entries) {
+      if (!isEmail(entry)) {
+        invalid.push(entry);
+      } else if (seen.has(entry.toLowerCase())) {
+        duplicates += 1;
+      } else {
+        seen.add(entry.toLowerCase());
+        added.push(entry);
+      }
+    }
+
+    if (added.length > 0) onChange([...attendees, ...added]);
+    setText(invalid.join(', '));
+    setProblem(
+      invalid.length > 0
+        ? `Not a valid email address: ${invalid.join(', ')}`
+        : duplicates > 0 ? 'Already added.' : ''
+    );
+  };
+
+  const choose = (person) => {
+    onChange([...attendees, person.email]);
+    setText('');
+    setProblem('');
+    setHighlight(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && matches.length > 0) {
+      e.preventDefault();
+      setHighlight((highlight + 1) % matches.length);
+    } else if (e.key === 'ArrowUp' && matches.length > 0) {
+      e.preventDefault();
+      setHighlight((highlight - 1 + matches.length) % matches.length);
+    } else if (['Enter', 'Tab', ',', ';'].includes(e.key) && text.trim()) {
+      e.preventDefault();
+      if (matches[highlight] && e.key !== ',' && e.key !== ';') {
+        choose(matches[highlight]);
+      } else {
+        addEntries(text);
+      }
+    } else if (e.key === 'Backspace' && !text && attendees.length > 0) {
+      onChange(attendees.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="w-full px-2 py-2 border border-gray-300 rounded-md flex flex-wrap gap-2 focus-within:ring-1 focus-within:ring-blue-500 focus-within:border-blue-500">
+        {attendees.map((email) => {
+          const person = personFor(email);
+          return (
+            <span
+              key={email}
+              title={email}
+              className="flex items-center gap-2 bg-blue-50 rounded-full pl-1 pr-3 py-1 text-sm border border-blue-200"
+            >
+              <Avatar person={person} />
+              <span>{person.name || email}</span>
+              <button
+                type="button"
+                aria-label={`Remove ${email}`}
+                onClick={() => onChange(attendees.filter(entry => entry !== email))}
+                className="text-red-500 hover:text-red-700 font-semibold"
+              >
+                ×
+              </button>
+            </span>
+          );
+        })}
+        <input
+          type="text"
+          className="flex-1 min-w-[12rem] px-1 py-1 outline-none"
+          placeholder={attendees.length ? 'Add another' : 'Type a name or paste email addresses'}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setHighlight(0);
+            setProblem('');
+          }}
+          onKeyDown={handleKeyDown}
+          onPaste={(e) => {
+            e.preventDefault();
+            addEntries(`${text} ${e.clipboardData.getData('text')}`);
+          }}
+          onBlur={() => text.trim() && !matches.length && addEntries(text)}
+        />
+      </div>
+
+      {matches.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg text-sm">
+          {matches.map((person, index) => (
+            <li key={person.email}>
+              <button
+                type="button"
+                className={`w-full px-3 py-2 flex items-center gap-3 text-left ${index === highlight ? 'bg-blue-50' : ''}`}
+                // Keep focus in the input so blur doesn't add the typed text
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(person)}
+              >
+                <Avatar person={person} />
+                <span className="flex-1">
+                  {person.name && <span className="block">{person.name}</span>}
+                  <span className="block text-gray-600">{person.email}</span>
+                </span>
+                {person.meetings > 0 && (
+                  <span className="text-xs text-gray-500">met {person.meetings}×</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {problem && <p className="mt-1 text-sm text-red-600">{problem}</p>}
+    </div>
+  );
+}
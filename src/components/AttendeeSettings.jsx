@@ -0,0 +1,144 @@
+'use client';
+
+import { useState } from 'react';
+import LoadRulesFields, { fromLoadRules, toLoadRules } from './LoadRulesFields';
+
+// Pasted iCalendar text is sent as-is; anything else is treated as a feed URL
+function icsSource(value) {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return undefined;
+  return trimmed.startsWith('BEGIN:VCALENDAR') ? { text: trimmed } : { url: trimmed };
+}
+
+// Form values -> the API's attendee list: a plain email, or an object for
+// attendees with settings
+export function toAttendees(attendees, settings) {
+  return attendees.map(email =>
+    settings[email]
+      ? {
+        email,
+        ...settings[email],
+        timezone: settings[email].timezone || undefined,
+        ics: icsSource(settings[email].ics),
+        loadRules: toLoadRules(settings[email].loadRules),
+      }
+      : email
+  );
+}
+
+// The API's attendee objects -> form values by email. Pasted calendar files
+// aren't brought back, only feed URLs.
+export function fromAttendees(attendees) {
+  return Object.fromEntries(attendees
+    .filter(attendee => attendee.email)
+    .map(({ email, ics, loadRules, ...settings }) => [email, {
+      ...settings,
+      ics: ics?.url || '',
+      loadRules: fromLoadRules(loadRules),
+    }]));
+}
+
+// Per-attendee time zone, working hours, optional flag, calendar file and
+// meeting-load rules, behind a toggle. `settings` maps emails to form values;
+// `onChange` is called with an updater, like a state setter.
+export default function AttendeeSettings({ attendees, settings, onChange }) {
+  const [open, setOpen] = useState(false);
+
+  const update = (email, changes) => {
+    const organizerTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    onChange(prev => {
+      const current = prev[email] || {
+        timezone: organizerTimezone,
+        workingHours: { start: 9, end: 17 },
+      };
+      return {
+        ...prev,
+        [email]: {
+          ...current,
+          ...changes,
+          workingHours: { ...current.workingHours, ...changes.workingHours },
+        },
+      };
+    });
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        className="mt-2 text-sm text-blue-600 hover:underline"
+        onClick={() => setOpen(!open)}
+      >
+        {open ? 'Hide' : 'Set'} time zones, working hours & optional attendees
+      </button>
+      {open && (
+        <div className="mt-3 space-y-2">
+          {attendees.map(email => (
+            <div key={email} className="grid grid-cols-7 gap-2 items-center text-sm">
+              <span className="col-span-2 truncate">{email}</span>
+              <label className="flex items-center gap-1 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={Boolean(settings[email]?.optional)}
+                  onChange={(e) => update(email, { optional: e.target.checked })}
+                  className="h-4 w-4 text-blue-500 border-gray-300 rounded focus:ring-blue-500"
+                />
+                Optional
+              </label>
+              <input
+                type="text"
+                className="col-span-2 px-2 py-1 border border-gray-300 rounded-md"
+                placeholder="Time zone, e.g. Europe/Berlin"
+                value={settings[email]?.timezone || ''}
+                onChange={(e) => update(email, { timezone: e.target.value })}
+              />
+              <input
+                type="number"
+                min="0"
+                max="24"
+                className="px-2 py-1 border border-gray-300 rounded-md"
+                title="Start hour"
+                value={settings[email]?.workingHours.start ?? 9}
+                onChange={(e) => update(email, { workingHours: { start: Number(e.target.value) } })}
+              />
+              <input
+                type="number"
+                min="0"
+                max="24"
+                className="px-2 py-1 border border-gray-300 rounded-md"
+                title="End hour"
+                value={settings[email]?.workingHours.end ?? 17}
+                onChange={(e) => update(email, { workingHours: { end: Number(e.target.value) } })}
+              />
+              <textarea
+                rows="1"
+                className="col-span-5 col-start-3 px-2 py-1 border border-gray-300 rounded-md"
+                placeholder="No shared calendar? ICS feed URL or pasted .ics"
+                value={settings[email]?.ics || ''}
+                onChange={(e) => update(email, { ics: e.target.value })}
+              />
+              <label className="col-span-2 col-start-3 text-blue-600 hover:underline cursor-pointer">
+                Upload .ics
+                <input
+                  type="file"
+                  accept=".ics,text/calendar"
+                  className="hidden"
+                  onChange={async (e) => {
+                    const file = e.target.files?.[0];
+                    if (file) update(email, { ics: await file.text() });
+                  }}
+                />
+              </label>
+              <div className="col-span-5 col-start-3">
+                <LoadRulesFields
+                  value={settings[email]?.loadRules}
+                  onChange={(loadRules) => update(email, { loadRules })}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,87 @@
+'use client';
+
+import { useState } from 'react';
+
+// Red (nobody free) through yellow to green (everyone free)
+function cellColor(cell, total) {
+  const share = total > 0 ? cell.free / total : 0;
+  return `hsl(${Math.round(share * 120)}, 70%, ${cell.requiredFree ? 55 : 75}%)`;
+}
+
+function dayLabel(date) {
+  return new Date(`${date}T12:00:00`).toLocaleDateString([], { weekday: 'short', month: 'numeric', day: 'numeric' });
+}
+
+function describeCell(cell, total) {
+  const busy = cell.unavailable.map(person =>
+    `${person.email}${person.optional ? ' (optional)' : ''}${person.reason === 'outsideWorkingHours' ? ' – outside working hours' : ''}${person.reason === 'loadRule' ? ` – ${person.message}` : ''}`
+  );
+  return `${cell.free} of ${total} free${busy.length ? `. Can't attend: ${busy.join(', ')}` : ''}`;
+}
+
+const EXCLUDED_LABELS = {
+  weekend: 'Weekend',
+  friday: 'No Fridays',
+  weekday: 'Excluded day',
+};
+
+// Day × time-of-day grid from the calendar API's heatmap mode. Each cell is
+// colored by how many people are free; hovering lists who can't make it and
+// clicking picks the slot.
+export default function AvailabilityHeatmap({ heatmap, onPick }) {
+  const [hovered, setHovered] = useState(null);
+
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+          <thead>
+            <tr>
+              <th />
+              {heatmap.days.map(day => (
+                <th
+                  key={day.date}
+                  className="px-1 font-normal text-gray-600 whitespace-nowrap"
+                  title={day.holiday || EXCLUDED_LABELS[day.excluded]}
+                >
+                  {dayLabel(day.date)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {heatmap.times.map((time, row) => (
+              <tr key={time}>
+                <th className="pr-2 font-normal text-gray-600 text-right">{time}</th>
+                {heatmap.days.map(day => {
+                  const cell = day.cells[row];
+                  return cell ? (
+                    <td key={day.date} className="p-0">
+                      <button
+                        type="button"
+                        className="w-10 h-5 rounded-sm hover:ring-2 hover:ring-blue-500"
+                        style={{ backgroundColor: cellColor(cell, heatmap.total) }}
+                        title={describeCell(cell, heatmap.total)}
+                        aria-label={`${dayLabel(day.date)} ${time}: ${describeCell(cell, heatmap.total)}`}
+                        onMouseEnter={() => setHovered({ cell, label: `${dayLabel(day.date)} ${time}` })}
+                        onMouseLeave={() => setHovered(null)}
+                        onClick={() => onPick(cell)}
+                      />
+                    </td>
+                  ) : (
+                    <td key={day.date} className="w-10 h-5 bg-gray-100 rounded-sm" />
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-600 min-h-[1rem]">
+        {hovered
+          ? `${hovered.label}: ${describeCell(hovered.cell, heatmap.total)}`
+          : `Darker cells work for every required attendee. Times are ${heatmap.timezone}; click a cell to pick it.`}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+const LINK_STATES = {
+  active: 'Active',
+  expired: 'Expired',
+  used_up: 'Limit reached',
+};
+
+// Lets the signed-in user create shareable booking links that use the
+// attendees and duration currently entered on the scheduler. Links book on
+// the owner's calendar, so creating one needs write access (`canCreate`);
+// without it the button asks for it instead.
+export default function BookingLinks({ attendees, duration, preferences, canCreate, onAllowCreate }) {
+  const [links, setLinks] = useState([]);
+  const [title, setTitle] = useState('');
+  const [windowDays, setWindowDays] = useState('14');
+  const [maxUses, setMaxUses] = useState('');
+  const [expiresOn, setExpiresOn] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadLinks = async () => {
+    const response = await fetch('/api/booking-links');
+    if (response.ok) {
+      setLinks((await response.json()).links);
+    }
+  };
+
+  useEffect(() => {
+    loadLinks();
+  }, []);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/booking-links', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          title: title || undefined,
+          duration,
+          windowDays: parseInt(windowDays),
+          attendees,
+          preferences,
+          maxUses: maxUses ? parseInt(maxUses) : undefined,
+          // Links stay valid through the end of the chosen day
+          expiresAt: expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : undefined,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.issues?.[0] ? `${data.issues[0].path}: ${data.issues[0].message}` : data.error);
+      }
+
+      setTitle('');
+      await loadLinks();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <h2 className="text-xl font-semibold">Booking Links</h2>
+      <p className="text-sm text-gray-600">
+        Share a link so others can pick a time when you{attendees.length > 0 ? ' and the attendees above' : ''} are free.
+      </p>
+      <input
+        type="text"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+        placeholder="Link title (e.g. Intro call)"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+      />
+      <div className="grid grid-cols-3 gap-3 text-sm">
+        <label className="text-gray-700">
+          Days ahead
+          <input
+            type="number"
+            min="1"
+            max="60"
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md"
+            value={windowDays}
+            onChange={(e) => setWindowDays(e.target.value)}
+          />
+        </label>
+        <label className="text-gray-700">
+          Max bookings
+          <input
+            type="number"
+            min="1"
+            placeholder="Unlimited"
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md"
+            value={maxUses}
+            onChange={(e) => setMaxUses(e.target.value)}
+          />
+        </label>
+        <label className="text-gray-700">
+          Expires on
+          <input
+            type="date"
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md"
+            value={expiresOn}
+            onChange={(e) => setExpiresOn(e.target.value)}
+          />
+        </label>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <button
+        className="px-4 py-2 text-sm text-white bg-blue-500 rounded-md hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        onClick={canCreate ? handleCreate : onAllowCreate}
+        disabled={creating}
+      >
+        {creating
+          ? 'Creating...'
+          : canCreate
+            ? `Create ${duration}-minute link`
+            : 'Allow calendar editing to create links'}
+      </button>
+
+      {links.length > 0 && (
+        <ul className="space-y-2 text-sm">
+          {links.map(link => (
+            <li key={link.id} className="p-3 bg-gray-50 rounded-md flex items-center justify-between">
+              <div>
+                <div>{link.title} · {link.durationMinutes} min</div>
+                <div className="text-xs text-gray-600">
+                  {LINK_STATES[link.state]} · {link.uses}{link.maxUses ? `/${link.maxUses}` : ''} booked
+                  {link.expiresAt && ` · expires ${new Date(link.expiresAt).toLocaleDateString()}`}
+                </div>
+              </div>
+              <a
+                href={`/book/${link.id}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-blue-600 hover:underline"
+              >
+                /book/{link.id}
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
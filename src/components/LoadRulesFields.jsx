@@ -0,0 +1,116 @@
+'use client';
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+];
+
+export const EMPTY_LOAD_RULES = {
+  maxMeetingHoursPerDay: '',
+  focusBlock: false,
+  maxBackToBack: '',
+  noMeetingsBeforeHour: '',
+  noMeetingsBeforeDays: [1, 2, 3, 4, 5],
+};
+
+// Form values -> the API's `loadRules`, or undefined when nothing is set
+export function toLoadRules(form) {
+  if (!form) return undefined;
+  const rules = {
+    ...(form.maxMeetingHoursPerDay && { maxMeetingHoursPerDay: Number(form.maxMeetingHoursPerDay) }),
+    ...(form.focusBlock && { focusBlockMinutes: 120 }),
+    ...(form.maxBackToBack && { maxBackToBack: parseInt(form.maxBackToBack) }),
+    ...(form.noMeetingsBeforeHour && form.noMeetingsBeforeDays.length > 0 && {
+      noMeetingsBefore: { hour: Number(form.noMeetingsBeforeHour), weekdays: form.noMeetingsBeforeDays },
+    }),
+  };
+  return Object.keys(rules).length > 0 ? rules : undefined;
+}
+
+// The API's `loadRules` -> form values
+export function fromLoadRules(rules) {
+  if (!rules) return undefined;
+  return {
+    maxMeetingHoursPerDay: rules.maxMeetingHoursPerDay ? String(rules.maxMeetingHoursPerDay) : '',
+    focusBlock: Boolean(rules.focusBlockMinutes),
+    maxBackToBack: rules.maxBackToBack ? String(rules.maxBackToBack) : '',
+    noMeetingsBeforeHour: rules.noMeetingsBefore ? String(rules.noMeetingsBefore.hour) : '',
+    noMeetingsBeforeDays: rules.noMeetingsBefore?.weekdays || EMPTY_LOAD_RULES.noMeetingsBeforeDays,
+  };
+}
+
+// Inputs for one person's meeting-load rules
+export default function LoadRulesFields({ value = EMPTY_LOAD_RULES, onChange }) {
+  const update = changes => onChange({ ...value, ...changes });
+  const toggleDay = day => update({
+    noMeetingsBeforeDays: value.noMeetingsBeforeDays.includes(day)
+      ? value.noMeetingsBeforeDays.filter(entry => entry !== day)
+      : [...value.noMeetingsBeforeDays, day].sort(),
+  });
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-700">
+      <label className="flex items-center gap-1">
+        Max
+        <input
+          type="number"
+          min="0.5"
+          max="24"
+          step="0.5"
+          className="w-16 px-2 py-1 border border-gray-300 rounded-md"
+          value={value.maxMeetingHoursPerDay}
+          onChange={(e) => update({ maxMeetingHoursPerDay: e.target.value })}
+        />
+        meeting hours a day
+      </label>
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={value.focusBlock}
+          onChange={(e) => update({ focusBlock: e.target.checked })}
+          className="h-4 w-4 text-blue-500 border-gray-300 rounded focus:ring-blue-500"
+        />
+        Keep a 2-hour focus block each day
+      </label>
+      <label className="flex items-center gap-1">
+        At most
+        <input
+          type="number"
+          min="1"
+          max="20"
+          className="w-14 px-2 py-1 border border-gray-300 rounded-md"
+          value={value.maxBackToBack}
+          onChange={(e) => update({ maxBackToBack: e.target.value })}
+        />
+        meetings in a row
+      </label>
+      <span className="flex items-center gap-1">
+        No meetings before
+        <input
+          type="number"
+          min="0"
+          max="24"
+          className="w-14 px-2 py-1 border border-gray-300 rounded-md"
+          aria-label="No meetings before (hour)"
+          value={value.noMeetingsBeforeHour}
+          onChange={(e) => update({ noMeetingsBeforeHour: e.target.value })}
+        />
+        on
+        {WEEKDAYS.map(day => (
+          <label key={day.value} className="flex items-center gap-0.5">
+            <input
+              type="checkbox"
+              checked={value.noMeetingsBeforeDays.includes(day.value)}
+              onChange={() => toggleDay(day.value)}
+              className="h-3 w-3"
+            />
+            {day.label}
+          </label>
+        ))}
+      </span>
+    </div>
+  );
+}
@@ -1,227 +1,633 @@
 'use client';
 
-import SignOutButton from "@/components/SignOutButton";
-import { useState } from 'react';
-import { useSession, signIn } from 'next-auth/react';
-import { Button } from '@/components/ui/button';
-import { Input } from '@/components/ui/input';
-import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
-
-export default function MeetingScheduler() {
-  const { data: session, status } = useSession();
+import { signIn } from 'next-auth/react';
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import BookingLinks from './BookingLinks';
+import AttendeeGroups from './AttendeeGroups';
+import AttendeePicker from './AttendeePicker';
+import AttendeeSettings, { fromAttendees, toAttendees } from './AttendeeSettings';
+import RankingSettings, { DEFAULT_RANKING } from './RankingSettings';
+import RescheduleForm from './RescheduleForm';
+import RoomsEditor, { NO_ROOMS, fromRoomSearch, toRoomSearch } from './RoomsEditor';
+import SearchHistory from './SearchHistory';
+import SearchPresets from './SearchPresets';
+import SearchResults from './SearchResults';
+import TypedRequest from './TypedRequest';
+import { fromLoadRules, toLoadRules } from './LoadRulesFields';
+import { canWriteCalendar, writeConsentParams } from '../lib/auth/scopes';
+import { DEFAULT_WEIGHTS } from '../lib/calendarService/scoring';
+import { presetFromSearch } from '../lib/searchHistory/summary';
+
+// Search results kept across the redirect to Google's consent screen
+const PENDING_RESULTS_KEY = 'calendar-optimizer:pending-results';
+
+// Sign-in problems that only signing in again can fix
+const SIGN_IN_AGAIN_CODES = ['reauth_required', 'token_expired'];
+
+// Turns an API error response into a message for the user
+function describeApiError(status, data) {
+  switch (data?.code) {
+    case 'invalid_request':
+      return 'Please fix the highlighted fields.';
+    case 'rate_limited':
+      return `${data.error} You can retry in about ${data.retryAfter} seconds.`;
+    default:
+      return data?.error || `Request failed (status ${status})`;
+  }
+}
+
+const DURATION_CHOICES = ['15', '30', '45', '60', '90', '120'];
+
+// Groups validation issues by field; attendee issues are keyed by the email
+// at that position in the submitted list
+function groupIssues(issues, emailList) {
+  const fields = {};
+  const attendees = [];
+  for (const issue of issues || []) {
+    const [field, index, ...rest] = issue.path.split('.');
+    if (field === 'attendees' && index !== undefined) {
+      const detail = rest.length > 0 && rest[0] !== 'email' ? ` (${rest.join(' ')})` : '';
+      attendees.push({ email: emailList[Number(index)], message: `${issue.message}${detail}` });
+    } else {
+      const key = field === 'preferences' ? `preferences.${index}` : field;
+      fields[key] = fields[key] || issue.message;
+    }
+  }
+  return { fields, attendees };
+}
+
+// The search form, results and booking links for a signed-in user.
+// `onSignInAgain(provider)` is called when the server can't use the
+// session's tokens any more.
+export default function MeetingScheduler({ session, onSignInAgain }) {
+  const queryClient = useQueryClient();
   const [attendees, setAttendees] = useState([]);
-  const [newAttendee, setNewAttendee] = useState('');
-  const [searchRange, setSearchRange] = useState('week'); // Default to "week"
-  const [duration, setDuration] = useState('30'); // Default to 30 minutes
-  const [isLoading, setIsLoading] = useState(false);
-  const [suggestions, setSuggestions] = useState(null);
-  const [error, setError] = useState(null);
+  const [attendeeSettings, setAttendeeSettings] = useState({});
+  const [searchRange, setSearchRange] = useState('week');
+  const [duration, setDuration] = useState('30');
+  const [customDuration, setCustomDuration] = useState('45');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [maxResults, setMaxResults] = useState('5');
+  const [noFridays, setNoFridays] = useState(false);
+  const [recurring, setRecurring] = useState(false);
+  const [frequency, setFrequency] = useState('weekly');
+  const [occurrences, setOccurrences] = useState('6');
+  const [roomSearch, setRoomSearch] = useState(NO_ROOMS);
+  const [holidayRegion, setHolidayRegion] = useState('US');
+  const [customHolidays, setCustomHolidays] = useState('');
+  const [bufferBefore, setBufferBefore] = useState('0');
+  const [bufferAfter, setBufferAfter] = useState('0');
+  const [ranking, setRanking] = useState(DEFAULT_RANKING);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [attendeeErrors, setAttendeeErrors] = useState([]);
+  // What the last search or reschedule found (see SearchResults), with a
+  // version so each new one starts with a fresh results panel
+  const [search, setSearch] = useState(null);
+
+  const showSearch = (next) => setSearch(prev => ({ ...next, version: (prev?.version || 0) + 1 }));
+
+  // Back from granting write access: show the results the user was booking from
+  useEffect(() => {
+    const saved = sessionStorage.getItem(PENDING_RESULTS_KEY);
+    if (!saved) return;
+    sessionStorage.removeItem(PENDING_RESULTS_KEY);
+
+    const pending = JSON.parse(saved);
+    setAttendees(pending.attendees);
+    showSearch(pending.search);
+  }, []);
+
+  // Sign-in only grants read access; booking, moving events and booking
+  // links need calendar.events, asked for the first time they're used
+  const canBook = canWriteCalendar(session);
 
+  // `draft` is what was typed into the results (see SearchResults)
+  const askForWriteAccess = (draft) => {
+    if (search) {
+      sessionStorage.setItem(PENDING_RESULTS_KEY, JSON.stringify({
+        attendees,
+        search: { ...search, draft },
+      }));
+    }
+    signIn('google', { callbackUrl: '/' }, writeConsentParams());
+  };
 
-  const handleAttendeeInput = (e) => {
-    setNewAttendee(e.target.value);
+  // Like describeApiError, but also asks for a fresh sign-in when the
+  // server can't use our tokens any more
+  const describeFailure = (status, data) => {
+    if (status === 401 && SIGN_IN_AGAIN_CODES.includes(data?.code)) {
+      onSignInAgain(data.provider || 'google');
+    }
+    return describeApiError(status, data);
   };
 
-  const addAttendees = () => {
-    if (newAttendee.trim()) {
-      // Split by spaces, commas, or semicolons, and remove any empty strings
-      const emails = newAttendee.split(/[\s,;]+/).filter(email => email);
-      setAttendees([...attendees, ...emails]);
-      setNewAttendee('');
+  // Preferences shared by new searches and rescheduling
+  const searchPreferences = () => ({
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    noFridays,
+    holidayRegions: holidayRegion ? [holidayRegion] : [],
+    customHolidays: customHolidays
+      .split(/[,;\s\n]+/)
+      .filter(date => date.length > 0),
+    workingHours: {
+      start: 9,
+      end: 17,
+    },
+    buffers: {
+      beforeMinutes: parseInt(bufferBefore),
+      afterMinutes: parseInt(bufferAfter),
+    },
+    scoringWeights: ranking.scoringWeights,
+    loadRules: toLoadRules(ranking.loadRules),
+    loadRuleMode: ranking.loadRuleMode,
+  });
+
+  // The range, result count and preferences, shared by new searches and
+  // rescheduling
+  const searchWindow = () => ({
+    ...(searchRange === 'custom' ? { startDate, endDate } : { searchRange }),
+    maxResults: parseInt(maxResults),
+    preferences: searchPreferences(),
+  });
+
+  // The request body for the search entered in the form
+  const searchBody = () => ({
+    attendees: toAttendees(attendees, attendeeSettings),
+    duration: parseInt(duration === 'custom' ? customDuration : duration),
+    ...(recurring && { recurrence: { frequency, occurrences: parseInt(occurrences) } }),
+    ...toRoomSearch(roomSearch),
+    ...searchWindow(),
+  });
+
+  // Fills in the form from a preset or an earlier search. Fields a preset
+  // leaves out keep their current values.
+  const applySettings = (settings) => {
+    if (settings.duration) {
+      const value = String(settings.duration);
+      setDuration(DURATION_CHOICES.includes(value) ? value : 'custom');
+      if (!DURATION_CHOICES.includes(value)) setCustomDuration(value);
+    }
+    if (settings.startDate) {
+      setSearchRange('custom');
+      setStartDate(settings.startDate);
+      setEndDate(settings.endDate || settings.startDate);
+    } else if (settings.searchRange) {
+      setSearchRange(settings.searchRange);
+    }
+    if (settings.maxResults) setMaxResults(String(settings.maxResults));
+    setRecurring(Boolean(settings.recurrence));
+    if (settings.recurrence) {
+      setFrequency(settings.recurrence.frequency);
+      setOccurrences(String(settings.recurrence.occurrences));
+    }
+
+    const preferences = settings.preferences;
+    if (!preferences) return;
+    if (preferences.noFridays !== undefined) setNoFridays(preferences.noFridays);
+    if (preferences.holidayRegions) setHolidayRegion(preferences.holidayRegions[0] || '');
+    if (preferences.customHolidays) setCustomHolidays(preferences.customHolidays.join(', '));
+    if (preferences.buffers) {
+      setBufferBefore(String(preferences.buffers.beforeMinutes || 0));
+      setBufferAfter(String(preferences.buffers.afterMinutes || 0));
     }
+    setRanking(prev => ({
+      scoringWeights: preferences.scoringWeights
+        ? { ...DEFAULT_WEIGHTS, ...preferences.scoringWeights }
+        : prev.scoringWeights,
+      loadRules: fromLoadRules(preferences.loadRules),
+      loadRuleMode: preferences.loadRuleMode || prev.loadRuleMode,
+    }));
   };
 
-  const findTimes = async () => {
-    setIsLoading(true);
-    setError(null);
-
-    // Get timezone and log it
-    const userTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-    console.log('User timezone:', userTimezone);
-
-    const requestBody = {
-      attendees,
-      searchRange,
-      duration,
-      preferences: {
-        noFridays: false
-      },
-      timezone: userTimezone // Explicitly set timezone
+  // Runs a search from the history again as it was, and shows it in the form
+  const runSavedSearch = (saved) => {
+    setAttendees(saved.attendees.map(attendee => attendee.email || attendee));
+    setAttendeeSettings(fromAttendees(saved.attendees));
+    setRoomSearch(fromRoomSearch(saved));
+    applySettings(saved);
+    handleSubmit(saved);
+  };
+
+  // Runs a typed request (see TypedRequest) with the form's other settings,
+  // and fills the form in. Attendees named in the text replace the form's.
+  const handleDescribe = (parsed) => {
+    const { searchRange: formRange, ...form } = searchBody();
+    const { attendees: named, preferences, ...settings } = parsed;
+    const body = {
+      ...form,
+      ...(!settings.startDate && { searchRange: formRange }),
+      ...settings,
+      attendees: named.length > 0 ? named : form.attendees,
+      preferences: { ...form.preferences, ...preferences },
     };
 
-    // Log the full request body
-    console.log('Request body:', requestBody);
+    if (named.length > 0) {
+      setAttendees(named);
+      setAttendeeSettings({});
+    }
+    applySettings(body);
+    handleSubmit(body);
+  };
 
+  // Runs the form's search, or a saved one from the history
+  const handleSubmit = async (saved) => {
+    setLoading(true);
+    setError('');
+    setFieldErrors({});
+    setAttendeeErrors([]);
+    
     try {
-      const response = await fetch('/api/meetings', {
+      console.log('Starting handleSubmit with:', {
+        attendees,
+        searchRange,
+        duration,
+        noFridays
+      });
+
+      const requestBody = saved || searchBody();
+      const emailList = requestBody.attendees.map(attendee => attendee.email || attendee);
+
+      if (emailList.length === 0) {
+        setError('Please enter at least one email address');
+        setLoading(false);
+        return;
+      }
+
+      console.log('Sending request with body:', requestBody);
+
+      const response = await fetch('/api/calendar', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
       });
 
+      console.log('Response status:', response.status);
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (e) {
+        console.error('Error parsing response:', e);
+        throw new Error('Invalid response format from server');
+      }
+
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to fetch meeting times');
+        const { fields, attendees: invalidAttendees } = groupIssues(data.issues, emailList);
+        setFieldErrors(fields);
+        setAttendeeErrors(invalidAttendees);
+        setError(describeFailure(response.status, data));
+        return;
       }
 
-      const data = await response.json();
-      setSuggestions(data.suggestions);
-    } catch (err) {
-      console.error('Error details:', err);
-      setError(err.message);
+      showSearch({
+        results: data.suggestions,
+        bestEffort: Boolean(data.bestEffort),
+        calendarStatus: data.calendarStatus || [],
+        roomStatus: data.roomStatus || [],
+        groupStatus: data.groupStatus || [],
+        attendees: requestBody.attendees,
+        request: requestBody,
+        searchId: data.searchId,
+        rescheduling: null,
+      });
+      queryClient.invalidateQueries({ queryKey: ['searches'] });
+      setError('');
+    } catch (error) {
+      console.error('Main error:', {
+        message: error.message,
+        name: error.name,
+        stack: error.stack
+      });
+      setError(error.message);
     } finally {
-      setIsLoading(false);
+      setLoading(false);
     }
   };
 
-  if (status === "loading") {
-    return (
-      <Card className="w-full max-w-2xl mx-auto mt-20 p-10">
-        <CardContent className="flex justify-center text-2xl font-semibold">Loading...</CardContent>
-      </Card>
-    );
-  }
+  // New times for an existing event (see RescheduleForm)
+  const showReschedule = (data) => {
+    setError('');
+    setFieldErrors({});
+    showSearch({
+      results: data.suggestions,
+      bestEffort: Boolean(data.bestEffort),
+      calendarStatus: data.calendarStatus || [],
+      roomStatus: data.roomStatus || [],
+      groupStatus: [],
+      attendees: data.event.attendees,
+      request: null,
+      searchId: null,
+      rescheduling: data.event,
+    });
+  };
 
-  if (!session) {
-    return (
-      <Card className="w-full max-w-2xl mx-auto mt-20 p-10 shadow-lg rounded-lg">
-        <CardContent className="flex flex-col items-center gap-6">
-          <p className="text-center text-xl mb-4">
-            Sign in with Google to access your calendar
-          </p>
-          <Button 
-            onClick={() => signIn('google')}
-            className="bg-blue-500 hover:bg-blue-600 px-8 py-4 text-lg"
-          >
-            Sign in with Google
-          </Button>
-        </CardContent>
-      </Card>
-    );
-  }
+  const rescheduleFailed = (status, data) => {
+    if (data.code === 'write_scope_required') {
+      askForWriteAccess();
+      return;
+    }
+    setFieldErrors(groupIssues(data.issues, []).fields);
+    setError(describeFailure(status, data));
+  };
 
   return (
-    <Card className="w-full max-w-3xl mx-auto mt-20 p-10 shadow-lg rounded-lg border border-gray-200">
-      <SignOutButton />  {/* Add it here */}
-      <CardHeader className="text-center mb-8">
-        <CardTitle className="text-4xl font-bold">Find Meeting Times <span className="text-xl">by Jay</span></CardTitle>
-      </CardHeader>
-      <CardContent className="space-y-10">
-        {/* Time Range Selection */}
-        <div className="flex items-center gap-4">
-          <label htmlFor="searchRange" className="text-lg font-medium">
-            Available in the:
+    <>
+      <div className="space-y-8">
+        <TypedRequest onSubmit={handleDescribe} disabled={loading} />
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Attendees
           </label>
-          <select
-            id="searchRange"
-            value={searchRange}
-            onChange={(e) => setSearchRange(e.target.value)}
-            className="w-[180px] px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-          >
-            <option value="day">Next Day</option>
-            <option value="week">Next Week</option>
-            <option value="month">Next Month</option>
-          </select>
+          <AttendeePicker attendees={attendees} onChange={setAttendees} />
+          {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+          {fieldErrors.attendees && <p className="mt-1 text-sm text-red-600">{fieldErrors.attendees}</p>}
+          {attendeeErrors.length > 0 && (
+            <ul className="mt-1 text-sm text-red-600">
+              {attendeeErrors.map((problem, index) => (
+                <li key={index}>{problem.email}: {problem.message}</li>
+              ))}
+            </ul>
+          )}
+          <AttendeeGroups
+            attendees={attendees}
+            onAdd={(members) => {
+              const added = members.filter(member => !attendees.some(email => email.toLowerCase() === member));
+              setAttendees([...attendees, ...added]);
+            }}
+          />
+          <AttendeeSettings attendees={attendees} settings={attendeeSettings} onChange={setAttendeeSettings} />
         </div>
 
-        {/* Duration Selection */}
-        <div className="flex items-center gap-4">
-          <label htmlFor="duration" className="text-lg font-medium">
-            Duration:
-          </label>
-          <select
-            id="duration"
-            value={duration}
-            onChange={(e) => setDuration(e.target.value)}
-            className="w-[180px] px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-          >
-            <option value="15">15 minutes</option>
-            <option value="30">30 minutes</option>
-            <option value="60">1 hour</option>
-          </select>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Available Times For
+            </label>
+            <select
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              value={searchRange}
+              onChange={(e) => setSearchRange(e.target.value)}
+            >
+              <option value="day">1 Day</option>
+              <option value="week">1 Week</option>
+              <option value="month">1 Month</option>
+              <option value="custom">Custom dates</option>
+            </select>
+            {searchRange === 'custom' && (
+              <div className="mt-2 grid grid-cols-2 gap-2">
+                <input
+                  type="date"
+                  aria-label="Start date"
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                  value={startDate}
+                  onChange={(e) => setStartDate(e.target.value)}
+                />
+                <input
+                  type="date"
+                  aria-label="End date"
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                  value={endDate}
+                  min={startDate}
+                  onChange={(e) => setEndDate(e.target.value)}
+                />
+              </div>
+            )}
+            {(fieldErrors.searchRange || fieldErrors.startDate || fieldErrors.endDate) && (
+              <p className="mt-1 text-sm text-red-600">
+                {fieldErrors.searchRange || fieldErrors.startDate || fieldErrors.endDate}
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Meeting Duration
+            </label>
+            <select
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              value={duration}
+              onChange={(e) => setDuration(e.target.value)}
+            >
+              <option value="15">15 minutes</option>
+              <option value="30">30 minutes</option>
+              <option value="45">45 minutes</option>
+              <option value="60">1 hour</option>
+              <option value="90">1.5 hours</option>
+              <option value="120">2 hours</option>
+              <option value="custom">Custom</option>
+            </select>
+            {duration === 'custom' && (
+              <input
+                type="number"
+                min="5"
+                max="1440"
+                aria-label="Duration in minutes"
+                className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Minutes (5–1440)"
+                value={customDuration}
+                onChange={(e) => setCustomDuration(e.target.value)}
+              />
+            )}
+            {fieldErrors.duration && <p className="mt-1 text-sm text-red-600">{fieldErrors.duration}</p>}
+          </div>
         </div>
 
-        {/* Attendee Input */}
-        <div className="flex items-center gap-4">
-          <Input
-            type="text"
-            value={newAttendee}
-            onChange={handleAttendeeInput}
-            onKeyPress={(e) => {
-              if (e.key === 'Enter') addAttendees();
-            }}
-            placeholder="Add attendee emails"
-            className="flex-1 text-lg px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Number of Suggestions
+          </label>
+          <input
+            type="number"
+            min="1"
+            max="50"
+            className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+            value={maxResults}
+            onChange={(e) => setMaxResults(e.target.value)}
           />
-          <Button
-            onClick={addAttendees}
-            disabled={!newAttendee.trim()}
-            className="px-6 py-2 text-lg bg-blue-500 hover:bg-blue-600 text-white font-semibold rounded-lg shadow-md"
-          >
-            Add
-          </Button>
+          {fieldErrors.maxResults && <p className="mt-1 text-sm text-red-600">{fieldErrors.maxResults}</p>}
         </div>
 
-        {/* Attendee List */}
-        <div className="flex flex-wrap gap-3">
-          {attendees.map((email, index) => (
-            <div key={index} className="flex items-center bg-blue-50 rounded-full px-4 py-2 text-lg border border-blue-200">
-              <span>{email}</span>
-              <button
-                onClick={() => setAttendees(attendees.filter((_, i) => i !== index))}
-                className="ml-2 text-red-500 hover:text-red-700 font-semibold"
-              >
-                ×
-              </button>
-            </div>
-          ))}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Holiday Calendar
+            </label>
+            <select
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              value={holidayRegion}
+              onChange={(e) => setHolidayRegion(e.target.value)}
+            >
+              <option value="US">United States</option>
+              <option value="UK">United Kingdom</option>
+              <option value="CA">Canada</option>
+              <option value="DE">Germany</option>
+              <option value="">None</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Company Shutdown Days
+            </label>
+            <input
+              type="text"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g. 2024-12-24, 2024-12-31"
+              value={customHolidays}
+              onChange={(e) => setCustomHolidays(e.target.value)}
+            />
+            {fieldErrors['preferences.customHolidays'] && (
+              <p className="mt-1 text-sm text-red-600">{fieldErrors['preferences.customHolidays']}</p>
+            )}
+          </div>
         </div>
 
-        {/* Find Times Button */}
-        <div className="text-center">
-          <Button
-            onClick={findTimes}
-            disabled={isLoading || !attendees.length}
-            className="w-full bg-blue-500 hover:bg-blue-600 px-8 py-3 text-lg font-semibold text-white rounded-lg shadow-lg"
-          >
-            {isLoading ? 'Finding available times...' : 'Find Meeting Times'}
-          </Button>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Free Time Before Meeting
+            </label>
+            <select
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              value={bufferBefore}
+              onChange={(e) => setBufferBefore(e.target.value)}
+            >
+              <option value="0">None</option>
+              <option value="5">5 minutes</option>
+              <option value="10">10 minutes</option>
+              <option value="15">15 minutes</option>
+              <option value="30">30 minutes</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Free Time After Meeting
+            </label>
+            <select
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+              value={bufferAfter}
+              onChange={(e) => setBufferAfter(e.target.value)}
+            >
+              <option value="0">None</option>
+              <option value="5">5 minutes</option>
+              <option value="10">10 minutes</option>
+              <option value="15">15 minutes</option>
+              <option value="30">30 minutes</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="flex items-center py-2">
+          <input
+            type="checkbox"
+            id="noFridays"
+            checked={noFridays}
+            onChange={(e) => setNoFridays(e.target.checked)}
+            className="h-4 w-4 text-blue-500 border-gray-300 rounded focus:ring-blue-500"
+          />
+          <label htmlFor="noFridays" className="ml-2 text-sm text-gray-700">
+            Exclude Fridays
+          </label>
         </div>
 
-        {/* Meeting Suggestions */}
-        {suggestions && suggestions.length > 0 && (
-          <div className="space-y-6 mt-10">
-            {suggestions.map((suggestion, i) => (
-              <div 
-                key={i}
-                className="p-6 border-2 border-gray-100 rounded-lg bg-white hover:bg-blue-50 cursor-pointer transition-all duration-200 hover:shadow-lg text-lg shadow"  
+        <div className="flex items-center gap-3 py-2">
+          <input
+            type="checkbox"
+            id="recurring"
+            checked={recurring}
+            onChange={(e) => setRecurring(e.target.checked)}
+            className="h-4 w-4 text-blue-500 border-gray-300 rounded focus:ring-blue-500"
+          />
+          <label htmlFor="recurring" className="text-sm text-gray-700">
+            Recurring meeting
+          </label>
+          {recurring && (
+            <>
+              <select
+                className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                value={frequency}
+                onChange={(e) => setFrequency(e.target.value)}
               >
-                <div className="font-semibold text-blue-600">
-                  {suggestion.localTimes[0].dayOfWeek}  
-                </div>
-                <div className="text-2xl font-medium mt-1">
-                  {suggestion.localTimes[0].localStart} - {suggestion.localTimes[0].localEnd}
-                </div>
-              </div>
-            ))}
-            
-        
-        {/* Error Display */}
-        {error && (
-          <div className="text-red-500 text-center p-6 bg-red-50 rounded-lg mt-6 text-lg border-2 border-red-100">
-            {error}
-          </div>  
-        )}
-
-        {/* No Results Message */} 
-        {suggestions && !suggestions.length && (
-          <div className="text-center text-gray-500 p-6 bg-gray-50 rounded-lg mt-6 text-lg border-2 border-gray-100">
-            No available times found. Try a different time range.
-          </div>
-        )}
-      </CardContent>
-    </Card>
+                <option value="weekly">Weekly</option>
+                <option value="biweekly">Every 2 weeks</option>
+              </select>
+              <input
+                type="number"
+                min="2"
+                max="26"
+                className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                value={occurrences}
+                onChange={(e) => setOccurrences(e.target.value)}
+              />
+              <span className="text-sm text-gray-700">times</span>
+            </>
+          )}
+        </div>
+        {fieldErrors.recurrence && <p className="text-sm text-red-600">{fieldErrors.recurrence}</p>}
+
+        <RoomsEditor value={roomSearch} onChange={setRoomSearch} error={fieldErrors.rooms} />
+
+        <RankingSettings value={ranking} onChange={setRanking} />
+
+        <SearchPresets
+          currentSettings={() => presetFromSearch(searchBody())}
+          onApply={applySettings}
+        />
+
+        <button
+          className="w-full bg-blue-500 text-white px-4 py-3 rounded-md hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed mt-4"
+          onClick={() => handleSubmit()}
+          disabled={loading || attendees.length === 0}
+        >
+          {loading ? 'Finding Times...' : 'Find Available Times'}
+        </button>
+
+        <SearchHistory onRun={runSavedSearch} disabled={loading} />
+
+        <RescheduleForm
+          searchWindow={searchWindow}
+          onFound={showReschedule}
+          onFailure={rescheduleFailed}
+          error={fieldErrors.event}
+        />
+      </div>
+
+      {search && (
+        <SearchResults
+          key={search.version}
+          search={search}
+          session={session}
+          canBook={canBook}
+          onAskForWriteAccess={askForWriteAccess}
+          describeFailure={describeFailure}
+        />
+      )}
+
+      <div className="mt-12 pt-8 border-t">
+        <BookingLinks
+          attendees={attendees}
+          duration={parseInt(duration === 'custom' ? customDuration : duration)}
+          canCreate={canBook}
+          onAllowCreate={() => askForWriteAccess()}
+          preferences={{
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            noFridays,
+            holidayRegions: holidayRegion ? [holidayRegion] : [],
+            buffers: {
+              beforeMinutes: parseInt(bufferBefore),
+              afterMinutes: parseInt(bufferAfter),
+            },
+          }}
+        />
+      </div>
+    </>
   );
 }
@@ -0,0 +1,92 @@
+'use client';
+
+import { useState } from 'react';
+import LoadRulesFields from './LoadRulesFields';
+import { DEFAULT_WEIGHTS } from '../lib/calendarService/scoring';
+
+const RANKING_RULES = [
+  { name: 'preferMornings', label: 'Prefer mornings' },
+  { name: 'avoidLunch', label: 'Avoid lunch' },
+  { name: 'soonerIsBetter', label: 'Sooner is better (per day)' },
+  { name: 'meetingBuffer', label: 'Buffer after other meetings' },
+  { name: 'focusBlocks', label: 'Protect focus blocks' },
+  { name: 'loadRules', label: 'Meeting-load rules (per broken rule)' },
+];
+
+// Scoring weights, the organizer's own meeting-load rules (as form values)
+// and what happens to times that break someone's rules
+export const DEFAULT_RANKING = {
+  scoringWeights: DEFAULT_WEIGHTS,
+  loadRules: undefined,
+  loadRuleMode: 'filter',
+};
+
+// How results are ranked and the organizer's focus-time rules, each behind
+// its own toggle
+export default function RankingSettings({ value, onChange }) {
+  const [showRanking, setShowRanking] = useState(false);
+  const [showLoadRules, setShowLoadRules] = useState(false);
+  const { scoringWeights, loadRules, loadRuleMode } = value;
+
+  return (
+    <div>
+      <button
+        type="button"
+        className="text-sm text-blue-600 hover:underline"
+        onClick={() => setShowRanking(!showRanking)}
+      >
+        {showRanking ? 'Hide' : 'Adjust'} ranking preferences
+      </button>
+      <button
+        type="button"
+        className="ml-4 text-sm text-blue-600 hover:underline"
+        onClick={() => setShowLoadRules(!showLoadRules)}
+      >
+        {showLoadRules ? 'Hide' : 'Protect'} my focus time
+      </button>
+      {showLoadRules && (
+        <div className="mt-3 space-y-2">
+          <LoadRulesFields value={loadRules} onChange={(rules) => onChange({ ...value, loadRules: rules })} />
+          <p className="text-xs text-gray-600">
+            Attendees' own rules are under "Set time zones, working hours & optional attendees".
+          </p>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            When a time breaks someone's rules
+            <select
+              className="px-2 py-1 border border-gray-300 rounded-md"
+              value={loadRuleMode}
+              onChange={(e) => onChange({ ...value, loadRuleMode: e.target.value })}
+            >
+              <option value="filter">Don't suggest it</option>
+              <option value="penalize">Rank it lower</option>
+            </select>
+          </label>
+        </div>
+      )}
+      {showRanking && (
+        <div className="mt-3 space-y-2">
+          {RANKING_RULES.map(rule => (
+            <div key={rule.name} className="flex items-center justify-between text-sm">
+              <label htmlFor={`weight-${rule.name}`} className="text-gray-700">
+                {rule.label}
+              </label>
+              <input
+                id={`weight-${rule.name}`}
+                type="range"
+                min="0"
+                max="20"
+                className="w-40"
+                value={scoringWeights[rule.name]}
+                onChange={(e) => onChange({
+                  ...value,
+                  scoringWeights: { ...scoringWeights, [rule.name]: Number(e.target.value) },
+                })}
+              />
+              <span className="w-6 text-right text-gray-600">{scoringWeights[rule.name]}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+'use client';
+
+import { useState } from 'react';
+
+// Finds new times for an existing event. Its attendees, length and room come
+// from the event; `searchWindow()` gives the range, result count and
+// preferences from the scheduler's form. `onFound(data)` gets the API's
+// response, `onFailure(status, data)` its error.
+export default function RescheduleForm({ searchWindow, onFound, onFailure, error }) {
+  const [event, setEvent] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleReschedule = async () => {
+    setLoading(true);
+
+    try {
+      const response = await fetch('/api/calendar/reschedule', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ event, ...searchWindow() }),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        onFound(data);
+      } else {
+        onFailure(response.status, data);
+      }
+    } catch (error) {
+      onFailure(0, { error: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Or reschedule an existing event
+      </label>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          placeholder="Event ID or Google Calendar link"
+          value={event}
+          onChange={(e) => setEvent(e.target.value)}
+        />
+        <button
+          type="button"
+          className="px-4 py-2 border border-blue-500 text-blue-600 rounded-md hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={handleReschedule}
+          disabled={loading || !event.trim()}
+        >
+          {loading ? 'Finding Times...' : 'Find new times'}
+        </button>
+      </div>
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+      <p className="mt-1 text-xs text-gray-500">
+        Uses the event's attendees and length with the range and preferences above. Attendees are emailed when it moves.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+'use client';
+
+const EMPTY_ROOM = { email: '', name: '', capacity: '', location: '' };
+
+export const NO_ROOMS = { enabled: false, rooms: [EMPTY_ROOM], location: '' };
+
+const ROOM_INPUTS = [
+  { field: 'email', placeholder: 'Room calendar ID', span: 'col-span-3' },
+  { field: 'name', placeholder: 'Name', span: 'col-span-2' },
+  { field: 'capacity', placeholder: 'Seats', span: '', type: 'number' },
+  { field: 'location', placeholder: 'Location', span: '' },
+];
+
+// Form values -> the search's `rooms` and `roomFilter`, or nothing when no
+// room is needed
+export function toRoomSearch(form) {
+  const rooms = form.rooms.filter(room => room.email.trim());
+  if (!form.enabled || rooms.length === 0) return {};
+  return {
+    rooms: rooms.map(room => ({
+      email: room.email.trim(),
+      name: room.name.trim() || undefined,
+      capacity: room.capacity ? parseInt(room.capacity) : undefined,
+      location: room.location.trim() || undefined,
+    })),
+    ...(form.location.trim() && { roomFilter: { location: form.location.trim() } }),
+  };
+}
+
+// A search's `rooms` and `roomFilter` -> form values
+export function fromRoomSearch(search) {
+  if (!search.rooms) return NO_ROOMS;
+  return {
+    enabled: true,
+    rooms: search.rooms.map(room => ({ ...EMPTY_ROOM, ...room, capacity: room.capacity ? String(room.capacity) : '' })),
+    location: search.roomFilter?.location || '',
+  };
+}
+
+// Rooms a meeting can be held in, behind a "Need a room?" toggle
+export default function RoomsEditor({ value, onChange, error }) {
+  const { enabled, rooms, location } = value;
+
+  return (
+    <div>
+      <button
+        type="button"
+        className="text-sm text-blue-600 hover:underline"
+        onClick={() => onChange({ ...value, enabled: !enabled })}
+      >
+        {enabled ? 'Don\'t need' : 'Need'} a room?
+      </button>
+      {enabled && (
+        <div className="mt-3 space-y-2 text-sm">
+          <p className="text-gray-600">
+            Only times when one of these rooms is free (and fits everyone) are suggested.
+          </p>
+          {rooms.map((room, index) => (
+            <div key={index} className="grid grid-cols-7 gap-2">
+              {ROOM_INPUTS.map(input => (
+                <input
+                  key={input.field}
+                  type={input.type || 'text'}
+                  min={input.type === 'number' ? '1' : undefined}
+                  className={`${input.span} px-2 py-1 border border-gray-300 rounded-md`}
+                  placeholder={input.placeholder}
+                  value={room[input.field]}
+                  onChange={(e) => onChange({
+                    ...value,
+                    rooms: rooms.map((other, i) => (i === index ? { ...other, [input.field]: e.target.value } : other)),
+                  })}
+                />
+              ))}
+            </div>
+          ))}
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              className="text-blue-600 hover:underline"
+              onClick={() => onChange({ ...value, rooms: [...rooms, EMPTY_ROOM] })}
+            >
+              Add room
+            </button>
+            <input
+              type="text"
+              className="flex-1 px-2 py-1 border border-gray-300 rounded-md"
+              placeholder="Only rooms in (e.g. Berlin)"
+              value={location}
+              onChange={(e) => onChange({ ...value, location: e.target.value })}
+            />
+          </div>
+          {error && <p className="text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
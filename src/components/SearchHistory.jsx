@@ -0,0 +1,93 @@
+'use client';
+
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { requestJson } from '../lib/requestJson';
+import { describeAttendees, describeSettings } from '../lib/searchHistory/summary';
+
+function formatWhen(iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+// The user's past searches, newest first, each with what was booked from it
+// and a button to run it again
+export default function SearchHistory({ onRun, disabled }) {
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+
+  const { data: searches = [], isLoading } = useQuery({
+    queryKey: ['searches'],
+    queryFn: async () => (await requestJson('/api/history')).searches,
+    enabled: open,
+  });
+
+  const remove = useMutation({
+    mutationFn: (id) => requestJson(`/api/history/${id}`, { method: 'DELETE' }),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['searches'] }),
+  });
+
+  return (
+    <div className="text-sm">
+      <button
+        type="button"
+        className="text-blue-600 hover:underline"
+        onClick={() => setOpen(!open)}
+      >
+        {open ? 'Hide' : 'Show'} past searches
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          {isLoading && <p className="text-gray-500">Loading…</p>}
+          {!isLoading && searches.length === 0 && <p className="text-gray-500">No searches yet.</p>}
+          {searches.map(entry => (
+            <div key={entry.id} className="p-3 border border-gray-200 rounded-md">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <p className="font-medium">{describeAttendees(entry.search.attendees)}</p>
+                  <p className="text-gray-600">
+                    {[...describeSettings(entry.search), `${entry.resultCount} result${entry.resultCount === 1 ? '' : 's'}`].join(' · ')}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatWhen(entry.createdAt)}
+                    {entry.booked && (
+                      <>
+                        {' · booked '}
+                        <a href={entry.booked.htmlLink} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                          {formatWhen(entry.booked.start)}
+                        </a>
+                      </>
+                    )}
+                  </p>
+                </div>
+                <div className="flex gap-3 shrink-0">
+                  <button
+                    type="button"
+                    className="text-blue-600 hover:underline disabled:opacity-50"
+                    onClick={() => onRun(entry.search)}
+                    disabled={disabled}
+                  >
+                    Run again
+                  </button>
+                  <button
+                    type="button"
+                    className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                    onClick={() => remove.mutate(entry.id)}
+                    disabled={remove.isPending}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+          {remove.error && <p className="text-red-600">{remove.error.message}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+'use client';
+
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { requestJson } from '../lib/requestJson';
+import { describeSettings } from '../lib/searchHistory/summary';
+
+// Named search settings ("30-min 1:1, mornings, no Fridays"): one click fills
+// in the form, and the form's current settings can be saved as a new preset
+export default function SearchPresets({ currentSettings, onApply }) {
+  const queryClient = useQueryClient();
+  const [name, setName] = useState('');
+
+  const { data: presets = [] } = useQuery({
+    queryKey: ['presets'],
+    queryFn: async () => (await requestJson('/api/presets')).presets,
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['presets'] });
+
+  const create = useMutation({
+    mutationFn: () => requestJson('/api/presets', {
+      method: 'POST',
+      body: JSON.stringify({ name, settings: currentSettings() }),
+    }),
+    onSuccess: () => {
+      setName('');
+      refresh();
+    },
+  });
+
+  const remove = useMutation({
+    mutationFn: (id) => requestJson(`/api/presets/${id}`, { method: 'DELETE' }),
+    onSuccess: refresh,
+  });
+
+  const error = create.error || remove.error;
+
+  return (
+    <div className="space-y-2 text-sm">
+      <label className="block text-sm font-medium text-gray-700">
+        Presets
+      </label>
+      {presets.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {presets.map(preset => (
+            <span key={preset.id} className="inline-flex items-center bg-blue-50 rounded-full">
+              <button
+                type="button"
+                className="pl-3 pr-2 py-1 text-blue-700 hover:underline"
+                title={describeSettings(preset.settings).join(', ')}
+                onClick={() => onApply(preset.settings)}
+              >
+                {preset.name}
+              </button>
+              <button
+                type="button"
+                className="pr-3 py-1 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                onClick={() => remove.mutate(preset.id)}
+                disabled={remove.isPending}
+                aria-label={`Delete preset ${preset.name}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="flex gap-2">
+        <input
+          type="text"
+          className="flex-1 px-3 py-1 border border-gray-300 rounded-md"
+          placeholder="Save these settings as…"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button
+          type="button"
+          className="px-3 py-1 text-blue-600 border border-blue-500 rounded-md hover:bg-blue-50 disabled:opacity-50"
+          onClick={() => create.mutate()}
+          disabled={create.isPending || !name.trim()}
+        >
+          Save preset
+        </button>
+      </div>
+      {error && <p className="text-red-600">{error.message}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,370 @@
+'use client';
+
+import { useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import AvailabilityHeatmap from './AvailabilityHeatmap';
+import { buildInvite, inviteFilename } from '../lib/ics/invite';
+
+const CALENDAR_WARNINGS = {
+  not_found: email => `We couldn't find a calendar for ${email}; times may conflict.`,
+  no_access: email => `We couldn't see ${email}'s calendar; times may conflict.`,
+  error: email => `Google couldn't load ${email}'s calendar; times may conflict.`,
+  ics_unavailable: email => `We couldn't load the calendar file for ${email}; times may conflict.`,
+  not_connected: email => `${email}'s calendar is on a system you haven't connected; times may conflict.`,
+};
+
+const ROOM_WARNINGS = {
+  unsuitable: room => `${room} is too small or in another location.`,
+  not_found: room => `We couldn't find the calendar for ${room}.`,
+  no_access: room => `We can't see ${room}'s calendar, so it wasn't offered.`,
+  error: room => `Google couldn't load ${room}'s calendar, so it wasn't offered.`,
+  not_connected: room => `${room} is on a system you haven't connected.`,
+};
+
+const GROUP_NOTES = {
+  expanded: group => `${group.email} was searched as its ${group.members.length} members.`,
+  too_large: group => `${group.email} has too many members (${group.members.length}) to search individually.`,
+  unresolved: group => `${group.email} looks like a group we couldn't expand; its members weren't checked.`,
+};
+
+// Broken load rules not already given as the reason someone can't attend
+function ruleNotes(slot) {
+  return (slot.ruleViolations || [])
+    .filter(violation => !slot.missingAttendees?.some(person => person.email === violation.email && person.reason === 'loadRule'))
+    .map(violation => `${violation.email} – ${violation.message}`);
+}
+
+function downloadInvite(slot, { title, description, organizer, attendees }) {
+  const ics = buildInvite({ slot, title, description, organizer, attendees });
+  const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = inviteFilename(slot, title);
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Who can't make a slot, broken rules, the room, how a series fares and why
+// it ranked where it did
+function SlotDetails({ slot, rank }) {
+  return (
+    <div>
+      <div>
+        {new Date(slot.start).toLocaleDateString()} at{' '}
+        {new Date(slot.start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })} -{' '}
+        {new Date(slot.end).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+      </div>
+      {slot.picked && <p className="mt-1 text-xs text-blue-700">Picked from the heatmap</p>}
+      {slot.localTimes?.length > 1 && (
+        <ul className="mt-1 text-xs text-gray-600">
+          {slot.localTimes.map(local => (
+            <li key={local.email}>
+              {local.dayOfWeek} {local.localStart} – {local.localEnd} for {local.email}
+            </li>
+          ))}
+        </ul>
+      )}
+      {slot.missingAttendees?.length > 0 && (
+        <p className="mt-1 text-xs text-red-700">
+          Can't attend:{' '}
+          {slot.missingAttendees.map(person =>
+            `${person.email}${person.optional ? ' (optional)' : ''}${person.reason === 'outsideWorkingHours' ? ' – outside working hours' : ''}${person.reason === 'loadRule' ? ` – ${person.message}` : ''}`
+          ).join(', ')}
+        </p>
+      )}
+      {ruleNotes(slot).length > 0 && (
+        <p className="mt-1 text-xs text-yellow-800">
+          Breaks meeting-load rules: {ruleNotes(slot).join(', ')}
+        </p>
+      )}
+      {slot.room && (
+        <p className="mt-1 text-xs text-gray-700">
+          Room: {slot.room.name || slot.room.email}
+          {slot.room.capacity && ` (${slot.room.capacity} seats)`}
+          {slot.room.location && ` · ${slot.room.location}`}
+        </p>
+      )}
+      {slot.occurrences && (
+        <div className="mt-1 text-xs">
+          <p className={slot.conflictingOccurrences > 0 ? 'text-yellow-800' : 'text-green-700'}>
+            Works for {slot.occurrences.length - slot.conflictingOccurrences} of {slot.occurrences.length} occurrences
+          </p>
+          <ul className="text-red-700">
+            {slot.occurrences.filter(occurrence => occurrence.conflict).map(occurrence => (
+              <li key={occurrence.start}>
+                {new Date(occurrence.start).toLocaleDateString()}:{' '}
+                {occurrence.holiday || occurrence.missingAttendees
+                  .filter(person => !person.optional)
+                  .map(person => person.email)
+                  .join(', ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {slot.scoreBreakdown && (
+        <details className="mt-1 text-xs text-gray-600">
+          <summary className="cursor-pointer">
+            #{rank} · score {slot.score} – why?
+          </summary>
+          <ul className="mt-1">
+            {slot.scoreBreakdown.length > 0 ? slot.scoreBreakdown.map(entry => (
+              <li key={entry.rule} className={entry.points > 0 ? 'text-green-700' : 'text-red-700'}>
+                {entry.points > 0 ? '+' : ''}{entry.points} {entry.label}
+              </li>
+            )) : (
+              <li>No rules applied</li>
+            )}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
+
+// The results of a search or reschedule, with warnings about calendars that
+// couldn't be read, an optional heatmap, and booking (or moving the event)
+// per slot. `search` is what the scheduler got back: { results, bestEffort,
+// calendarStatus, roomStatus, groupStatus, attendees, request, searchId,
+// rescheduling, draft }. Booking needs write access; without it
+// `onAskForWriteAccess(draft)` is called with the title, description and
+// picked slots so far, to come back as `search.draft`.
+export default function SearchResults({ search, session, canBook, onAskForWriteAccess, describeFailure }) {
+  const queryClient = useQueryClient();
+  const { bestEffort, calendarStatus, roomStatus, groupStatus, request, rescheduling } = search;
+  const [picked, setPicked] = useState(search.draft?.picked || []);
+  const [heatmap, setHeatmap] = useState(null);
+  const [heatmapLoading, setHeatmapLoading] = useState(false);
+  const [title, setTitle] = useState(search.draft?.title || '');
+  const [description, setDescription] = useState(search.draft?.description || '');
+  const [bookingIndex, setBookingIndex] = useState(null);
+  const [bookedEvents, setBookedEvents] = useState({});
+  const [error, setError] = useState('');
+
+  // Heatmap cells picked by hand go to the top
+  const results = [...picked, ...search.results];
+
+  const askForWriteAccess = () => onAskForWriteAccess({ title, description, picked });
+
+  // Same search as the results, as a per-slot heatmap. Recurrence and rooms
+  // don't apply to it.
+  const loadHeatmap = async () => {
+    setHeatmapLoading(true);
+    setError('');
+
+    try {
+      const { recurrence, rooms, roomFilter, maxResults, ...body } = request;
+      const response = await fetch('/api/calendar', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...body, mode: 'heatmap' }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(describeFailure(response.status, data));
+      }
+      setHeatmap(data.heatmap);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setHeatmapLoading(false);
+    }
+  };
+
+  const pickSlot = (cell) => {
+    if (results.some(slot => slot.start === cell.start)) return;
+    setPicked([{ start: cell.start, end: cell.end, missingAttendees: cell.unavailable, picked: true }, ...picked]);
+  };
+
+  const handleBook = async (slot, index) => {
+    if (!canBook) {
+      askForWriteAccess();
+      return;
+    }
+    setBookingIndex(index);
+    setError('');
+
+    try {
+      const response = rescheduling
+        ? await fetch(`/api/calendar/events/${encodeURIComponent(rescheduling.id)}`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            slot: { start: slot.start, end: slot.end },
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          }),
+        })
+        : await fetch('/api/calendar/book', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            slot: { start: slot.start, end: slot.end },
+            title,
+            description,
+            attendees: search.attendees,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            recurrence: slot.recurrence,
+            room: slot.room,
+            searchId: search.searchId || undefined,
+          }),
+        });
+
+      const data = await response.json();
+      if (!response.ok) {
+        // Access granted in another tab or revoked since the page loaded
+        if (data.code === 'write_scope_required') {
+          askForWriteAccess();
+          return;
+        }
+        throw new Error(describeFailure(response.status, data));
+      }
+
+      // A moved event can only be in one place
+      setBookedEvents(prev => ({ ...(!rescheduling && prev), [slot.start]: data.htmlLink }));
+      if (!rescheduling) queryClient.invalidateQueries({ queryKey: ['searches'] });
+    } catch (error) {
+      console.error('Booking error:', error);
+      setError(error.message);
+    } finally {
+      setBookingIndex(null);
+    }
+  };
+
+  return (
+    <div className="mt-12 space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Available Times:</h2>
+        {request && !request.recurrence && (
+          <button
+            type="button"
+            className="text-sm text-blue-600 hover:underline disabled:opacity-50"
+            onClick={() => (heatmap ? setHeatmap(null) : loadHeatmap())}
+            disabled={heatmapLoading}
+          >
+            {heatmapLoading ? 'Loading heatmap...' : heatmap ? 'Hide heatmap' : 'Show availability heatmap'}
+          </button>
+        )}
+      </div>
+      {rescheduling && (
+        <p className="p-3 text-sm text-blue-800 bg-blue-50 rounded-md">
+          Moving{' '}
+          <a href={rescheduling.htmlLink} target="_blank" rel="noopener noreferrer" className="underline">
+            {rescheduling.summary || 'event'}
+          </a>{' '}
+          from {new Date(rescheduling.start).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+          {rescheduling.room && ` in ${rescheduling.room.name || rescheduling.room.email}`}.
+        </p>
+      )}
+      {heatmap && <AvailabilityHeatmap heatmap={heatmap} onPick={pickSlot} />}
+      {calendarStatus.some(calendar => calendar.status !== 'visible') && (
+        <ul className="p-3 text-sm text-orange-800 bg-orange-50 rounded-md space-y-1">
+          {calendarStatus
+            .filter(calendar => calendar.status !== 'visible')
+            .map(calendar => (
+              <li key={calendar.email}>{CALENDAR_WARNINGS[calendar.status](calendar.email)}</li>
+            ))}
+        </ul>
+      )}
+      {roomStatus.some(room => room.status !== 'visible') && (
+        <ul className="p-3 text-sm text-orange-800 bg-orange-50 rounded-md space-y-1">
+          {roomStatus
+            .filter(room => room.status !== 'visible')
+            .map(room => (
+              <li key={room.email}>{ROOM_WARNINGS[room.status](room.email)}</li>
+            ))}
+        </ul>
+      )}
+      {groupStatus.length > 0 && (
+        <ul className="p-3 text-sm text-gray-700 bg-gray-50 rounded-md space-y-1">
+          {groupStatus.map(group => (
+            <li key={group.email} className={group.status === 'expanded' ? '' : 'text-orange-800'}>
+              {GROUP_NOTES[group.status](group)}
+            </li>
+          ))}
+        </ul>
+      )}
+      {bestEffort && (
+        <p className="p-3 text-sm text-yellow-800 bg-yellow-50 rounded-md">
+          {results[0]?.occurrences
+            ? 'No series works for every occurrence. These have the fewest conflicts.'
+            : 'No time works for every required attendee. These are the times the most people can attend.'}
+        </p>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {results.length > 0 ? (
+        <div className="space-y-3">
+          {!rescheduling && (
+            <div className="space-y-3">
+              <input
+                type="text"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                placeholder="Meeting title"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+              />
+              <textarea
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                rows="2"
+                placeholder="Description (optional)"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+              />
+            </div>
+          )}
+          {!canBook && (
+            <p className="text-sm text-gray-600">
+              {rescheduling ? 'Moving' : 'Booking'} needs permission to edit your Google Calendar. Google will ask once, the first time you {rescheduling ? 'move an event' : 'book'}.
+            </p>
+          )}
+          {results.map((slot, index) => (
+            <div key={index} className="p-4 bg-gray-50 rounded-md flex items-center justify-between">
+              <SlotDetails slot={slot} rank={index + 1} />
+              <div className="flex flex-col items-end gap-2">
+                <button
+                  className="text-xs text-blue-600 hover:underline"
+                  onClick={() => downloadInvite(slot, {
+                    title: rescheduling?.summary || title || 'Meeting',
+                    description,
+                    organizer: session.user.email,
+                    attendees: search.attendees,
+                  })}
+                >
+                  Download .ics
+                </button>
+                {bookedEvents[slot.start] ? (
+                  <a
+                    href={bookedEvents[slot.start]}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-sm text-green-700 hover:underline"
+                  >
+                    {rescheduling ? 'Moved' : 'Booked'} – view event
+                  </a>
+                ) : (
+                  <button
+                    className="px-3 py-1 text-sm text-white bg-blue-500 rounded-md hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={() => handleBook(slot, index)}
+                    disabled={bookingIndex !== null}
+                  >
+                    {bookingIndex === index
+                      ? (rescheduling ? 'Moving...' : 'Booking...')
+                      : (rescheduling ? 'Move here' : 'Book')}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-gray-600">No available times found. Try different parameters.</p>
+      )}
+    </div>
+  );
+}
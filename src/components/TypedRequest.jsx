@@ -0,0 +1,63 @@
+'use client';
+
+import { useState } from 'react';
+import { parseSchedulingRequest } from '../lib/naturalLanguage';
+
+// A free-text request ("45 min with alice@x.com next week, afternoons, not
+// Friday"), shown back as what was and wasn't understood. `onSubmit(body)`
+// gets the parsed search body.
+export default function TypedRequest({ onSubmit, disabled }) {
+  const [request, setRequest] = useState('');
+  const [parsed, setParsed] = useState(null);
+
+  const handleSubmit = () => {
+    const result = parseSchedulingRequest(request, {
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    });
+    setParsed(result);
+    onSubmit(result.body);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Describe the meeting
+      </label>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+          placeholder="45 min with alice@example.com next week, afternoons, not Friday"
+          value={request}
+          onChange={(e) => setRequest(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && request.trim() && !disabled && handleSubmit()}
+        />
+        <button
+          type="button"
+          className="px-4 py-2 border border-blue-500 text-blue-600 rounded-md hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={handleSubmit}
+          disabled={disabled || !request.trim()}
+        >
+          Find times
+        </button>
+      </div>
+      {parsed && (
+        <div className="mt-1 text-sm">
+          {parsed.understood.length > 0 && (
+            <p className="text-gray-600">
+              Understood: {parsed.understood.map(part => part.description).join(' · ')}
+            </p>
+          )}
+          {parsed.unparsed.length > 0 && (
+            <p className="text-amber-700">
+              Didn&apos;t understand: {parsed.unparsed.map(part => `“${part}”`).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+      <p className="mt-1 text-xs text-gray-500">
+        Or fill in the form below. Times of day and left-out weekdays apply to this search only.
+      </p>
+    </div>
+  );
+}
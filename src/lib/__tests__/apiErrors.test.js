@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { ApiError, errorResponse, mapGoogleError } from '../apiErrors';
+
+// Shaped like the gaxios errors googleapis throws
+const googleError = (status, reason, headers = {}) => Object.assign(new Error(`Google ${status}`), {
+  code: status,
+  response: { status, headers, data: { error: { errors: [{ reason }] } } },
+  errors: [{ reason }]
+});
+
+describe('mapGoogleError', () => {
+  it('maps invalid credentials to 401', () => {
+    expect(mapGoogleError(googleError(401, 'authError'))).toMatchObject({
+      status: 401,
+      code: 'token_expired',
+      details: { provider: 'google' }
+    });
+  });
+
+  it('maps a revoked refresh token to 401', () => {
+    const error = Object.assign(new Error('invalid_grant'), {
+      response: { status: 400, data: { error: 'invalid_grant' } }
+    });
+    expect(mapGoogleError(error).status).toBe(401);
+  });
+
+  it('maps 403 rate limit reasons and 429 to 429 with retry-after', () => {
+    expect(mapGoogleError(googleError(403, 'userRateLimitExceeded'))).toMatchObject({
+      status: 429,
+      details: { retryAfter: 30 }
+    });
+    expect(mapGoogleError(googleError(429, 'rateLimitExceeded', { 'retry-after': '12' })).details.retryAfter).toBe(12);
+  });
+
+  it('maps other 403s to calendar_not_shared with the calendar ID', () => {
+    const mapped = mapGoogleError(googleError(403, 'forbidden'), { calendarId: 'bob@example.com' });
+    expect(mapped).toMatchObject({
+      status: 403,
+      code: 'calendar_not_shared',
+      details: { calendarId: 'bob@example.com' }
+    });
+    expect(mapped.message).toContain('bob@example.com');
+  });
+
+  it('passes ApiErrors through unchanged', () => {
+    const error = new ApiError(418, 'teapot', 'Short and stout');
+    expect(mapGoogleError(error)).toBe(error);
+  });
+});
+
+describe('errorResponse', () => {
+  it('sets Retry-After on rate limits', async () => {
+    const response = errorResponse(googleError(429, 'rateLimitExceeded', { 'retry-after': '7' }));
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('7');
+    expect(await response.json()).toMatchObject({ code: 'rate_limited', retryAfter: 7 });
+  });
+
+  it('falls back to 500 for unexpected errors', async () => {
+    const response = errorResponse(new TypeError('boom'));
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toMatchObject({ code: 'internal_error', details: 'boom' });
+  });
+});
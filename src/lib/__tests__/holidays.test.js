@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { createHolidayChecker, getHolidays } from '../holidays';
+
+const holidayOn = (year, region, date) =>
+  getHolidays(year, region).find(holiday => holiday.date === date)?.name;
+
+describe('getHolidays', () => {
+  it.each([
+    // Weekend dates moved to the next free weekday
+    ['UK', 2021, '2021-12-27', 'Christmas Day (observed)'],
+    ['UK', 2021, '2021-12-28', 'Boxing Day (observed)'],
+    ['UK', 2022, '2022-01-03', "New Year's Day (observed)"],
+    ['UK', 2022, '2022-12-26', 'Boxing Day'],
+    ['UK', 2022, '2022-12-27', 'Christmas Day (observed)'],
+    ['CA', 2022, '2022-12-27', 'Christmas Day (observed)'],
+    ['CA', 2018, '2018-07-02', 'Canada Day (observed)'],
+    // Nearest weekday: Saturday to Friday, Sunday to Monday
+    ['US', 2026, '2026-07-03', 'Independence Day (observed)'],
+    ['US', 2021, '2021-06-18', 'Juneteenth (observed)'],
+    ['US', 2022, '2022-12-26', 'Christmas Day (observed)'],
+    // Easter-relative
+    ['UK', 2024, '2024-03-29', 'Good Friday'],
+    ['UK', 2024, '2024-04-01', 'Easter Monday'],
+    ['UK', 2025, '2025-04-21', 'Easter Monday'],
+    ['DE', 2019, '2019-04-22', 'Ostermontag'],
+    ['DE', 2024, '2024-05-09', 'Christi Himmelfahrt'],
+    ['DE', 2024, '2024-05-20', 'Pfingstmontag'],
+    // Last and nth weekday of the month
+    ['US', 2024, '2024-05-27', 'Memorial Day'],
+    ['US', 2021, '2021-05-31', 'Memorial Day'],
+    ['UK', 2023, '2023-05-29', 'Spring Bank Holiday'],
+    ['UK', 2024, '2024-08-26', 'Summer Bank Holiday'],
+    ['US', 2024, '2024-11-28', 'Thanksgiving'],
+    ['US', 2025, '2025-01-20', 'Martin Luther King Jr. Day'],
+    // Monday on or before May 24
+    ['CA', 2024, '2024-05-20', 'Victoria Day'],
+    ['CA', 2021, '2021-05-24', 'Victoria Day']
+  ])('%s %i: %s is %s', (region, year, date, name) => {
+    expect(holidayOn(year, region, date)).toBe(name);
+  });
+
+  it.each([
+    // Canada Day only moves off a Sunday
+    ['CA', 2023, '2023-07-01'],
+    // German holidays stay on the weekend
+    ['DE', 2021, '2021-12-25']
+  ])('%s %i keeps %s where it falls', (region, year, date) => {
+    expect(holidayOn(year, region, date)).toBeDefined();
+  });
+
+  it('never puts two holidays on one day', () => {
+    for (const region of ['US', 'UK', 'CA', 'DE']) {
+      for (let year = 2015; year <= 2030; year++) {
+        const dates = getHolidays(year, region).map(holiday => holiday.date);
+        expect(new Set(dates).size, `${region} ${year}`).toBe(dates.length);
+      }
+    }
+  });
+
+  it('rejects unknown regions', () => {
+    expect(() => getHolidays(2024, 'XX')).toThrow('Unknown holiday region: XX');
+  });
+});
+
+describe('createHolidayChecker', () => {
+  it("counts next year's New Year's Day observed on Dec 31", () => {
+    const isHoliday = createHolidayChecker({ regions: ['US'] });
+
+    expect(isHoliday('2021-12-31')).toBe("New Year's Day (observed)");
+    expect(isHoliday('2022-01-01')).toBeNull();
+  });
+
+  it('combines regions and company shutdown ranges', () => {
+    const isHoliday = createHolidayChecker({
+      regions: ['US', 'UK'],
+      customHolidays: ['2024-07-05', { start: '2024-12-23', end: '2024-12-24', name: 'Winter shutdown' }]
+    });
+
+    expect(isHoliday('2024-04-01')).toBe('Easter Monday');
+    expect(isHoliday('2024-07-04')).toBe('Independence Day');
+    expect(isHoliday('2024-07-05')).toBe('Company holiday');
+    expect(isHoliday('2024-12-23')).toBe('Winter shutdown');
+    expect(isHoliday('2024-12-27')).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import event from './fixtures/event-weekly-sync.json';
+import { movePatch, parseEventId, rescheduleDetails } from '../reschedule';
+
+describe('parseEventId', () => {
+  it('accepts IDs and Google Calendar event links', () => {
+    expect(parseEventId(' 4kq8v1r2m3n9sd0example ')).toBe('4kq8v1r2m3n9sd0example');
+    expect(parseEventId(event.htmlLink)).toBe('4kq8v1r2m3n9sd0example');
+  });
+
+  it('rejects links without an event', () => {
+    expect(() => parseEventId('https://calendar.google.com/calendar/r/week'))
+      .toThrow(expect.objectContaining({ status: 400, code: 'invalid_event_id' }));
+  });
+});
+
+describe('rescheduleDetails', () => {
+  it('reads attendees, duration and room from the event', () => {
+    expect(rescheduleDetails(event)).toEqual({
+      id: '4kq8v1r2m3n9sd0example',
+      summary: 'Platform sync',
+      htmlLink: event.htmlLink,
+      start: '2024-11-26T16:00:00.000Z',
+      end: '2024-11-26T16:45:00.000Z',
+      timezone: 'America/Chicago',
+      durationMinutes: 45,
+      attendees: [
+        { email: 'alice@example.com', name: 'Alice Nguyen', optional: false },
+        { email: 'bob@example.com', optional: true }
+      ],
+      room: { email: 'c_1889@resource.calendar.google.com', name: 'Room 4A' }
+    });
+  });
+
+  it('refuses all-day events, whole series and other people\'s events', () => {
+    const allDay = { ...event, start: { date: '2024-11-26' }, end: { date: '2024-11-27' } };
+    expect(() => rescheduleDetails(allDay)).toThrow(expect.objectContaining({ code: 'all_day_event' }));
+    expect(() => rescheduleDetails({ ...event, recurrence: ['RRULE:FREQ=WEEKLY'] }))
+      .toThrow(expect.objectContaining({ code: 'recurring_series' }));
+    expect(() => rescheduleDetails({ ...event, organizer: { email: 'boss@example.com' } }))
+      .toThrow(expect.objectContaining({ status: 403, code: 'not_organizer' }));
+    expect(rescheduleDetails({ ...event, organizer: { email: 'boss@example.com' }, guestsCanModify: true }).id)
+      .toBe(event.id);
+  });
+});
+
+describe('movePatch', () => {
+  it('keeps the event\'s own time zone', () => {
+    const slot = { start: '2024-11-27T15:00:00.000Z', end: '2024-11-27T15:45:00.000Z' };
+
+    expect(movePatch(rescheduleDetails(event), slot, 'Europe/Berlin')).toEqual({
+      start: { dateTime: slot.start, timeZone: 'America/Chicago' },
+      end: { dateTime: slot.end, timeZone: 'America/Chicago' }
+    });
+  });
+});
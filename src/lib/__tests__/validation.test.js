@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_SEARCH_DAYS,
+  bookingSchema,
+  calendarSearchSchema,
+  formatIssues,
+  moveEventSchema,
+  rescheduleSearchSchema
+} from '../validation';
+
+const base = { attendees: ['a@example.com'] };
+
+const issuesFor = (body, schema = calendarSearchSchema) => {
+  const result = schema.safeParse(body);
+  return result.success ? [] : formatIssues(result.error);
+};
+
+describe('calendarSearchSchema', () => {
+  it('fills in defaults and normalizes attendees', () => {
+    const { data } = calendarSearchSchema.safeParse(base);
+
+    expect(data).toEqual({
+      attendees: [{ email: 'a@example.com' }],
+      duration: 30,
+      searchRange: 'week',
+      maxResults: 5,
+      preferences: {},
+      mode: 'suggestions'
+    });
+  });
+
+  it('accepts any duration from 5 minutes to a full day', () => {
+    expect(calendarSearchSchema.parse({ ...base, duration: '45' }).duration).toBe(45);
+    expect(calendarSearchSchema.parse({ ...base, duration: 1440 }).duration).toBe(1440);
+    expect(issuesFor({ ...base, duration: 4 })).toEqual([
+      { path: 'duration', message: 'Duration must be at least 5 minutes' }
+    ]);
+    expect(issuesFor({ ...base, duration: 1441 })[0].path).toBe('duration');
+    expect(issuesFor({ ...base, duration: 'soon' })[0].path).toBe('duration');
+  });
+
+  it('rejects unknown search ranges', () => {
+    expect(issuesFor({ ...base, searchRange: 'hour' })[0].path).toBe('searchRange');
+  });
+
+  it('only offers the heatmap for single meetings without rooms', () => {
+    expect(calendarSearchSchema.parse({ ...base, mode: 'heatmap' }).mode).toBe('heatmap');
+    expect(issuesFor({ ...base, mode: 'heatmap', recurrence: { frequency: 'weekly', occurrences: 4 } }))
+      .toEqual([{ path: 'mode', message: 'The heatmap covers single meetings without rooms' }]);
+  });
+
+  it('validates explicit date ranges', () => {
+    expect(issuesFor({ ...base, startDate: '2024-12-02', endDate: '2024-12-06' })).toEqual([]);
+    expect(issuesFor({ ...base, startDate: '2024-12-02T09:00:00-06:00' })).toEqual([]);
+    expect(issuesFor({ ...base, startDate: 'next tuesday' })[0].path).toBe('startDate');
+    expect(issuesFor({ ...base, startDate: '2024-12-06', endDate: '2024-12-02' })).toEqual([
+      { path: 'endDate', message: 'End date must not be before the start date' }
+    ]);
+    expect(issuesFor({ ...base, startDate: '2024-01-01', endDate: '2024-06-01' })[0].path).toBe('endDate');
+  });
+
+  it('measures an end date without a start date from now', () => {
+    const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    expect(issuesFor({ ...base, endDate: inDays(10) })).toEqual([]);
+    expect(issuesFor({ ...base, endDate: '2035-01-01' })).toEqual([
+      { path: 'endDate', message: `Search windows are limited to ${MAX_SEARCH_DAYS} days` }
+    ]);
+    expect(issuesFor({ ...base, mode: 'heatmap', endDate: '2035-01-01' })[0].path).toBe('endDate');
+    expect(issuesFor({ event: 'abc123', endDate: '2035-01-01' }, rescheduleSearchSchema)[0].path).toBe('endDate');
+  });
+
+  it('bounds the number of results', () => {
+    expect(calendarSearchSchema.parse({ ...base, maxResults: '12' }).maxResults).toBe(12);
+    expect(issuesFor({ ...base, maxResults: 0 })[0].path).toBe('maxResults');
+    expect(issuesFor({ ...base, maxResults: 51 })[0].path).toBe('maxResults');
+  });
+
+  it('requires at least one attendee', () => {
+    expect(issuesFor({})).toEqual([{ path: 'attendees', message: 'Add at least one attendee' }]);
+    expect(issuesFor({ attendees: [] })).toEqual([{ path: 'attendees', message: 'Add at least one attendee' }]);
+  });
+
+  it('reports problems per attendee', () => {
+    const issues = issuesFor({
+      attendees: [
+        'a@example.com',
+        'not-an-email',
+        { email: 'c@example.com', timezone: 'Mars/Olympus' },
+        { email: 'd@example.com', workingHours: { start: 17, end: 9 } }
+      ]
+    });
+
+    expect(issues).toEqual([
+      { path: 'attendees.1.email', message: 'Invalid email address' },
+      { path: 'attendees.2.timezone', message: 'Unknown time zone' },
+      { path: 'attendees.3.workingHours.end', message: 'Working hours must end after they start' }
+    ]);
+  });
+
+  it('accepts an ICS file or feed per attendee', () => {
+    const withIcs = ics => ({ attendees: [{ email: 'partner@partner.example', ics }] });
+
+    expect(issuesFor(withIcs({ url: 'webcal://partner.example/feed.ics' }))).toEqual([]);
+    expect(issuesFor(withIcs({ text: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR' }))).toEqual([]);
+    expect(issuesFor(withIcs({ text: 'hello' })).map(issue => issue.message)).toContain('Not an iCalendar file');
+    expect(issuesFor(withIcs({})).map(issue => issue.path)).toEqual(['attendees.0.ics']);
+  });
+
+  it('validates recurrence settings', () => {
+    expect(calendarSearchSchema.parse({ ...base, recurrence: { frequency: 'weekly', occurrences: '4' } }).recurrence)
+      .toEqual({ frequency: 'weekly', occurrences: 4 });
+    expect(issuesFor({ ...base, recurrence: { frequency: 'daily', occurrences: 1 } }).map(issue => issue.path))
+      .toEqual(['recurrence.frequency', 'recurrence.occurrences']);
+  });
+
+  it('validates preferences', () => {
+    const issues = issuesFor({
+      ...base,
+      preferences: { holidayRegions: ['XX'], buffers: { beforeMinutes: -5 }, customHolidays: ['tomorrow'] }
+    });
+
+    expect(issues.map(issue => issue.path).sort()).toEqual([
+      'preferences.buffers.beforeMinutes',
+      'preferences.customHolidays.0',
+      'preferences.holidayRegions.0'
+    ]);
+  });
+});
+
+describe('bookingSchema', () => {
+  const booking = {
+    slot: { start: '2024-12-02T15:00:00.000Z', end: '2024-12-02T15:30:00.000Z' },
+    title: 'Sync',
+    attendees: ['a@example.com', { email: 'b@example.com', optional: true }]
+  };
+
+  it('accepts a valid booking', () => {
+    expect(bookingSchema.parse(booking).attendees).toEqual([
+      { email: 'a@example.com' },
+      { email: 'b@example.com', optional: true }
+    ]);
+  });
+
+  it('requires a slot that ends after it starts', () => {
+    expect(issuesFor({ ...booking, slot: { start: booking.slot.end, end: booking.slot.start } }, bookingSchema))
+      .toEqual([{ path: 'slot.end', message: 'The slot must end after it starts' }]);
+    expect(issuesFor({ ...booking, slot: undefined }, bookingSchema)[0].path).toBe('slot');
+  });
+
+  it('needs a time zone for recurring bookings', () => {
+    const recurrence = { frequency: 'biweekly', occurrences: 6 };
+    expect(issuesFor({ ...booking, recurrence }, bookingSchema))
+      .toEqual([{ path: 'timezone', message: 'Recurring events need a time zone' }]);
+    expect(issuesFor({ ...booking, recurrence, timezone: 'Europe/Berlin' }, bookingSchema)).toEqual([]);
+  });
+});
+
+describe('rescheduleSearchSchema', () => {
+  it('needs an event and shares the search window checks', () => {
+    expect(rescheduleSearchSchema.parse({ event: 'abc123' })).toEqual({
+      event: 'abc123',
+      searchRange: 'week',
+      maxResults: 5,
+      preferences: {}
+    });
+    expect(issuesFor({ event: ' ' }, rescheduleSearchSchema)).toEqual([
+      { path: 'event', message: 'Enter an event ID or link' }
+    ]);
+    expect(issuesFor({ event: 'abc123', startDate: '2024-12-06', endDate: '2024-12-02' }, rescheduleSearchSchema)[0].path)
+      .toBe('endDate');
+  });
+});
+
+describe('moveEventSchema', () => {
+  it('requires a slot that ends after it starts', () => {
+    const slot = { start: '2024-12-02T15:00:00.000Z', end: '2024-12-02T15:30:00.000Z' };
+    expect(issuesFor({ slot }, moveEventSchema)).toEqual([]);
+    expect(issuesFor({ slot: { start: slot.end, end: slot.start } }, moveEventSchema))
+      .toEqual([{ path: 'slot.end', message: 'The slot must end after it starts' }]);
+  });
+});
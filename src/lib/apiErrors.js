@@ -0,0 +1,180 @@
+import { formatIssues } from './validation';
+
+// Errors the API routes turn into JSON responses. `code` is a stable,
+// machine-readable identifier the client can switch on; `details` is merged
+// into the response body (e.g. calendarId, retryAfter, issues).
+export class ApiError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// What differs between providers when their errors are mapped: names in
+// messages, the provider to sign in with again, and the error codes that
+// mean an expired sign-in or a rate limit whatever the HTTP status
+const PROVIDER_ERRORS = {
+  google: {
+    account: 'Google',
+    service: 'Google Calendar',
+    signInWith: 'google',
+    authReasons: ['authError', 'invalid_grant'],
+    rateLimitReasons: ['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded'],
+  },
+  microsoft: {
+    account: 'Microsoft 365',
+    service: 'Microsoft 365',
+    signInWith: 'azure-ad',
+    authReasons: ['InvalidAuthenticationToken'],
+    rateLimitReasons: ['TooManyRequests'],
+  },
+};
+
+// The status-to-ApiError mapping shared by the providers. `reasons` are the
+// provider's own error codes found on the error.
+function mapStatusError(provider, error, { status, reasons, calendarId }) {
+  const names = PROVIDER_ERRORS[provider];
+
+  if (status === 401 || reasons.some(reason => names.authReasons.includes(reason))) {
+    return new ApiError(
+      401,
+      'token_expired',
+      `Your ${names.account} sign-in has expired. Please sign in again.`,
+      { provider: names.signInWith }
+    );
+  }
+
+  if (status === 429 || reasons.some(reason => names.rateLimitReasons.includes(reason))) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']) || 30;
+    return new ApiError(
+      429,
+      'rate_limited',
+      `${names.service} rate limit reached. Please try again shortly.`,
+      { retryAfter }
+    );
+  }
+
+  if (status === 403) {
+    return new ApiError(
+      403,
+      'calendar_not_shared',
+      calendarId
+        ? `The calendar ${calendarId} is not shared with you.`
+        : 'You do not have access to this calendar.',
+      { calendarId }
+    );
+  }
+
+  if (status === 404) {
+    return new ApiError(404, 'not_found', 'The requested calendar or event was not found.', { calendarId });
+  }
+
+  if (status >= 400 && status < 500) {
+    return new ApiError(400, `${provider}_rejected`, error.message);
+  }
+
+  return new ApiError(502, `${provider}_api_error`, `${names.service} is unavailable right now. Please try again.`);
+}
+
+function googleErrorReasons(error) {
+  const errors = error.errors || error.response?.data?.error?.errors || [];
+  // OAuth token errors come as a plain string, e.g. 'invalid_grant'
+  const oauthError = error.response?.data?.error;
+  return [
+    ...errors.map(entry => entry.reason),
+    ...(typeof oauthError === 'string' ? [oauthError] : []),
+  ];
+}
+
+// Translates a googleapis (gaxios) error into an ApiError. `calendarId`
+// names the calendar the failing call was made against, unless the calendar
+// provider already put one on the error.
+export function mapGoogleError(error, context = {}) {
+  if (error instanceof ApiError) return error;
+
+  return mapStatusError('google', error, {
+    status: error.response?.status ?? (typeof error.code === 'number' ? error.code : undefined),
+    reasons: googleErrorReasons(error),
+    calendarId: error.calendarId ?? context.calendarId,
+  });
+}
+
+// Translates a Microsoft Graph error thrown by the Microsoft calendar
+// provider (see calendarProviders/microsoft) into an ApiError
+export function mapGraphError(error, context = {}) {
+  if (error instanceof ApiError) return error;
+
+  const graphCode = error.response?.data?.error?.code;
+  return mapStatusError('microsoft', error, {
+    status: error.response?.status,
+    reasons: graphCode ? [graphCode] : [],
+    calendarId: error.calendarId ?? context.calendarId,
+  });
+}
+
+// Maps an error from whichever calendar provider threw it
+export function mapProviderError(error, context) {
+  return error.provider === 'microsoft' ? mapGraphError(error, context) : mapGoogleError(error, context);
+}
+
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+export function validationErrorResponse(zodError) {
+  return jsonResponse(
+    { error: 'Invalid request', code: 'invalid_request', issues: formatIssues(zodError) },
+    400
+  );
+}
+
+// Reads a JSON body and validates it; returns { data } or { response } with
+// the 400 to send back
+export async function parseBody(req, schema) {
+  const body = await req.json().catch(() => undefined);
+  if (body === undefined) {
+    return {
+      response: jsonResponse(
+        {
+          error: 'Invalid request',
+          code: 'invalid_request',
+          issues: [{ path: '', message: 'Body must be valid JSON' }],
+        },
+        400
+      ),
+    };
+  }
+
+  const parsed = schema.safeParse(body);
+  return parsed.success
+    ? { data: parsed.data }
+    : { response: validationErrorResponse(parsed.error) };
+}
+
+// Final catch for route handlers: known errors keep their status, Google
+// and Microsoft Graph errors are mapped, anything else is a 500
+export function errorResponse(error, context) {
+  const apiError = error instanceof ApiError || error.response || typeof error.code === 'number'
+    ? mapProviderError(error, context)
+    : null;
+
+  if (!apiError) {
+    return jsonResponse(
+      { error: 'Failed to process request', code: 'internal_error', details: error.message },
+      500
+    );
+  }
+
+  const headers = apiError.details.retryAfter ? { 'Retry-After': String(apiError.details.retryAfter) } : {};
+  return jsonResponse(
+    { error: apiError.message, code: apiError.code, ...apiError.details },
+    apiError.status,
+    headers
+  );
+}
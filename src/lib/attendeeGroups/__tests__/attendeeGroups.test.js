@@ -0,0 +1,210 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  createGroup,
+  deleteGroup,
+  expandDirectoryGroups,
+  groupStatus,
+  listGroups,
+  updateGroup
+} from '..';
+import { createFileStore, createMemoryStore } from '../../storage';
+import { createMemoryCache } from '../../calendarProviders/cache';
+import { attendeeGroupSchema } from '../../validation';
+
+const NOW = Date.parse('2024-11-25T14:00:00Z');
+const ME = 'me@example.com';
+
+// Directory with one group (including a suspended member and a nested
+// group's users); every other address is "not a group"
+function fakeDirectory({ groups = {}, forbidden = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    members: {
+      list: async ({ groupKey, pageToken }) => {
+        calls.push(groupKey);
+        if (forbidden) throw { response: { status: 403 } };
+        const pages = groups[groupKey];
+        if (!pages) throw { response: { status: 404 } };
+        const index = pageToken ? Number(pageToken) : 0;
+        return {
+          data: {
+            members: pages[index],
+            nextPageToken: index + 1 < pages.length ? String(index + 1) : undefined
+          }
+        };
+      }
+    }
+  };
+}
+
+const PLATFORM = {
+  'platform@example.com': [
+    [
+      { email: 'Alice@example.com', type: 'USER', status: 'ACTIVE' },
+      { email: 'bob@example.com', type: 'USER', status: 'SUSPENDED' },
+      { email: 'infra@example.com', type: 'GROUP', status: 'ACTIVE' }
+    ],
+    [
+      { email: 'carol@example.com', type: 'USER', status: 'ACTIVE' },
+      { email: 'me@example.com', type: 'USER', status: 'ACTIVE' }
+    ]
+  ]
+};
+
+describe('attendeeGroupSchema', () => {
+  it('lower-cases and dedupes members', () => {
+    const group = attendeeGroupSchema.parse({
+      name: ' Platform team ',
+      members: ['Alice@Example.com', 'alice@example.com', 'bob@example.com']
+    });
+    expect(group).toEqual({ name: 'Platform team', members: ['alice@example.com', 'bob@example.com'] });
+  });
+
+  it('requires a name and at least one member', () => {
+    expect(attendeeGroupSchema.safeParse({ name: '', members: [] }).success).toBe(false);
+  });
+});
+
+describe('saved groups', () => {
+  it('only lists and edits the owner\'s groups', async () => {
+    const store = createMemoryStore();
+    const group = await createGroup(store, {
+      ownerEmail: ME,
+      group: { name: 'Design review', members: ['alice@example.com'] },
+      now: NOW
+    });
+    await createGroup(store, { ownerEmail: 'other@example.com', group: { name: 'Theirs', members: ['x@example.com'] } });
+
+    expect(group).not.toHaveProperty('ownerEmail');
+    expect((await listGroups(store, ME)).map(entry => entry.name)).toEqual(['Design review']);
+
+    await expect(updateGroup(store, group.id, { ownerEmail: 'other@example.com', changes: { name: 'Mine now' } }))
+      .rejects.toMatchObject({ status: 404, code: 'group_not_found' });
+    await expect(deleteGroup(store, group.id, { ownerEmail: 'other@example.com' }))
+      .rejects.toMatchObject({ code: 'group_not_found' });
+
+    const updated = await updateGroup(store, group.id, {
+      ownerEmail: ME,
+      changes: { members: ['alice@example.com', 'bob@example.com'] },
+      now: NOW + 1000
+    });
+    expect(updated).toMatchObject({ name: 'Design review', members: ['alice@example.com', 'bob@example.com'] });
+    expect(updated.updatedAt).toBe(new Date(NOW + 1000).toISOString());
+  });
+
+  it('keeps groups in a file and removes deleted ones', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'groups-'));
+    try {
+      const filePath = path.join(dir, 'groups.json');
+      const group = await createGroup(createFileStore(filePath, { collection: 'groups' }), {
+        ownerEmail: ME,
+        group: { name: 'Platform team', members: ['alice@example.com'] }
+      });
+
+      const reopened = createFileStore(filePath, { collection: 'groups' });
+      expect(await listGroups(reopened, ME)).toHaveLength(1);
+      await deleteGroup(reopened, group.id, { ownerEmail: ME });
+      expect(await listGroups(createFileStore(filePath, { collection: 'groups' }), ME)).toEqual([]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('expandDirectoryGroups', () => {
+  it('replaces a group with its active users, keeping its settings', async () => {
+    const directory = fakeDirectory({ groups: PLATFORM });
+    const expansion = await expandDirectoryGroups(
+      [
+        { email: 'platform@example.com', optional: true, timezone: 'Europe/London' },
+        { email: 'carol@example.com' }
+      ],
+      { directory, organizer: ME }
+    );
+
+    expect(expansion.attendees).toEqual([
+      { email: 'alice@example.com', optional: true, timezone: 'Europe/London' },
+      { email: 'carol@example.com' }
+    ]);
+    expect(expansion.groups).toEqual([
+      { email: 'platform@example.com', status: 'expanded', members: ['alice@example.com', 'carol@example.com', 'me@example.com'] }
+    ]);
+    expect(expansion.unchecked).toEqual([]);
+  });
+
+  it('leaves calendar-file and Microsoft attendees alone', async () => {
+    const directory = fakeDirectory({ groups: PLATFORM });
+    await expandDirectoryGroups(
+      [
+        { email: 'partner@example.org', ics: { url: 'https://example.org/cal.ics' } },
+        { email: 'someone@contoso.com', provider: 'microsoft' }
+      ],
+      { directory, organizer: ME }
+    );
+    expect(directory.calls).toEqual([]);
+  });
+
+  it('keeps groups that would go over the attendee limit', async () => {
+    const members = Array.from({ length: 60 }, (_, index) => ({
+      email: `person${index}@example.com`,
+      type: 'USER',
+      status: 'ACTIVE'
+    }));
+    const expansion = await expandDirectoryGroups(
+      [{ email: 'everyone@example.com' }],
+      { directory: fakeDirectory({ groups: { 'everyone@example.com': [members] } }), organizer: ME }
+    );
+
+    expect(expansion.attendees).toEqual([{ email: 'everyone@example.com' }]);
+    expect(expansion.groups[0]).toMatchObject({ email: 'everyone@example.com', status: 'too_large' });
+  });
+
+  it('remembers group lookups per viewer until they expire', async () => {
+    let now = NOW;
+    const store = createMemoryCache({ now: () => now });
+    const cache = { store, viewer: ME, ttlMs: 5 * 60 * 1000 };
+    const directory = fakeDirectory({ groups: PLATFORM });
+    const attendees = [{ email: 'platform@example.com' }, { email: 'dave@example.com' }];
+
+    const first = await expandDirectoryGroups(attendees, { directory, organizer: ME, cache });
+    const second = await expandDirectoryGroups(attendees, { directory, organizer: ME, cache });
+
+    expect(second).toEqual(first);
+    // Both pages of the group, and the one "not a group" answer, once each
+    expect(directory.calls).toEqual(['platform@example.com', 'dave@example.com', 'platform@example.com']);
+
+    await expandDirectoryGroups(attendees, { directory, organizer: ME, cache: { ...cache, viewer: 'other@example.com' } });
+    expect(directory.calls).toHaveLength(6);
+
+    now += 5 * 60 * 1000;
+    await expandDirectoryGroups(attendees, { directory, organizer: ME, cache });
+    expect(directory.calls).toHaveLength(9);
+  });
+
+  it("doesn't remember failed lookups", async () => {
+    const cache = { store: createMemoryCache(), viewer: ME, ttlMs: 5 * 60 * 1000 };
+    const directory = fakeDirectory({ forbidden: true });
+
+    await expandDirectoryGroups([{ email: 'team@example.com' }], { directory, organizer: ME, cache });
+    await expandDirectoryGroups([{ email: 'team@example.com' }], { directory, organizer: ME, cache });
+
+    expect(directory.calls).toEqual(['team@example.com', 'team@example.com']);
+  });
+
+  it('flags addresses it could not look up whose calendars are also unreadable', async () => {
+    const expansion = await expandDirectoryGroups(
+      [{ email: 'team@example.com' }, { email: 'alice@example.com' }],
+      { directory: fakeDirectory({ forbidden: true }), organizer: ME }
+    );
+
+    expect(expansion.attendees).toEqual([{ email: 'team@example.com' }, { email: 'alice@example.com' }]);
+    expect(groupStatus(expansion, [
+      { email: 'team@example.com', status: 'not_found' },
+      { email: 'alice@example.com', status: 'visible' }
+    ])).toEqual([{ email: 'team@example.com', status: 'unresolved', members: [] }]);
+  });
+});
@@ -0,0 +1,132 @@
+import { MAX_ATTENDEES } from '../validation';
+
+// Google Workspace group expansion through the Admin SDK Directory API.
+// Reading group members needs this scope and a Workspace admin (or a role
+// allowed to read groups), so it's only requested when
+// GOOGLE_DIRECTORY_GROUPS=true.
+export const DIRECTORY_SCOPE = 'https://www.googleapis.com/auth/admin.directory.group.member.readonly';
+
+export function directoryGroupsEnabled() {
+  return process.env.GOOGLE_DIRECTORY_GROUPS === 'true';
+}
+
+// Calendars that tell us an unexpanded address may be a group
+const UNREADABLE_STATUSES = ['not_found', 'no_access'];
+
+function errorStatus(error) {
+  return error.response?.status ?? (typeof error.code === 'number' ? error.code : undefined);
+}
+
+// Active user members of a group, nested groups included. Returns null when
+// the address isn't a group.
+async function groupMembers(directory, groupKey) {
+  const members = [];
+  let pageToken;
+  try {
+    do {
+      const { data } = await directory.members.list({
+        groupKey,
+        includeDerivedMembership: true,
+        maxResults: 200,
+        pageToken
+      });
+      for (const member of data.members || []) {
+        if (member.type === 'USER' && member.status !== 'SUSPENDED' && member.email) {
+          members.push(member.email.toLowerCase());
+        }
+      }
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+  } catch (error) {
+    // 404 (or 400 for a malformed key) just means "not a group"
+    if ([400, 404].includes(errorStatus(error))) return null;
+    throw error;
+  }
+  return [...new Set(members)];
+}
+
+// Group membership looked up by one viewer, kept like free/busy (see
+// calendarProviders/cache) since what the Directory shows depends on who asks
+function groupCacheKey(viewer, email) {
+  return `directory:${viewer.toLowerCase()}:${email.toLowerCase()}`;
+}
+
+// groupMembers, remembered for `cache.ttlMs` when a `cache` ({ store, viewer,
+// ttlMs }) is given. "Not a group" is remembered too; failed lookups aren't.
+async function lookupGroup(directory, email, cache) {
+  if (!cache) return groupMembers(directory, email);
+
+  const key = groupCacheKey(cache.viewer, email);
+  const cached = await cache.store.get(key);
+  if (cached) return cached.members;
+
+  const members = await groupMembers(directory, email);
+  await cache.store.set(key, { members }, { ttlMs: cache.ttlMs });
+  return members;
+}
+
+// Replaces group addresses in `attendees` with their members, who inherit the
+// group's settings (time zone, working hours, optional). Members already in
+// the list, or the organizer, aren't added twice. Returns
+//   attendees  the expanded list
+//   groups     [{ email, status: 'expanded' | 'too_large', members }]
+//   unchecked  addresses the Directory couldn't tell us about (no permission,
+//              Directory errors); groupStatus() flags them after the search
+// With a `cache`, each address is looked up at most once per TTL.
+export async function expandDirectoryGroups(attendees, { directory, organizer, cache }) {
+  const lookups = await Promise.all(attendees.map(async attendee => {
+    // Calendar files and Microsoft attendees are always people
+    if (attendee.ics || attendee.provider === 'microsoft') return { attendee };
+    try {
+      return { attendee, members: await lookupGroup(directory, attendee.email, cache) };
+    } catch (error) {
+      return { attendee, unchecked: true };
+    }
+  }));
+
+  const people = lookups.filter(lookup => !lookup.members);
+  const seen = new Set([organizer?.toLowerCase(), ...people.map(({ attendee }) => attendee.email.toLowerCase())]);
+  let total = people.length;
+  const expanded = [];
+  const groups = [];
+  const unchecked = [];
+
+  for (const { attendee, members, unchecked: failed } of lookups) {
+    if (!members) {
+      expanded.push(attendee);
+      if (failed) unchecked.push(attendee.email);
+      continue;
+    }
+
+    const newMembers = members.filter(member => !seen.has(member));
+    // The search can't take more than MAX_ATTENDEES people
+    if (total + newMembers.length > MAX_ATTENDEES) {
+      expanded.push(attendee);
+      groups.push({ email: attendee.email, status: 'too_large', members });
+      continue;
+    }
+
+    const { email, ...settings } = attendee;
+    for (const member of newMembers) {
+      seen.add(member);
+      expanded.push({ ...settings, email: member });
+    }
+    total += newMembers.length;
+    groups.push({ email, status: 'expanded', members });
+  }
+
+  return { attendees: expanded, groups, unchecked };
+}
+
+// Per-group report for the search response. Addresses we couldn't look up
+// whose calendar also couldn't be read are most likely groups we couldn't
+// resolve, so they're flagged as 'unresolved'.
+export function groupStatus(expansion, calendarStatus) {
+  const statusByEmail = Object.fromEntries(calendarStatus.map(({ email, status }) => [email, status]));
+  return [
+    ...expansion.groups,
+    ...expansion.unchecked
+      .filter(email => UNREADABLE_STATUSES.includes(statusByEmail[email]))
+      .map(email => ({ email, status: 'unresolved', members: [] }))
+  ];
+}
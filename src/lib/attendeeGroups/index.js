@@ -0,0 +1,66 @@
+import { randomBytes } from 'crypto';
+import { ApiError } from '../apiErrors';
+import { storeFromSetting } from '../storage';
+
+export { DIRECTORY_SCOPE, directoryGroupsEnabled, expandDirectoryGroups, groupStatus } from './directory';
+
+// Saved attendee groups ("Platform team", "Design review") belong to the user
+// who made them. Set ATTENDEE_GROUP_STORE to 'memory' or to a JSON file path
+// (default .data/attendee-groups.json).
+export const DEFAULT_STORE_PATH = '.data/attendee-groups.json';
+
+let defaultStore;
+
+export function getAttendeeGroupStore() {
+  if (!defaultStore) {
+    defaultStore = storeFromSetting(process.env.ATTENDEE_GROUP_STORE, {
+      defaultPath: DEFAULT_STORE_PATH,
+      collection: 'groups'
+    });
+  }
+  return defaultStore;
+}
+
+function notFound() {
+  return new ApiError(404, 'group_not_found', 'This group does not exist.');
+}
+
+export function toGroup(record) {
+  const { ownerEmail, ...group } = record;
+  return group;
+}
+
+export async function listGroups(store, ownerEmail) {
+  const records = await store.list(record => record.ownerEmail === ownerEmail);
+  return records.map(toGroup);
+}
+
+export async function createGroup(store, { ownerEmail, group, now = Date.now() }) {
+  const timestamp = new Date(now).toISOString();
+  const record = await store.create({
+    id: randomBytes(9).toString('base64url'),
+    ownerEmail,
+    name: group.name,
+    members: group.members,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  });
+  return toGroup(record);
+}
+
+// Someone else's group is reported as missing rather than forbidden
+export async function updateGroup(store, id, { ownerEmail, changes, now = Date.now() }) {
+  const record = await store.update(id, async group => {
+    if (group?.ownerEmail !== ownerEmail) return null;
+    Object.assign(group, changes, { updatedAt: new Date(now).toISOString() });
+    return group;
+  });
+  if (!record) throw notFound();
+  return toGroup(record);
+}
+
+export async function deleteGroup(store, id, { ownerEmail }) {
+  const record = await store.get(id);
+  if (record?.ownerEmail !== ownerEmail) throw notFound();
+  await store.remove(id);
+}
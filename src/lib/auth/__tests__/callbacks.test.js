@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { CONSENT_ERROR, authOptions, withConnectedAccounts } from '..';
+
+const NOW = Date.now();
+
+const googleAccount = overrides => ({
+  provider: 'google',
+  providerAccountId: 'google-1',
+  access_token: 'google-access',
+  refresh_token: 'google-refresh',
+  expires_at: Math.floor(NOW / 1000) + 3600,
+  scope: 'openid email',
+  ...overrides
+});
+
+const jwt = params => authOptions.callbacks.jwt({ token: { sub: '123', email: 'me@example.com' }, ...params });
+
+describe('jwt callback', () => {
+  it('keeps the tokens from a Google sign-in', async () => {
+    const token = await jwt({ account: googleAccount() });
+
+    expect(token).toMatchObject({ accessToken: 'google-access', refreshToken: 'google-refresh' });
+    expect(token.error).toBeUndefined();
+  });
+
+  it('asks for consent when Google sends no refresh token and none is stored', async () => {
+    const token = await jwt({ account: googleAccount({ refresh_token: undefined }) });
+
+    expect(token).toMatchObject({ error: CONSENT_ERROR, errorProvider: 'google' });
+  });
+
+  it('keeps the stored refresh token when Google sends none', async () => {
+    const token = await jwt({
+      token: { sub: '123', refreshToken: 'stored-refresh' },
+      account: googleAccount({ refresh_token: undefined })
+    });
+
+    expect(token.refreshToken).toBe('stored-refresh');
+    expect(token.error).toBeUndefined();
+  });
+});
+
+describe('withConnectedAccounts', () => {
+  const microsoftAccount = {
+    provider: 'azure-ad',
+    providerAccountId: 'microsoft-1',
+    access_token: 'microsoft-access',
+    refresh_token: 'microsoft-refresh',
+    expires_at: Math.floor(NOW / 1000) + 3600
+  };
+  const signedIn = {
+    sub: '123',
+    name: 'Me',
+    email: 'me@example.com',
+    googleAccountId: 'google-1',
+    accessToken: 'google-access',
+    refreshToken: 'google-refresh',
+    accessTokenExpires: NOW + 3600 * 1000,
+    primaryProvider: 'google'
+  };
+  const signIn = (account, token) =>
+    withConnectedAccounts(authOptions, signedIn).callbacks.jwt({ token, account });
+
+  it('connects a second provider to the signed-in identity', async () => {
+    const token = await signIn(microsoftAccount, { sub: '456', email: 'me@contoso.com' });
+
+    expect(token).toMatchObject({ sub: '123', email: 'me@example.com', accessToken: 'google-access' });
+    expect(token.microsoft).toMatchObject({ accountId: 'microsoft-1', accessToken: 'microsoft-access' });
+  });
+
+  it('keeps everything when the same account signs in again', async () => {
+    const token = await signIn(googleAccount({ access_token: 'new-access', refresh_token: undefined }), { sub: '123' });
+
+    expect(token).toMatchObject({ sub: '123', accessToken: 'new-access', refreshToken: 'google-refresh' });
+  });
+
+  it('replaces the session when another account signs in with the same provider', async () => {
+    const token = await signIn(
+      googleAccount({ providerAccountId: 'google-2', access_token: 'other-access', refresh_token: 'other-refresh' }),
+      { sub: '789', email: 'other@example.com' }
+    );
+
+    expect(token).toMatchObject({ sub: '789', email: 'other@example.com', accessToken: 'other-access', refreshToken: 'other-refresh' });
+    expect(token.name).toBeUndefined();
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { authOptions } from '..';
+import { CALENDAR_WRITE_SCOPE, GOOGLE_READ_SCOPES, canWriteCalendar, parseScopes, writeConsentParams } from '../scopes';
+
+describe('Google scopes', () => {
+  it('signs in with free/busy access only', () => {
+    expect(GOOGLE_READ_SCOPES).toContain('https://www.googleapis.com/auth/calendar.events.freebusy');
+    expect(GOOGLE_READ_SCOPES).not.toContain('https://www.googleapis.com/auth/calendar.readonly');
+    expect(GOOGLE_READ_SCOPES).not.toContain(CALENDAR_WRITE_SCOPE);
+  });
+
+  it("doesn't force the consent screen at sign-in", () => {
+    const google = authOptions.providers.find(provider => provider.id === 'google');
+    const { params } = google.options.authorization;
+
+    expect(params).not.toHaveProperty('prompt');
+    expect(parseScopes(params.scope)).not.toContain(CALENDAR_WRITE_SCOPE);
+  });
+
+  it('reads granted scopes from token responses', () => {
+    expect(parseScopes('openid https://www.googleapis.com/auth/calendar.readonly  email')).toEqual([
+      'openid',
+      'https://www.googleapis.com/auth/calendar.readonly',
+      'email'
+    ]);
+    expect(parseScopes(undefined)).toEqual([]);
+  });
+
+  it('allows booking with calendar.events or full calendar access', () => {
+    expect(canWriteCalendar({ grantedScopes: GOOGLE_READ_SCOPES })).toBe(false);
+    expect(canWriteCalendar({ grantedScopes: [...GOOGLE_READ_SCOPES, CALENDAR_WRITE_SCOPE] })).toBe(true);
+    expect(canWriteCalendar({ grantedScopes: ['https://www.googleapis.com/auth/calendar'] })).toBe(true);
+    // Sessions from before scopes were tracked
+    expect(canWriteCalendar({})).toBe(false);
+    expect(canWriteCalendar(null)).toBe(false);
+  });
+
+  it('asks for write access on top of what was granted', () => {
+    expect(writeConsentParams()).toMatchObject({ include_granted_scopes: 'true', prompt: 'consent' });
+    expect(parseScopes(writeConsentParams().scope)).toContain(CALENDAR_WRITE_SCOPE);
+  });
+});
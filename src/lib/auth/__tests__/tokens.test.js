@@ -0,0 +1,133 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { REFRESH_ERROR, REFRESH_MARGIN_MS, needsRefresh, refreshToken } from '../tokens';
+
+const NOW = Date.parse('2024-11-25T15:00:00Z');
+
+// Token endpoint stub that answers asynchronously, like the real one
+function tokenEndpoint(body, { ok = true } = {}) {
+  return vi.fn(async () => {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    return { ok, json: async () => body };
+  });
+}
+
+// Each token gets its own refresh token, so refreshes shared between
+// concurrent requests don't leak across tests
+let tokenCount = 0;
+const googleToken = overrides => ({
+  sub: '123',
+  accessToken: 'old-access',
+  refreshToken: `refresh-${++tokenCount}`,
+  accessTokenExpires: NOW + 60 * 1000,
+  ...overrides
+});
+
+describe('needsRefresh', () => {
+  it('refreshes ahead of expiry', () => {
+    expect(needsRefresh({ accessTokenExpires: NOW + REFRESH_MARGIN_MS + 1000 }, NOW)).toBe(false);
+    expect(needsRefresh({ accessTokenExpires: NOW + REFRESH_MARGIN_MS - 1000 }, NOW)).toBe(true);
+    expect(needsRefresh({ accessTokenExpires: NOW - 1000 }, NOW)).toBe(true);
+    expect(needsRefresh(undefined, NOW)).toBe(false);
+  });
+});
+
+describe('refreshToken', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('leaves fresh tokens alone', async () => {
+    const fetch = tokenEndpoint({});
+    const token = googleToken({ accessTokenExpires: NOW + 60 * 60 * 1000 });
+
+    expect(await refreshToken(token, { fetch, now: NOW })).toBe(token);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('refreshes a token that is about to expire', async () => {
+    const fetch = tokenEndpoint({ access_token: 'new-access', expires_in: 3600 });
+    const token = googleToken();
+
+    const refreshed = await refreshToken(token, { fetch, now: NOW });
+
+    expect(refreshed).toMatchObject({
+      accessToken: 'new-access',
+      accessTokenExpires: NOW + 3600 * 1000,
+      refreshToken: token.refreshToken
+    });
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://oauth2.googleapis.com/token');
+    expect(request.body.get('grant_type')).toBe('refresh_token');
+    expect(request.body.get('refresh_token')).toBe(token.refreshToken);
+  });
+
+  it('updates the granted scopes', async () => {
+    const fetch = tokenEndpoint({
+      access_token: 'new-access',
+      expires_in: 3600,
+      scope: 'openid https://www.googleapis.com/auth/calendar.readonly'
+    });
+    const token = googleToken({ scopes: ['openid', 'https://www.googleapis.com/auth/calendar.events'] });
+
+    expect((await refreshToken(token, { fetch, now: NOW })).scopes)
+      .toEqual(['openid', 'https://www.googleapis.com/auth/calendar.readonly']);
+  });
+
+  it('shares one refresh between concurrent requests', async () => {
+    const fetch = tokenEndpoint({ access_token: 'new-access', expires_in: 3600 });
+    const token = googleToken();
+
+    const results = await Promise.all([1, 2, 3].map(() => refreshToken(token, { fetch, now: NOW })));
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(results.map(result => result.accessToken)).toEqual(['new-access', 'new-access', 'new-access']);
+
+    // A request that still carries the old cookie reuses the result too
+    await refreshToken(token, { fetch, now: NOW + 1000 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks the token when the refresh is refused, and stops retrying', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const fetch = tokenEndpoint({ error: 'invalid_grant' }, { ok: false });
+
+    const failed = await refreshToken(googleToken(), { fetch, now: NOW });
+    expect(failed).toMatchObject({ error: REFRESH_ERROR, errorProvider: 'google', accessToken: 'old-access' });
+
+    await refreshToken(failed, { fetch, now: NOW });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats a missing refresh token as a failed refresh', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const fetch = tokenEndpoint({});
+
+    expect(await refreshToken(googleToken({ refreshToken: undefined }), { fetch, now: NOW }))
+      .toMatchObject({ error: REFRESH_ERROR, errorProvider: 'google' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('keeps the rotated Microsoft refresh token', async () => {
+    const fetch = tokenEndpoint({ access_token: 'graph-access', refresh_token: 'rotated', expires_in: 3600 });
+    const token = googleToken({
+      accessTokenExpires: NOW + 60 * 60 * 1000,
+      microsoft: {
+        accessToken: 'old-graph',
+        refreshToken: 'ms-refresh',
+        accessTokenExpires: NOW - 1000,
+        email: 'me@contoso.com'
+      }
+    });
+
+    const refreshed = await refreshToken(token, { fetch, now: NOW });
+
+    expect(refreshed.accessToken).toBe('old-access');
+    expect(refreshed.microsoft).toEqual({
+      accessToken: 'graph-access',
+      refreshToken: 'rotated',
+      accessTokenExpires: NOW + 3600 * 1000,
+      email: 'me@contoso.com'
+    });
+    expect(fetch.mock.calls[0][0]).toMatch(/^https:\/\/login\.microsoftonline\.com\/.+\/oauth2\/v2\.0\/token$/);
+  });
+});
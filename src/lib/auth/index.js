@@ -0,0 +1,192 @@
+import NextAuth, { getServerSession } from 'next-auth';
+import { getToken } from 'next-auth/jwt';
+import GoogleProvider from 'next-auth/providers/google';
+import AzureADProvider from 'next-auth/providers/azure-ad';
+import { ApiError } from '../apiErrors';
+import { DIRECTORY_SCOPE, directoryGroupsEnabled } from '../attendeeGroups/directory';
+import { CALENDAR_WRITE_SCOPE, GOOGLE_READ_SCOPES, canWriteCalendar, parseScopes } from './scopes';
+import { CONSENT_ERROR, REFRESH_ERROR, refreshToken } from './tokens';
+
+export { CONSENT_ERROR, REFRESH_ERROR } from './tokens';
+export { canWriteCalendar } from './scopes';
+
+const AZURE_AD_TENANT_ID = process.env.AZURE_AD_TENANT_ID || 'common';
+
+// Sign-in only asks to read calendars; writing is asked for on first use
+// (see ./scopes)
+export const GOOGLE_SCOPES = [
+  ...GOOGLE_READ_SCOPES,
+  // Lets attendee lists name Workspace groups; see src/lib/attendeeGroups
+  ...(directoryGroupsEnabled() ? [DIRECTORY_SCOPE] : []),
+];
+
+export const MICROSOFT_SCOPES = [
+  'openid',
+  'email',
+  'profile',
+  'offline_access',
+  'User.Read',
+  'Calendars.Read',
+  'Calendars.Read.Shared',
+];
+
+export const authOptions = {
+  providers: [
+    GoogleProvider({
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      authorization: {
+        params: {
+          scope: GOOGLE_SCOPES.join(' '),
+          // Signing in again keeps the write access granted before
+          include_granted_scopes: 'true',
+          // No forced consent screen: Google sends a refresh token the first
+          // time someone signs in. A sign-in without one (e.g. a returning
+          // user in a new browser) is sent through consent by the page.
+          access_type: 'offline',
+          response_type: 'code',
+        },
+      },
+    }),
+    // Microsoft 365 / Outlook, only offered when configured
+    ...(process.env.AZURE_AD_CLIENT_ID
+      ? [
+        AzureADProvider({
+          clientId: process.env.AZURE_AD_CLIENT_ID,
+          clientSecret: process.env.AZURE_AD_CLIENT_SECRET,
+          tenantId: AZURE_AD_TENANT_ID,
+          authorization: {
+            params: {
+              scope: MICROSOFT_SCOPES.join(' '),
+            },
+          },
+        }),
+      ]
+      : []),
+  ],
+  session: {
+    strategy: 'jwt',
+    maxAge: 30 * 24 * 60 * 60,
+  },
+  callbacks: {
+    async jwt({ token, account, profile }) {
+      // Persist the OAuth tokens right after signin, per provider
+      if (account?.provider === 'google') {
+        token.googleAccountId = account.providerAccountId;
+        token.accessToken = account.access_token;
+        token.refreshToken = account.refresh_token ?? token.refreshToken;
+        token.accessTokenExpires = account.expires_at * 1000;
+        token.scopes = parseScopes(account.scope);
+      } else if (account?.provider === 'azure-ad') {
+        token.microsoft = {
+          accountId: account.providerAccountId,
+          accessToken: account.access_token,
+          refreshToken: account.refresh_token,
+          accessTokenExpires: account.expires_at * 1000,
+          email: profile?.email || profile?.preferred_username || token.email,
+        };
+      }
+      if (account) {
+        // Signing in again is how a failed refresh is cleared
+        token.error = undefined;
+        token.errorProvider = undefined;
+        token.primaryProvider = token.primaryProvider || (account.provider === 'azure-ad' ? 'microsoft' : 'google');
+      }
+      // The session would stop working when this access token expires
+      if (account?.provider === 'google' && !token.refreshToken) {
+        token.error = CONSENT_ERROR;
+        token.errorProvider = 'google';
+      }
+
+      return refreshToken(token);
+    },
+    async session({ session, token }) {
+      // Send properties to the client
+      session.accessToken = token.accessToken;
+      session.microsoftAccessToken = token.microsoft?.accessToken;
+      session.microsoftEmail = token.microsoft?.email;
+      session.primaryProvider = token.primaryProvider || 'google';
+      session.connectedProviders = [
+        ...(token.accessToken ? ['google'] : []),
+        ...(token.microsoft ? ['microsoft'] : []),
+      ];
+      session.grantedScopes = token.scopes || [];
+      session.error = token.error;
+      session.errorProvider = token.errorProvider;
+      session.user.id = token.sub;
+      return session;
+    },
+  },
+  secret: process.env.NEXTAUTH_SECRET,
+  debug: process.env.NODE_ENV === 'development',
+};
+
+// Signing in with a second provider while already signed in connects that
+// account instead of replacing the session: the earlier identity and tokens
+// are carried over into the new token. Signing in again with the account
+// already connected (e.g. to reauthorize) keeps them too. Any other account
+// for a provider that's already connected replaces the session, so one
+// person's identity never ends up holding another's tokens.
+export function withConnectedAccounts(options, previous) {
+  if (!previous) return options;
+
+  return {
+    ...options,
+    callbacks: {
+      ...options.callbacks,
+      async jwt(params) {
+        if (!params.account) return options.callbacks.jwt(params);
+
+        const google = params.account.provider === 'google';
+        const connected = google ? previous.accessToken : previous.microsoft;
+        const connectedId = google ? previous.googleAccountId : previous.microsoft?.accountId;
+        if (connected && connectedId !== params.account.providerAccountId) {
+          return options.callbacks.jwt(params);
+        }
+
+        const { name, email, picture, sub, iat, exp, jti, ...connections } = previous;
+        const identity = { name, email, picture, sub };
+        return options.callbacks.jwt({
+          ...params,
+          token: { ...connections, ...identity },
+        });
+      },
+    },
+  };
+}
+
+// The NextAuth route handler (GET and POST)
+export async function authHandler(req, context) {
+  const previous = await getToken({ req, secret: authOptions.secret }).catch(() => null);
+  return NextAuth(req, context, withConnectedAccounts(authOptions, previous));
+}
+
+// For routes that create or change events. Older sessions and those that
+// haven't been through the write consent yet get a 403 the page answers by
+// asking for it.
+export function requireCalendarWrite(session) {
+  if (!canWriteCalendar(session)) {
+    throw new ApiError(
+      403,
+      'write_scope_required',
+      'Allow access to edit your calendar to book meetings.',
+      { scope: CALENDAR_WRITE_SCOPE }
+    );
+  }
+}
+
+// The signed-in session for an API route, or null. A session whose tokens
+// could no longer be refreshed is useless for calendar calls, so it throws a
+// 401 telling the client to sign in (and consent) again.
+export async function getSession() {
+  const session = await getServerSession(authOptions);
+  if (session?.error === REFRESH_ERROR) {
+    throw new ApiError(
+      401,
+      'reauth_required',
+      'Your sign-in has expired. Please sign in again.',
+      { provider: session.errorProvider === 'microsoft' ? 'azure-ad' : 'google' }
+    );
+  }
+  return session;
+}
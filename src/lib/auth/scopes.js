@@ -0,0 +1,43 @@
+// Google OAuth scopes, split by when they're asked for. Kept free of server
+// imports so the page can check what a session allows.
+
+const GOOGLE_SCOPE_URL = 'https://www.googleapis.com/auth/';
+
+// Asked for at sign-in: free/busy of the calendars the user can see, and
+// contacts. Reading events (recent invitees, the event being rescheduled)
+// waits for the write scope, which includes it.
+export const GOOGLE_READ_SCOPES = [
+  `${GOOGLE_SCOPE_URL}calendar.events.freebusy`,
+  // Attendee autocomplete
+  `${GOOGLE_SCOPE_URL}contacts.readonly`,
+  `${GOOGLE_SCOPE_URL}contacts.other.readonly`,
+  'openid',
+  'email',
+  'profile',
+];
+
+// Asked for the first time someone books, reschedules or creates a booking
+// link
+export const CALENDAR_WRITE_SCOPE = `${GOOGLE_SCOPE_URL}calendar.events`;
+
+// Either of these lets us create and move events
+const WRITE_SCOPES = [CALENDAR_WRITE_SCOPE, `${GOOGLE_SCOPE_URL}calendar`];
+
+// Token responses list scopes space-separated
+export function parseScopes(scope) {
+  return scope ? scope.split(' ').filter(Boolean) : [];
+}
+
+export function canWriteCalendar(session) {
+  return WRITE_SCOPES.some(scope => session?.grantedScopes?.includes(scope));
+}
+
+// Authorization params for signIn('google', ..., params) that add the write
+// scope; Google keeps the scopes granted before
+export function writeConsentParams() {
+  return {
+    scope: ['openid', 'email', 'profile', CALENDAR_WRITE_SCOPE].join(' '),
+    include_granted_scopes: 'true',
+    prompt: 'consent',
+  };
+}
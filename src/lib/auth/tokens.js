@@ -0,0 +1,124 @@
+import { parseScopes } from './scopes';
+
+const AZURE_AD_TENANT_ID = process.env.AZURE_AD_TENANT_ID || 'common';
+
+// Access tokens are refreshed this long before they expire, so a request
+// never goes out with a token that dies on the way
+export const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+export const REFRESH_ERROR = 'RefreshAccessTokenError';
+
+// A Google sign-in that came without a refresh token, with none kept from
+// before (see the jwt callback in ./index.js)
+export const CONSENT_ERROR = 'MissingRefreshToken';
+
+const TOKEN_URLS = {
+  google: () => 'https://oauth2.googleapis.com/token',
+  microsoft: () => `https://login.microsoftonline.com/${AZURE_AD_TENANT_ID}/oauth2/v2.0/token`,
+};
+
+const CLIENT_CREDENTIALS = {
+  google: () => ({
+    client_id: process.env.GOOGLE_CLIENT_ID,
+    client_secret: process.env.GOOGLE_CLIENT_SECRET,
+  }),
+  microsoft: () => ({
+    client_id: process.env.AZURE_AD_CLIENT_ID,
+    client_secret: process.env.AZURE_AD_CLIENT_SECRET,
+  }),
+};
+
+// In-flight and recent refreshes by refresh token. Parallel requests from
+// one browser all carry the same expiring cookie; they share one refresh
+// instead of each spending the refresh token.
+const refreshes = new Map();
+
+export function needsRefresh(credentials, now = Date.now()) {
+  return Boolean(credentials?.accessTokenExpires) && now >= credentials.accessTokenExpires - REFRESH_MARGIN_MS;
+}
+
+async function requestRefresh(provider, credentials, { fetch, now }) {
+  const response = await fetch(TOKEN_URLS[provider](), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      ...CLIENT_CREDENTIALS[provider](),
+      grant_type: 'refresh_token',
+      refresh_token: credentials.refreshToken,
+    }),
+  });
+
+  const tokens = await response.json();
+  if (!response.ok) throw tokens;
+
+  return {
+    accessToken: tokens.access_token,
+    accessTokenExpires: now + tokens.expires_in * 1000,
+    // Microsoft rotates refresh tokens; Google usually doesn't send one
+    refreshToken: tokens.refresh_token ?? credentials.refreshToken,
+    // Picks up scopes the user revoked or granted since
+    ...(tokens.scope && { scopes: parseScopes(tokens.scope) }),
+  };
+}
+
+// Refreshes `credentials` ({ accessToken, refreshToken, accessTokenExpires })
+// with the provider's token endpoint, joining any refresh already under way
+// for the same refresh token
+export function refreshCredentials(provider, credentials, { fetch = globalThis.fetch, now = Date.now() } = {}) {
+  if (!credentials.refreshToken) {
+    return Promise.reject(new Error(`No ${provider} refresh token`));
+  }
+  for (const [key, entry] of refreshes) {
+    if (entry.settled && !(now < entry.until)) refreshes.delete(key);
+  }
+
+  const key = `${provider}:${credentials.refreshToken}`;
+  const existing = refreshes.get(key);
+  if (existing) return existing.promise;
+
+  const entry = { settled: false, until: 0 };
+  entry.promise = requestRefresh(provider, credentials, { fetch, now }).then(
+    refreshed => {
+      // Requests still holding the old cookie reuse the result until it,
+      // in turn, is due for a refresh
+      Object.assign(entry, { settled: true, until: refreshed.accessTokenExpires - REFRESH_MARGIN_MS });
+      return refreshed;
+    },
+    error => {
+      refreshes.delete(key);
+      throw error;
+    }
+  );
+  refreshes.set(key, entry);
+  return entry.promise;
+}
+
+// Brings both connected accounts in a NextAuth JWT up to date. A failed
+// refresh marks the token with `error` and the provider to sign in with
+// again; it isn't retried, since a refresh token that was refused once (e.g.
+// revoked access) won't work on the next request either.
+export async function refreshToken(token, { fetch, now = Date.now() } = {}) {
+  if (token.error) return token;
+
+  let next = token;
+  if (needsRefresh(token, now)) {
+    try {
+      next = { ...next, ...(await refreshCredentials('google', token, { fetch, now })) };
+    } catch (error) {
+      console.error('Error refreshing Google access token', error);
+      return { ...next, error: REFRESH_ERROR, errorProvider: 'google' };
+    }
+  }
+
+  if (needsRefresh(token.microsoft, now)) {
+    try {
+      const refreshed = await refreshCredentials('microsoft', token.microsoft, { fetch, now });
+      next = { ...next, microsoft: { ...token.microsoft, ...refreshed } };
+    } catch (error) {
+      console.error('Error refreshing Microsoft access token', error);
+      return { ...next, error: REFRESH_ERROR, errorProvider: 'microsoft' };
+    }
+  }
+
+  return next;
+}
@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  assertLinkAttendeesReadable,
+  bookViaLink,
+  createBookingLink,
+  createFileStore,
+  createMemoryStore,
+  findLinkAvailability,
+  linkState,
+  toPublicLink
+} from '..';
+
+// Monday 2024-11-25, 8:00 AM in Chicago
+const NOW = Date.parse('2024-11-25T14:00:00Z');
+const TIMEZONE = 'America/Chicago';
+
+const owner = { email: 'me@example.com', name: 'Me', refreshToken: 'refresh-token' };
+const settings = {
+  title: 'Intro call',
+  duration: 30,
+  windowDays: 7,
+  attendees: ['alice@example.com'],
+  preferences: { timezone: TIMEZONE }
+};
+
+// Everyone is free, except that `errors` maps calendar IDs to the Google
+// error reason they come back with; records inserted events
+function fakeCalendar({ errors = {} } = {}) {
+  const inserted = [];
+  return {
+    inserted,
+    freebusy: {
+      query: async ({ requestBody }) => ({
+        data: {
+          calendars: Object.fromEntries(requestBody.items.map(({ id }) => [
+            id,
+            errors[id] ? { busy: [], errors: [{ domain: 'global', reason: errors[id] }] } : { busy: [] }
+          ]))
+        }
+      })
+    },
+    events: {
+      insert: async ({ requestBody }) => {
+        inserted.push(requestBody);
+        return { data: { id: `event-${inserted.length}` } };
+      }
+    }
+  };
+}
+
+describe('linkState', () => {
+  it('expires links and stops them at their usage limit', () => {
+    const link = { expiresAt: '2024-11-30T00:00:00Z', maxUses: 2, uses: 1 };
+
+    expect(linkState(link, NOW)).toBe('active');
+    expect(linkState(link, Date.parse('2024-11-30T00:00:00Z'))).toBe('expired');
+    expect(linkState({ ...link, uses: 2 }, NOW)).toBe('used_up');
+    expect(linkState({ expiresAt: null, maxUses: null, uses: 100 }, NOW)).toBe('active');
+  });
+});
+
+describe('booking links', () => {
+  it('keeps credentials and included calendars out of the public view', async () => {
+    const link = await createBookingLink(createMemoryStore(), { owner, settings, now: NOW });
+
+    expect(toPublicLink(link)).toEqual({
+      id: link.id,
+      title: 'Intro call',
+      ownerName: 'Me',
+      durationMinutes: 30,
+      timezone: TIMEZONE,
+      expiresAt: null
+    });
+  });
+
+  it('offers open slots soonest first', async () => {
+    const link = await createBookingLink(createMemoryStore(), { owner, settings, now: NOW });
+    const slots = await findLinkAvailability(link, fakeCalendar(), NOW);
+
+    expect(slots.length).toBeGreaterThan(0);
+    expect(slots.map(slot => slot.start)).toEqual(slots.map(slot => slot.start).sort());
+    expect(Object.keys(slots[0])).toEqual(['start', 'end']);
+  });
+
+  it("keeps out times an attendee's calendar file shows as busy", async () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:offsite@partner.example',
+      'DTSTART:20241125T000000Z',
+      'DTEND:20241127T000000Z',
+      'SUMMARY:Offsite',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+    const link = await createBookingLink(createMemoryStore(), {
+      owner,
+      settings: { ...settings, attendees: [{ email: 'pat@partner.example', ics: { text: ics } }] },
+      now: NOW
+    });
+
+    const slots = await findLinkAvailability(link, fakeCalendar(), NOW);
+
+    expect(slots.length).toBeGreaterThan(0);
+    expect(slots.every(slot => slot.start >= '2024-11-27T00:00:00.000Z')).toBe(true);
+  });
+
+  it('offers nothing while an included calendar cannot be read', async () => {
+    const link = await createBookingLink(createMemoryStore(), {
+      owner,
+      settings: { ...settings, attendees: ['alice@example.com', 'bob@example.com'] },
+      now: NOW
+    });
+    const calendar = fakeCalendar({ errors: { 'bob@example.com': 'forbidden' } });
+
+    await expect(findLinkAvailability(link, calendar, NOW))
+      .rejects.toMatchObject({ status: 503, code: 'link_unavailable' });
+  });
+
+  it('refuses attendees the owner cannot read when the link is created', async () => {
+    const calendar = fakeCalendar({ errors: { 'bob@example.com': 'forbidden' } });
+
+    await expect(assertLinkAttendeesReadable(settings, calendar, NOW)).resolves.toBeUndefined();
+    await expect(assertLinkAttendeesReadable(
+      { ...settings, attendees: ['alice@example.com', 'bob@example.com'] },
+      calendar,
+      NOW
+    )).rejects.toMatchObject({
+      status: 400,
+      code: 'link_attendee_unreadable',
+      details: { calendars: [{ email: 'bob@example.com', status: 'no_access' }] }
+    });
+    // Links only have the owner's Google account to read with
+    await expect(assertLinkAttendeesReadable(
+      { ...settings, attendees: [{ email: 'dana@contoso.com', provider: 'microsoft' }] },
+      calendar,
+      NOW
+    )).rejects.toMatchObject({ details: { calendars: [{ email: 'dana@contoso.com', status: 'not_connected' }] } });
+  });
+
+  it('books the guest on the owner\'s calendar and counts the use', async () => {
+    const store = createMemoryStore();
+    const link = await createBookingLink(store, { owner, settings: { ...settings, maxUses: 1 }, now: NOW });
+    const calendar = fakeCalendar();
+    const [slot] = await findLinkAvailability(link, calendar, NOW);
+    const guest = { name: 'Gina', email: 'gina@example.org' };
+
+    const booking = await bookViaLink(store, link.id, { slot, guest, calendar, now: NOW });
+
+    expect(booking).toEqual({ start: slot.start, end: slot.end });
+    expect(calendar.inserted[0].attendees).toEqual([
+      { email: 'alice@example.com' },
+      { email: 'gina@example.org', displayName: 'Gina' }
+    ]);
+    const stored = await store.get(link.id);
+    expect(stored.uses).toBe(1);
+    expect(linkState(stored, NOW)).toBe('used_up');
+    await expect(bookViaLink(store, link.id, { slot, guest, calendar, now: NOW }))
+      .rejects.toMatchObject({ status: 410, code: 'link_used_up' });
+  });
+
+  it('refuses times that are not on offer', async () => {
+    const store = createMemoryStore();
+    const link = await createBookingLink(store, { owner, settings, now: NOW });
+    const saturday = { start: '2024-11-30T16:00:00.000Z' };
+
+    await expect(bookViaLink(store, link.id, {
+      slot: saturday,
+      guest: { name: 'Gina', email: 'gina@example.org' },
+      calendar: fakeCalendar(),
+      now: NOW
+    })).rejects.toMatchObject({ status: 409, code: 'slot_unavailable' });
+    expect((await store.get(link.id)).uses).toBe(0);
+  });
+});
+
+describe('createFileStore', () => {
+  it('persists links and their updates', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'booking-links-'));
+    try {
+      const filePath = path.join(dir, 'links.json');
+      const link = await createBookingLink(createFileStore(filePath), { owner, settings, now: NOW });
+      await createFileStore(filePath).update(link.id, stored => {
+        stored.uses += 1;
+      });
+
+      const reopened = createFileStore(filePath);
+      expect((await reopened.get(link.id)).uses).toBe(1);
+      expect((await reopened.list({ ownerEmail: owner.email })).map(stored => stored.id)).toEqual([link.id]);
+      expect(await reopened.list({ ownerEmail: 'someone@example.com' })).toEqual([]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
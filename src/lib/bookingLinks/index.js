@@ -0,0 +1,190 @@
+import { randomBytes } from 'crypto';
+import { ApiError, jsonResponse, mapProviderError } from '../apiErrors';
+import { CalendarService } from '../calendarService';
+import { createGoogleProvider } from '../calendarProviders';
+import { createAttendeeProvider } from '../calendarProviders/session';
+import { MAX_RESULTS } from '../validation';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export { createFileStore, createMemoryStore, getBookingLinkStore } from './store';
+
+// 'active', 'expired' (past expiresAt) or 'used_up' (maxUses bookings made)
+export function linkState(link, now = Date.now()) {
+  if (link.expiresAt && Date.parse(link.expiresAt) <= now) return 'expired';
+  if (link.maxUses && link.uses >= link.maxUses) return 'used_up';
+  return 'active';
+}
+
+export function assertLinkActive(link, now = Date.now()) {
+  if (!link) {
+    throw new ApiError(404, 'link_not_found', 'This booking link does not exist.');
+  }
+  const state = linkState(link, now);
+  if (state === 'expired') {
+    throw new ApiError(410, 'link_expired', 'This booking link has expired.');
+  }
+  if (state === 'used_up') {
+    throw new ApiError(410, 'link_used_up', 'This booking link has reached its booking limit.');
+  }
+}
+
+export async function createBookingLink(store, { owner, settings, now = Date.now() }) {
+  const link = {
+    id: randomBytes(9).toString('base64url'),
+    createdAt: new Date(now).toISOString(),
+    owner,
+    title: settings.title || 'Meeting',
+    durationMinutes: settings.duration,
+    windowDays: settings.windowDays,
+    attendees: settings.attendees,
+    preferences: settings.preferences,
+    expiresAt: settings.expiresAt || null,
+    maxUses: settings.maxUses || null,
+    uses: 0,
+    bookings: []
+  };
+  return store.create(link);
+}
+
+// What guests see: no credentials and no details about included calendars
+export function toPublicLink(link) {
+  return {
+    id: link.id,
+    title: link.title,
+    ownerName: link.owner.name || link.owner.email,
+    durationMinutes: link.durationMinutes,
+    timezone: link.preferences.timezone,
+    expiresAt: link.expiresAt
+  };
+}
+
+// What the owner sees in their list of links
+export function toOwnerLink(link, now = Date.now()) {
+  const { owner, ...rest } = link;
+  return { ...rest, state: linkState(link, now) };
+}
+
+// Attendees go through the same routing as a signed-in search, so their ICS
+// files and feeds count; the owner may be signed out, so only their Google
+// calendar is connected.
+function linkProvider(attendees, calendar) {
+  return createAttendeeProvider({
+    providers: { google: createGoogleProvider(calendar) },
+    attendees
+  });
+}
+
+const unreadable = calendarStatus => calendarStatus.filter(entry => entry.status !== 'visible');
+
+// Calendars the owner's Google account can't read (Microsoft-routed, not
+// shared, unknown, broken feeds) would look free on the link, so the owner
+// can't include them. Checked over the link's window when it's created.
+export async function assertLinkAttendeesReadable(settings, calendar, now = Date.now()) {
+  if (settings.attendees.length === 0) return;
+
+  const ids = settings.attendees.map(attendee => attendee.email ?? attendee);
+  const { status } = await linkProvider(settings.attendees, calendar).getFreeBusy({
+    timeMin: now,
+    timeMax: now + settings.windowDays * DAY_MS,
+    timezone: settings.preferences.timezone,
+    calendarIds: ids
+  });
+  const calendars = unreadable(ids.map(email => ({ email, status: status[email] })));
+  if (calendars.length > 0) {
+    throw new ApiError(
+      400,
+      'link_attendee_unreadable',
+      `Booking links can only include calendars your Google account can read: ${calendars.map(entry => entry.email).join(', ')}.`,
+      { calendars }
+    );
+  }
+}
+
+// Open slots for the link's window, soonest first. Only slots where the owner
+// and every included attendee are free are offered. If an included calendar
+// can no longer be read, no slots are offered at all: its busy time is
+// unknown, and guests can't be told why.
+export async function findLinkAvailability(link, calendar, now = Date.now()) {
+  const { suggestions, calendarStatus } = await new CalendarService(
+    linkProvider(link.attendees, calendar)
+  ).findOptimalMeetingTimes({
+    organizer: link.owner.email,
+    attendees: link.attendees,
+    durationMinutes: link.durationMinutes,
+    startDate: new Date(now).toISOString(),
+    endDate: new Date(now + link.windowDays * DAY_MS).toISOString(),
+    maxResults: MAX_RESULTS,
+    preferences: link.preferences,
+    now
+  });
+
+  if (unreadable(calendarStatus).length > 0) {
+    throw new ApiError(
+      503,
+      'link_unavailable',
+      'This booking link is unavailable until its owner updates it.'
+    );
+  }
+
+  return suggestions
+    .filter(suggestion => suggestion.missingAttendees.length === 0)
+    .map(suggestion => ({ start: suggestion.start, end: suggestion.end }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// Books a guest into one of the link's open slots on the owner's calendar.
+// Runs inside the store's update so two guests can't both take the last use.
+export function bookViaLink(store, id, { slot, guest, calendar, now = Date.now() }) {
+  return store.update(id, async link => {
+    assertLinkActive(link, now);
+
+    const available = await findLinkAvailability(link, calendar, now);
+    if (!available.some(open => Date.parse(open.start) === Date.parse(slot.start))) {
+      throw new ApiError(409, 'slot_unavailable', 'That time is no longer available. Please pick another.');
+    }
+
+    const start = Date.parse(slot.start);
+    const end = start + link.durationMinutes * 60 * 1000;
+    const event = await calendar.events.insert({
+      calendarId: 'primary',
+      sendUpdates: 'all',
+      requestBody: {
+        summary: `${link.title} with ${guest.name}`,
+        description: `Booked by ${guest.name} (${guest.email}) via a booking link.`,
+        start: { dateTime: new Date(start).toISOString(), timeZone: link.preferences.timezone },
+        end: { dateTime: new Date(end).toISOString(), timeZone: link.preferences.timezone },
+        attendees: [
+          ...link.attendees.map(attendee => ({ email: attendee.email ?? attendee })),
+          { email: guest.email, displayName: guest.name }
+        ]
+      }
+    });
+
+    link.uses += 1;
+    link.bookings.push({
+      eventId: event.data.id,
+      guestEmail: guest.email,
+      start: new Date(start).toISOString(),
+      bookedAt: new Date(now).toISOString()
+    });
+
+    return { start: new Date(start).toISOString(), end: new Date(end).toISOString() };
+  });
+}
+
+// Guests can't fix the owner's Google sign-in, so expired or revoked owner
+// credentials are reported as the link being unavailable. Returns null for
+// anything else.
+export function linkErrorResponse(error) {
+  if (!error.response && typeof error.code !== 'number') return null;
+  if (mapProviderError(error).code !== 'token_expired') return null;
+
+  return jsonResponse(
+    {
+      error: 'This booking link is unavailable until its owner reconnects their calendar.',
+      code: 'link_unavailable'
+    },
+    503
+  );
+}
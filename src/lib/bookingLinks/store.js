@@ -0,0 +1,38 @@
+import {
+  createFileStore as createFileRecordStore,
+  createMemoryStore as createMemoryRecordStore,
+  storeFromSetting
+} from '../storage';
+
+// Booking link storage: a record store from ../storage whose list() takes
+// { ownerEmail }. Set BOOKING_LINK_STORE to 'memory' or to a JSON file path
+// (default .data/booking-links.json).
+
+export const DEFAULT_STORE_PATH = '.data/booking-links.json';
+
+function linkStore(store) {
+  return {
+    ...store,
+    list: ({ ownerEmail }) => store.list(link => link.owner.email === ownerEmail)
+  };
+}
+
+export function createMemoryStore(initial = []) {
+  return linkStore(createMemoryRecordStore(initial));
+}
+
+export function createFileStore(filePath = DEFAULT_STORE_PATH) {
+  return linkStore(createFileRecordStore(filePath, { collection: 'links' }));
+}
+
+let defaultStore;
+
+export function getBookingLinkStore() {
+  if (!defaultStore) {
+    defaultStore = linkStore(storeFromSetting(process.env.BOOKING_LINK_STORE, {
+      defaultPath: DEFAULT_STORE_PATH,
+      collection: 'links'
+    }));
+  }
+  return defaultStore;
+}
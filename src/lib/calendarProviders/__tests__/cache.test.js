@@ -0,0 +1,185 @@
+import { describe, it, expect } from 'vitest';
+import {
+  busyFromSegments,
+  createMemoryCache,
+  forgetFreeBusy,
+  uncoveredRanges,
+  withFreeBusyCache
+} from '../cache';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MONDAY = Date.parse('2024-11-25T00:00:00Z');
+const TTL = 5 * 60 * 1000;
+
+const iso = ms => new Date(ms).toISOString();
+
+// A provider that reports one 10:00–11:00 meeting per day for every calendar
+// (cut to the range asked for) and records its calls
+function dailyMeetings() {
+  const calls = [];
+  return {
+    calls,
+    name: 'fake',
+    async getFreeBusy({ timeMin, timeMax, calendarIds }) {
+      calls.push({ timeMin, timeMax, calendarIds });
+      const meetings = [];
+      for (let day = MONDAY; day < timeMax; day += DAY) {
+        const start = Math.max(day + 10 * HOUR, timeMin);
+        const end = Math.min(day + 11 * HOUR, timeMax);
+        if (start < end) meetings.push({ start: iso(start), end: iso(end) });
+      }
+      return {
+        busy: Object.fromEntries(calendarIds.map(id => [id, id.startsWith('ghost') ? [] : meetings])),
+        status: Object.fromEntries(calendarIds.map(id => [id, id.startsWith('ghost') ? 'not_found' : 'visible']))
+      };
+    }
+  };
+}
+
+function cachedProvider({ now = () => MONDAY } = {}) {
+  const provider = dailyMeetings();
+  const cache = createMemoryCache({ now });
+  const cached = withFreeBusyCache(provider, { cache, viewer: 'Me@example.com', ttlMs: TTL, now });
+  return { provider, cache, cached };
+}
+
+describe('uncoveredRanges', () => {
+  it('finds the parts of a window no segment covers', () => {
+    const segments = [{ start: 2, end: 4 }, { start: 6, end: 7 }, { start: 3, end: 5 }];
+    expect(uncoveredRanges(segments, 0, 10)).toEqual([
+      { start: 0, end: 2 },
+      { start: 5, end: 6 },
+      { start: 7, end: 10 }
+    ]);
+    expect(uncoveredRanges(segments, 2, 5)).toEqual([]);
+    expect(uncoveredRanges([], 0, 10)).toEqual([{ start: 0, end: 10 }]);
+  });
+});
+
+describe('busyFromSegments', () => {
+  it('joins meetings cut at a segment edge and drops duplicates', () => {
+    const edge = MONDAY + 10 * HOUR + 30 * 60 * 1000;
+    const segments = [
+      { start: MONDAY, end: edge, busy: [{ start: iso(MONDAY + 10 * HOUR), end: iso(edge) }] },
+      {
+        start: edge,
+        end: MONDAY + DAY,
+        busy: [{ start: iso(edge), end: iso(MONDAY + 11 * HOUR) }, { start: iso(MONDAY + 14 * HOUR), end: iso(MONDAY + 15 * HOUR) }]
+      },
+      { start: MONDAY + 12 * HOUR, end: MONDAY + DAY, busy: [{ start: iso(MONDAY + 14 * HOUR), end: iso(MONDAY + 15 * HOUR) }] }
+    ];
+
+    expect(busyFromSegments(segments, MONDAY, MONDAY + DAY)).toEqual([
+      { start: iso(MONDAY + 10 * HOUR), end: iso(MONDAY + 11 * HOUR) },
+      { start: iso(MONDAY + 14 * HOUR), end: iso(MONDAY + 15 * HOUR) }
+    ]);
+    // Back-to-back meetings that don't meet at an edge stay separate
+    expect(busyFromSegments([{
+      start: MONDAY,
+      end: MONDAY + DAY,
+      busy: [{ start: iso(MONDAY), end: iso(MONDAY + HOUR) }, { start: iso(MONDAY + HOUR), end: iso(MONDAY + 2 * HOUR) }]
+    }], MONDAY, MONDAY + DAY)).toHaveLength(2);
+  });
+});
+
+describe('withFreeBusyCache', () => {
+  const window = { timeMin: MONDAY, timeMax: MONDAY + 7 * DAY, timezone: 'UTC' };
+
+  it('answers a repeated search from the cache', async () => {
+    const { provider, cached } = cachedProvider();
+    const calendarIds = ['primary', 'alice@example.com'];
+
+    const first = await cached.getFreeBusy({ ...window, calendarIds });
+    const second = await cached.getFreeBusy({ ...window, calendarIds });
+
+    expect(provider.calls).toHaveLength(1);
+    expect(second).toEqual(first);
+    expect(second.busy['alice@example.com']).toHaveLength(7);
+  });
+
+  it('serves a narrower window from a wider one', async () => {
+    const { provider, cached } = cachedProvider();
+    await cached.getFreeBusy({ ...window, calendarIds: ['alice@example.com'] });
+
+    const result = await cached.getFreeBusy({
+      timeMin: MONDAY + DAY,
+      timeMax: MONDAY + 2 * DAY,
+      timezone: 'UTC',
+      calendarIds: ['alice@example.com']
+    });
+
+    expect(provider.calls).toHaveLength(1);
+    expect(result.busy['alice@example.com']).toEqual([
+      { start: iso(MONDAY + DAY + 10 * HOUR), end: iso(MONDAY + DAY + 11 * HOUR) }
+    ]);
+  });
+
+  it('only fetches the missing part of an overlapping window, grouped by range', async () => {
+    const { provider, cached } = cachedProvider();
+    await cached.getFreeBusy({ ...window, calendarIds: ['alice@example.com', 'bob@example.com'] });
+
+    const longer = { ...window, timeMax: MONDAY + 14 * DAY };
+    const result = await cached.getFreeBusy({
+      ...longer,
+      calendarIds: ['alice@example.com', 'bob@example.com', 'carol@example.com']
+    });
+
+    expect(provider.calls.slice(1)).toEqual(expect.arrayContaining([
+      { timeMin: MONDAY + 7 * DAY, timeMax: MONDAY + 14 * DAY, calendarIds: ['alice@example.com', 'bob@example.com'] },
+      { timeMin: MONDAY, timeMax: MONDAY + 14 * DAY, calendarIds: ['carol@example.com'] }
+    ]));
+    expect(provider.calls).toHaveLength(3);
+    expect(result.busy['alice@example.com']).toEqual(result.busy['carol@example.com']);
+    expect(result.busy['alice@example.com']).toHaveLength(14);
+  });
+
+  it('refetches once entries expire', async () => {
+    let now = MONDAY;
+    const { provider, cached } = cachedProvider({ now: () => now });
+    await cached.getFreeBusy({ ...window, calendarIds: ['alice@example.com'] });
+
+    now += TTL;
+    await cached.getFreeBusy({ ...window, calendarIds: ['alice@example.com'] });
+
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  it('does not cache calendars it could not read', async () => {
+    const { provider, cached } = cachedProvider();
+    const first = await cached.getFreeBusy({ ...window, calendarIds: ['ghost@example.com'] });
+    await cached.getFreeBusy({ ...window, calendarIds: ['ghost@example.com'] });
+
+    expect(first.status['ghost@example.com']).toBe('not_found');
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  it('keeps entries per viewer and forgets them on request', async () => {
+    const { provider, cache, cached } = cachedProvider();
+    const someoneElse = withFreeBusyCache(provider, { cache, viewer: 'other@example.com', ttlMs: TTL, now: () => MONDAY });
+
+    await cached.getFreeBusy({ ...window, calendarIds: ['primary'] });
+    await someoneElse.getFreeBusy({ ...window, calendarIds: ['primary'] });
+    expect(provider.calls).toHaveLength(2);
+
+    await forgetFreeBusy(cache, 'me@example.com', ['primary']);
+    await cached.getFreeBusy({ ...window, calendarIds: ['primary'] });
+    expect(provider.calls).toHaveLength(3);
+  });
+});
+
+describe('createMemoryCache', () => {
+  it('expires entries and evicts the oldest when full', async () => {
+    let now = 0;
+    const cache = createMemoryCache({ maxEntries: 2, now: () => now });
+    await cache.set('a', 1, { ttlMs: 100 });
+    await cache.set('b', 2, { ttlMs: 1000 });
+    await cache.set('c', 3, { ttlMs: 1000 });
+
+    expect(await cache.get('a')).toBeUndefined();
+    expect(await cache.get('b')).toBe(2);
+
+    now = 1000;
+    expect(await cache.get('c')).toBeUndefined();
+  });
+});
@@ -0,0 +1,345 @@
+import { describe, it, expect } from 'vitest';
+import graphSchedule from './fixtures/graph-getschedule.json';
+import graphThrottled from './fixtures/graph-throttled.json';
+import graphTokenExpired from './fixtures/graph-token-expired.json';
+import freeBusyWithErrors from '../../calendarService/__tests__/fixtures/freebusy-with-errors.json';
+import {
+  createGoogleProvider,
+  createMicrosoftProvider,
+  createProviderRouter,
+  providerForCalendar
+} from '..';
+import { withTimeExcluded } from '../exclude';
+import { errorResponse, mapProviderError } from '../../apiErrors';
+
+const searchWindow = {
+  timeMin: Date.parse('2024-11-25T14:00:00Z'),
+  timeMax: Date.parse('2024-12-02T14:00:00Z'),
+  timezone: 'America/Chicago'
+};
+
+// Replays a recorded Graph response and keeps the request it was sent
+function recordedFetch(body, { status = 200, headers = {} } = {}) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, ...init, body: JSON.parse(init.body) });
+    return new Response(JSON.stringify(body), { status, headers });
+  };
+  return { fetch, requests };
+}
+
+describe('createGoogleProvider', () => {
+  it('normalizes free/busy and per-calendar errors', async () => {
+    const calendar = { freebusy: { query: async () => ({ data: freeBusyWithErrors }) } };
+    const result = await createGoogleProvider(calendar).getFreeBusy({
+      ...searchWindow,
+      calendarIds: ['primary', 'alice@example.com', 'bob@gmail.com', 'carol@partner.example']
+    });
+
+    expect(result.busy.primary).toEqual([{ start: '2024-11-25T15:00:00Z', end: '2024-11-25T16:00:00Z' }]);
+    expect(result.status).toEqual({
+      primary: 'visible',
+      'alice@example.com': 'visible',
+      'bob@gmail.com': 'not_found',
+      'carol@partner.example': 'no_access'
+    });
+  });
+});
+
+describe('createGoogleProvider errors', () => {
+  const refused = () => ({
+    freebusy: {
+      query: async () => {
+        throw Object.assign(new Error('Forbidden'), { code: 403, response: { status: 403, data: {} } });
+      }
+    }
+  });
+
+  it('names the calendar a refused query was for', async () => {
+    const error = await createGoogleProvider(refused())
+      .getFreeBusy({ ...searchWindow, calendarIds: ['bob@example.com'] })
+      .catch(error => error);
+
+    const response = errorResponse(error, { calendarId: 'primary' });
+    expect(response.status).toBe(403);
+    expect(await response.json()).toMatchObject({ code: 'calendar_not_shared', calendarId: 'bob@example.com' });
+  });
+
+  it("doesn't guess which of several calendars was refused", async () => {
+    const error = await createGoogleProvider(refused())
+      .getFreeBusy({ ...searchWindow, calendarIds: ['primary', 'bob@example.com'] })
+      .catch(error => error);
+
+    expect(mapProviderError(error)).toMatchObject({ status: 403, details: { calendarId: undefined } });
+  });
+});
+
+describe('createGoogleProvider batching', () => {
+  it('splits long calendar lists into queries of at most maxItems, a few at a time', async () => {
+    const requests = [];
+    let running = 0;
+    let maxRunning = 0;
+    const calendar = {
+      freebusy: {
+        query: async ({ requestBody }) => {
+          requests.push(requestBody.items.map(item => item.id));
+          maxRunning = Math.max(maxRunning, ++running);
+          await new Promise(resolve => setTimeout(resolve, 1));
+          running--;
+          return {
+            data: {
+              calendars: Object.fromEntries(requestBody.items.map(({ id }) => [
+                id,
+                { busy: [{ start: '2024-11-25T15:00:00Z', end: '2024-11-25T16:00:00Z' }] }
+              ]))
+            }
+          };
+        }
+      }
+    };
+    const calendarIds = Array.from({ length: 12 }, (_, index) => `person${index}@example.com`);
+
+    const result = await createGoogleProvider(calendar, { maxItems: 5, concurrency: 2 })
+      .getFreeBusy({ ...searchWindow, calendarIds });
+
+    expect(requests.map(ids => ids.length)).toEqual([5, 5, 2]);
+    expect(maxRunning).toBe(2);
+    expect(Object.keys(result.busy)).toEqual(calendarIds);
+    expect(Object.values(result.status).every(status => status === 'visible')).toBe(true);
+  });
+});
+
+describe('createMicrosoftProvider', () => {
+  const calendarIds = ['primary', 'dana@contoso.com', 'ghost@contoso.com', 'partner@fabrikam.com'];
+
+  it('asks getSchedule for every mailbox in UTC', async () => {
+    const { fetch, requests } = recordedFetch(graphSchedule);
+    await createMicrosoftProvider({ accessToken: 'token', selfEmail: 'me@contoso.com', fetch })
+      .getFreeBusy({ ...searchWindow, calendarIds });
+
+    expect(requests[0].url).toBe('https://graph.microsoft.com/v1.0/me/calendar/getSchedule');
+    expect(requests[0].headers.Authorization).toBe('Bearer token');
+    expect(requests[0].body).toMatchObject({
+      schedules: ['me@contoso.com', 'dana@contoso.com', 'ghost@contoso.com', 'partner@fabrikam.com'],
+      startTime: { dateTime: '2024-11-25T14:00:00.000', timeZone: 'UTC' },
+      endTime: { dateTime: '2024-12-02T14:00:00.000', timeZone: 'UTC' }
+    });
+  });
+
+  it('returns busy, tentative and out-of-office items as busy intervals', async () => {
+    const { fetch } = recordedFetch(graphSchedule);
+    const result = await createMicrosoftProvider({ accessToken: 'token', selfEmail: 'me@contoso.com', fetch })
+      .getFreeBusy({ ...searchWindow, calendarIds });
+
+    expect(result.busy.primary).toEqual([
+      { start: '2024-11-25T15:00:00.000Z', end: '2024-11-25T16:00:00.000Z' }
+    ]);
+    // Matched case-insensitively; the 'free' item is dropped
+    expect(result.busy['dana@contoso.com']).toEqual([
+      { start: '2024-11-25T15:45:00.000Z', end: '2024-11-25T16:30:00.000Z' },
+      { start: '2024-11-27T00:00:00.000Z', end: '2024-11-29T00:00:00.000Z' }
+    ]);
+    expect(result.status).toEqual({
+      primary: 'visible',
+      'dana@contoso.com': 'visible',
+      'ghost@contoso.com': 'not_found',
+      'partner@fabrikam.com': 'no_access'
+    });
+  });
+
+  it('splits long mailbox lists and windows into several getSchedule requests, a few at a time', async () => {
+    const requests = [];
+    let running = 0;
+    let maxRunning = 0;
+    const fetch = async (url, init) => {
+      const body = JSON.parse(init.body);
+      requests.push(body);
+      maxRunning = Math.max(maxRunning, ++running);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      running--;
+      return new Response(JSON.stringify({
+        value: body.schedules.map(scheduleId => ({
+          scheduleId,
+          // The second mailbox can't be read in the later range
+          ...(scheduleId === 'person1@contoso.com' && body.startTime.dateTime.startsWith('2024-12-01')
+            ? { error: { responseCode: 'ErrorAccessDenied' } }
+            : {
+              scheduleItems: [{
+                status: 'busy',
+                start: { dateTime: body.startTime.dateTime, timeZone: 'UTC' },
+                end: { dateTime: body.endTime.dateTime, timeZone: 'UTC' }
+              }]
+            })
+        }))
+      }));
+    };
+    const calendarIds = Array.from({ length: 7 }, (_, index) => `person${index}@contoso.com`);
+
+    const result = await createMicrosoftProvider({
+      accessToken: 'token',
+      selfEmail: 'me@contoso.com',
+      fetch,
+      maxItems: 3,
+      maxDays: 6,
+      concurrency: 2
+    }).getFreeBusy({ ...searchWindow, calendarIds });
+
+    expect(requests.map(body => [body.startTime.dateTime, body.schedules.length])).toEqual([
+      ['2024-11-25T14:00:00.000', 3],
+      ['2024-11-25T14:00:00.000', 3],
+      ['2024-11-25T14:00:00.000', 1],
+      ['2024-12-01T14:00:00.000', 3],
+      ['2024-12-01T14:00:00.000', 3],
+      ['2024-12-01T14:00:00.000', 1]
+    ]);
+    expect(requests[3].endTime.dateTime).toBe('2024-12-02T14:00:00.000');
+    expect(maxRunning).toBe(2);
+    expect(result.busy['person0@contoso.com']).toEqual([
+      { start: '2024-11-25T14:00:00.000Z', end: '2024-12-01T14:00:00.000Z' },
+      { start: '2024-12-01T14:00:00.000Z', end: '2024-12-02T14:00:00.000Z' }
+    ]);
+    expect(result.status['person0@contoso.com']).toBe('visible');
+    expect(result.status['person1@contoso.com']).toBe('no_access');
+  });
+
+  it('reports an expired Microsoft token as a Microsoft sign-in problem', async () => {
+    const { fetch } = recordedFetch(graphTokenExpired, { status: 401 });
+    const error = await createMicrosoftProvider({ accessToken: 'expired', selfEmail: 'me@contoso.com', fetch })
+      .getFreeBusy({ ...searchWindow, calendarIds })
+      .catch(error => error);
+
+    expect(error.message).toBe('Lifetime validation failed, the token is expired.');
+    const response = errorResponse(error);
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({
+      error: 'Your Microsoft 365 sign-in has expired. Please sign in again.',
+      code: 'token_expired',
+      provider: 'azure-ad'
+    });
+  });
+
+  it('names the mailbox Graph refused', async () => {
+    const { fetch } = recordedFetch({ error: { code: 'ErrorAccessDenied', message: 'Access is denied.' } }, { status: 403 });
+    const error = await createMicrosoftProvider({ accessToken: 'token', selfEmail: 'me@contoso.com', fetch })
+      .getFreeBusy({ ...searchWindow, calendarIds: ['partner@fabrikam.com'] })
+      .catch(error => error);
+
+    expect(mapProviderError(error)).toMatchObject({
+      status: 403,
+      code: 'calendar_not_shared',
+      details: { calendarId: 'partner@fabrikam.com' }
+    });
+  });
+
+  it('reports Graph throttling as a Microsoft 365 rate limit', async () => {
+    const { fetch } = recordedFetch(graphThrottled, { status: 429, headers: { 'Retry-After': '12' } });
+    const error = await createMicrosoftProvider({ accessToken: 'token', selfEmail: 'me@contoso.com', fetch })
+      .getFreeBusy({ ...searchWindow, calendarIds })
+      .catch(error => error);
+
+    const response = errorResponse(error);
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('12');
+    const body = await response.json();
+    expect(body).toMatchObject({ code: 'rate_limited', retryAfter: 12 });
+    expect(body.error).toMatch(/^Microsoft 365/);
+  });
+
+  it('names Microsoft 365 when Graph is down', async () => {
+    const { fetch } = recordedFetch({ error: { code: 'ServiceNotAvailable' } }, { status: 503 });
+    const error = await createMicrosoftProvider({ accessToken: 'token', selfEmail: 'me@contoso.com', fetch })
+      .getFreeBusy({ ...searchWindow, calendarIds })
+      .catch(error => error);
+
+    expect(mapProviderError(error)).toMatchObject({ status: 502, code: 'microsoft_api_error' });
+  });
+});
+
+describe('providerForCalendar', () => {
+  const routing = {
+    primary: 'google',
+    hints: { 'vendor@example.net': 'microsoft' },
+    domains: { microsoft: ['contoso.com'] }
+  };
+
+  it('uses hints, then domain lists, then the organizer\'s provider', () => {
+    expect(providerForCalendar('primary', routing)).toBe('google');
+    expect(providerForCalendar('vendor@example.net', routing)).toBe('microsoft');
+    expect(providerForCalendar('dana@Contoso.com', routing)).toBe('microsoft');
+    expect(providerForCalendar('alice@example.com', routing)).toBe('google');
+    expect(providerForCalendar('alice@example.com', { ...routing, primary: 'microsoft' })).toBe('microsoft');
+  });
+});
+
+describe('createProviderRouter', () => {
+  it('combines attendees from Google and Microsoft in one result', async () => {
+    const calendar = { freebusy: { query: async () => ({ data: freeBusyWithErrors }) } };
+    const { fetch } = recordedFetch(graphSchedule);
+    const router = createProviderRouter({
+      providers: {
+        google: createGoogleProvider(calendar),
+        microsoft: createMicrosoftProvider({ accessToken: 'token', selfEmail: 'me@contoso.com', fetch })
+      },
+      route: id => providerForCalendar(id, { primary: 'google', domains: { microsoft: ['contoso.com'] } })
+    });
+
+    const result = await router.getFreeBusy({
+      ...searchWindow,
+      calendarIds: ['primary', 'alice@example.com', 'dana@contoso.com']
+    });
+
+    expect(result.status).toEqual({
+      primary: 'visible',
+      'alice@example.com': 'visible',
+      'dana@contoso.com': 'visible'
+    });
+    expect(result.busy['alice@example.com']).toHaveLength(1);
+    expect(result.busy['dana@contoso.com']).toHaveLength(2);
+  });
+
+  it('reports calendars on a provider that isn\'t connected', async () => {
+    const calendar = { freebusy: { query: async () => ({ data: freeBusyWithErrors }) } };
+    const router = createProviderRouter({
+      providers: { google: createGoogleProvider(calendar) },
+      route: id => (id.endsWith('@contoso.com') ? 'microsoft' : 'google')
+    });
+
+    const result = await router.getFreeBusy({ ...searchWindow, calendarIds: ['primary', 'dana@contoso.com'] });
+
+    expect(result.status['dana@contoso.com']).toBe('not_connected');
+    expect(result.busy['dana@contoso.com']).toEqual([]);
+  });
+});
+
+describe('withTimeExcluded', () => {
+  const provider = {
+    name: 'fake',
+    getFreeBusy: async () => ({
+      busy: {
+        primary: [
+          { start: '2024-11-25T15:00:00Z', end: '2024-11-25T16:00:00Z' },
+          { start: '2024-11-25T18:00:00Z', end: '2024-11-25T19:00:00Z' }
+        ],
+        'alice@example.com': [{ start: '2024-11-25T14:30:00Z', end: '2024-11-25T17:00:00Z' }],
+        'bob@example.com': [{ start: '2024-11-25T15:00:00Z', end: '2024-11-25T16:00:00Z' }]
+      },
+      status: { primary: 'visible', 'alice@example.com': 'visible', 'bob@example.com': 'visible' }
+    })
+  };
+
+  it('frees the excluded time for the given calendars only', async () => {
+    const result = await withTimeExcluded(provider, {
+      start: '2024-11-25T15:00:00Z',
+      end: '2024-11-25T16:00:00Z',
+      calendarIds: ['primary', 'alice@example.com']
+    }).getFreeBusy({ ...searchWindow, calendarIds: ['primary', 'alice@example.com', 'bob@example.com'] });
+
+    expect(result.busy.primary).toEqual([{ start: '2024-11-25T18:00:00Z', end: '2024-11-25T19:00:00Z' }]);
+    // A longer busy period keeps the parts outside the excluded time
+    expect(result.busy['alice@example.com']).toEqual([
+      { start: '2024-11-25T14:30:00Z', end: '2024-11-25T15:00:00.000Z' },
+      { start: '2024-11-25T16:00:00.000Z', end: '2024-11-25T17:00:00Z' }
+    ]);
+    expect(result.busy['bob@example.com']).toHaveLength(1);
+  });
+});
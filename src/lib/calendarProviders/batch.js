@@ -0,0 +1,27 @@
+// Splitting large calendar lists into requests a provider accepts, and
+// running those requests a few at a time
+
+export function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+// Like Promise.all(items.map(task)), with at most `limit` tasks running at
+// once. Results keep the order of `items`; the first failure rejects.
+export async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
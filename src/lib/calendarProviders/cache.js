@@ -0,0 +1,184 @@
+// Server-side cache of normalized free/busy, per calendar. Each calendar's
+// entry holds the time ranges already fetched ("segments") with their busy
+// periods, so a search inside, or overlapping, an earlier one only asks the
+// provider for the part it hasn't seen.
+//
+// Cache backends implement
+//   get(key) -> value | undefined
+//   set(key, value, { ttlMs })
+//   delete(key)
+// and may return promises. Values are plain JSON, so a Redis backend only
+// needs to serialize them (e.g. SET key json PX ttlMs).
+
+export const DEFAULT_FREEBUSY_TTL_SECONDS = 300;
+
+export function createMemoryCache({ maxEntries = 5000, now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, { ttlMs }) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      // Map keeps insertion order, so the least recently written go first
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+let defaultCache;
+
+// The process-wide cache the API routes share
+export function getFreeBusyCache() {
+  defaultCache = defaultCache || createMemoryCache();
+  return defaultCache;
+}
+
+// FREEBUSY_CACHE_TTL_SECONDS (default 300); 0 turns caching off
+export function freeBusyCacheTtlMs() {
+  const seconds = Number(process.env.FREEBUSY_CACHE_TTL_SECONDS ?? DEFAULT_FREEBUSY_TTL_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Free/busy depends on who's asking (and 'primary' is a different calendar
+// for everyone), so entries are kept per viewer
+function cacheKey(viewer, id) {
+  return `freebusy:${viewer.toLowerCase()}:${id.toLowerCase()}`;
+}
+
+// Parts of [start, end) not covered by any segment
+export function uncoveredRanges(segments, start, end) {
+  const gaps = [];
+  let cursor = start;
+  for (const segment of [...segments].sort((a, b) => a.start - b.start)) {
+    if (segment.end <= cursor) continue;
+    if (segment.start >= end) break;
+    if (segment.start > cursor) gaps.push({ start: cursor, end: segment.start });
+    cursor = Math.max(cursor, segment.end);
+  }
+  if (cursor < end) gaps.push({ start: cursor, end });
+  return gaps;
+}
+
+// Busy periods from several segments that overlap [start, end). Providers
+// may cut a meeting at the edge of the range they were asked for, so pieces
+// meeting exactly at a segment edge are joined back up, and a meeting seen by
+// two overlapping segments is kept once.
+export function busyFromSegments(segments, start, end) {
+  const edges = new Set(segments.flatMap(segment => [segment.start, segment.end]));
+  const seen = new Set();
+  const intervals = segments
+    .flatMap(segment => segment.busy)
+    .map(interval => ({ ...interval, startMs: Date.parse(interval.start), endMs: Date.parse(interval.end) }))
+    .filter(interval => interval.endMs > start && interval.startMs < end)
+    .filter(interval => {
+      const key = `${interval.startMs}-${interval.endMs}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.startMs - b.startMs || a.endMs - b.endMs);
+
+  const joined = [];
+  for (const interval of intervals) {
+    const last = joined[joined.length - 1];
+    if (last && last.endMs === interval.startMs && edges.has(interval.startMs)) {
+      Object.assign(last, { end: interval.end, endMs: interval.endMs });
+    } else {
+      joined.push({ ...interval });
+    }
+  }
+  return joined.map(({ start: intervalStart, end: intervalEnd }) => ({ start: intervalStart, end: intervalEnd }));
+}
+
+// Wraps a provider so calendars fetched in the last `ttlMs` are served from
+// `cache`. Calendars missing the same part of the window are fetched together
+// in one call. Only readable ('visible') calendars are cached; errors are
+// retried on the next search.
+export function withFreeBusyCache(provider, { cache, viewer, ttlMs, now = Date.now }) {
+  return {
+    name: provider.name,
+
+    async getFreeBusy({ timeMin, timeMax, timezone, calendarIds }) {
+      const start = new Date(timeMin).getTime();
+      const end = new Date(timeMax).getTime();
+      const fetchedAt = now();
+
+      const cached = await Promise.all(calendarIds.map(async id => {
+        const entry = await cache.get(cacheKey(viewer, id));
+        const segments = (entry?.segments || []).filter(segment => fetchedAt - segment.fetchedAt < ttlMs);
+        return { id, segments, gaps: uncoveredRanges(segments, start, end) };
+      }));
+
+      // One request per distinct missing range, covering all its gaps
+      const requests = new Map();
+      for (const calendar of cached.filter(calendar => calendar.gaps.length > 0)) {
+        const range = { start: calendar.gaps[0].start, end: calendar.gaps[calendar.gaps.length - 1].end };
+        const key = `${range.start}-${range.end}`;
+        if (!requests.has(key)) requests.set(key, { range, ids: [] });
+        requests.get(key).ids.push(calendar.id);
+      }
+
+      const fetched = {};
+      await Promise.all([...requests.values()].map(async ({ range, ids }) => {
+        const result = await provider.getFreeBusy({
+          timeMin: range.start,
+          timeMax: range.end,
+          timezone,
+          calendarIds: ids
+        });
+        for (const id of ids) {
+          fetched[id] = {
+            status: result.status[id],
+            segment: { start: range.start, end: range.end, fetchedAt, busy: result.busy[id] || [] }
+          };
+        }
+      }));
+
+      const busy = {};
+      const status = {};
+      await Promise.all(cached.map(async ({ id, segments }) => {
+        const fresh = fetched[id];
+        if (fresh && fresh.status !== 'visible') {
+          busy[id] = fresh.segment.busy;
+          status[id] = fresh.status;
+          return;
+        }
+
+        const all = fresh ? [...segments, fresh.segment] : segments;
+        busy[id] = busyFromSegments(all, start, end);
+        status[id] = 'visible';
+
+        if (fresh) {
+          // Segments the new one covers add nothing
+          const kept = segments.filter(segment => segment.start < fresh.segment.start || segment.end > fresh.segment.end);
+          await cache.set(cacheKey(viewer, id), { segments: [...kept, fresh.segment] }, { ttlMs });
+        }
+      }));
+
+      return { busy, status };
+    }
+  };
+}
+
+// Drops a viewer's cached free/busy for calendars whose events just changed,
+// e.g. after booking or moving a meeting
+export async function forgetFreeBusy(cache, viewer, calendarIds) {
+  if (!viewer) return;
+  await Promise.all(calendarIds.map(id => cache.delete(cacheKey(viewer, id))));
+}
@@ -0,0 +1,37 @@
+// Hides one stretch of time from other calendars' busy periods, e.g. the
+// current slot of an event that's being moved, so its attendees don't look
+// busy at the very time being freed. Only `calendarIds` are affected; any
+// other meeting they have in that stretch is hidden too, since free/busy
+// can't tell the two apart.
+export function withTimeExcluded(provider, { start, end, calendarIds }) {
+  const excludedStart = Date.parse(start);
+  const excludedEnd = Date.parse(end);
+  const affected = new Set(calendarIds);
+
+  const subtract = busy => busy.flatMap(interval => {
+    const intervalStart = Date.parse(interval.start);
+    const intervalEnd = Date.parse(interval.end);
+    if (intervalEnd <= excludedStart || intervalStart >= excludedEnd) return [interval];
+
+    return [
+      ...(intervalStart < excludedStart
+        ? [{ start: interval.start, end: new Date(excludedStart).toISOString() }]
+        : []),
+      ...(intervalEnd > excludedEnd
+        ? [{ start: new Date(excludedEnd).toISOString(), end: interval.end }]
+        : [])
+    ];
+  });
+
+  return {
+    name: provider.name,
+
+    async getFreeBusy(query) {
+      const result = await provider.getFreeBusy(query);
+      for (const id of Object.keys(result.busy)) {
+        if (affected.has(id)) result.busy[id] = subtract(result.busy[id]);
+      }
+      return result;
+    }
+  };
+}
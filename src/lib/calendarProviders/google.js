@@ -0,0 +1,61 @@
+import { chunk, mapWithConcurrency } from './batch';
+
+// Google Calendar free/busy adapter
+
+// Free/busy error reasons Google reports per calendar
+const NOT_FOUND_REASONS = ['notFound'];
+const NO_ACCESS_REASONS = ['forbidden', 'requiredAccessLevel', 'insufficientPermissions'];
+
+// Whether we could actually read a calendar's free/busy: 'visible',
+// 'not_found', 'no_access', or 'error' for anything else Google reports
+export function calendarStatus(calendar) {
+  if (!calendar) return 'not_found';
+  const reasons = (calendar.errors || []).map(error => error.reason);
+  if (reasons.length === 0) return 'visible';
+  if (reasons.some(reason => NOT_FOUND_REASONS.includes(reason))) return 'not_found';
+  if (reasons.some(reason => NO_ACCESS_REASONS.includes(reason))) return 'no_access';
+  return 'error';
+}
+
+// freebusy.query takes at most 50 calendars per request
+export const FREEBUSY_MAX_ITEMS = 50;
+const FREEBUSY_CONCURRENCY = 4;
+
+// `calendar` is a googleapis calendar v3 client. 'primary' is the signed-in
+// user's own calendar. Long calendar lists are split into several queries,
+// a few in flight at a time.
+export function createGoogleProvider(calendar, { maxItems = FREEBUSY_MAX_ITEMS, concurrency = FREEBUSY_CONCURRENCY } = {}) {
+  const query = async ({ timeMin, timeMax, timezone, calendarIds }) => {
+    const freeBusyResponse = await calendar.freebusy.query({
+      requestBody: {
+        timeMin: new Date(timeMin).toISOString(),
+        timeMax: new Date(timeMax).toISOString(),
+        timeZone: timezone,
+        items: calendarIds.map(id => ({ id }))
+      }
+    }).catch(error => {
+      // A query for a single calendar that's refused names it in the 403
+      if (calendarIds.length === 1) error.calendarId = calendarIds[0];
+      throw error;
+    });
+    return freeBusyResponse.data.calendars || {};
+  };
+
+  return {
+    name: 'google',
+
+    async getFreeBusy({ timeMin, timeMax, timezone, calendarIds }) {
+      const responses = await mapWithConcurrency(
+        chunk(calendarIds, maxItems),
+        concurrency,
+        ids => query({ timeMin, timeMax, timezone, calendarIds: ids })
+      );
+
+      const calendars = Object.assign({}, ...responses);
+      return {
+        busy: Object.fromEntries(calendarIds.map(id => [id, calendars[id]?.busy || []])),
+        status: Object.fromEntries(calendarIds.map(id => [id, calendarStatus(calendars[id])]))
+      };
+    }
+  };
+}
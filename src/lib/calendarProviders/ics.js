@@ -0,0 +1,31 @@
+import { icsBusyIntervals } from '../ics';
+import { fetchIcsFeed } from '../ics/feed';
+
+// Adds busy time from iCalendar files or feeds to another provider's result,
+// for attendees who can't share their calendar. `sources` maps an email to
+// { text } (uploaded or pasted) or { url } (public feed). A calendar with a
+// readable ICS source counts as 'visible'; one whose feed fails is reported
+// as 'ics_unavailable'.
+export function withIcsCalendars(provider, sources, { fetch, lookup } = {}) {
+  return {
+    name: provider.name,
+
+    async getFreeBusy({ timeMin, timeMax, timezone, calendarIds }) {
+      const result = await provider.getFreeBusy({ timeMin, timeMax, timezone, calendarIds });
+
+      await Promise.all(calendarIds.filter(id => sources[id]).map(async id => {
+        try {
+          const text = sources[id].text ?? await fetchIcsFeed(sources[id].url, { fetch, lookup });
+          const busy = icsBusyIntervals(text, { timeMin, timeMax, timezone });
+          result.busy[id] = [...(result.busy[id] || []), ...busy];
+          result.status[id] = 'visible';
+        } catch (error) {
+          console.error(`Error reading calendar file for ${id}:`, error);
+          result.status[id] = 'ics_unavailable';
+        }
+      }));
+
+      return result;
+    }
+  };
+}
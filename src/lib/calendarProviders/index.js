@@ -0,0 +1,53 @@
+// Calendar providers turn a list of calendar IDs (emails, or 'primary' for
+// the signed-in user) into normalized free/busy:
+//   getFreeBusy({ timeMin, timeMax, timezone, calendarIds })
+//     -> { busy: { [id]: [{ start, end }] }, status: { [id]: status } }
+// where busy times are ISO strings and status is 'visible', 'not_found',
+// 'no_access', 'error' or 'not_connected'.
+
+export { calendarStatus, createGoogleProvider } from './google';
+export { createMicrosoftProvider } from './microsoft';
+
+export const PROVIDER_NAMES = ['google', 'microsoft'];
+
+// Which system holds a calendar: an explicit per-attendee hint wins, then
+// the configured domain lists, then the organizer's own provider
+export function providerForCalendar(id, { primary, hints = {}, domains = {} }) {
+  if (id === 'primary') return primary;
+  if (hints[id]) return hints[id];
+
+  const domain = id.split('@')[1]?.toLowerCase();
+  const listed = PROVIDER_NAMES.find(name => domains[name]?.includes(domain));
+  return listed || primary;
+}
+
+// Combines several providers into one, sending each calendar to the provider
+// `route(id)` names. Calendars whose provider isn't connected are reported as
+// 'not_connected'.
+export function createProviderRouter({ providers, route }) {
+  return {
+    name: 'router',
+
+    async getFreeBusy({ calendarIds, ...window }) {
+      const groups = new Map();
+      for (const id of calendarIds) {
+        const name = route(id);
+        groups.set(name, [...(groups.get(name) || []), id]);
+      }
+
+      const results = await Promise.all(
+        [...groups].map(([name, ids]) => providers[name]
+          ? providers[name].getFreeBusy({ ...window, calendarIds: ids })
+          : {
+            busy: Object.fromEntries(ids.map(id => [id, []])),
+            status: Object.fromEntries(ids.map(id => [id, 'not_connected']))
+          })
+      );
+
+      return {
+        busy: Object.assign({}, ...results.map(result => result.busy)),
+        status: Object.assign({}, ...results.map(result => result.status))
+      };
+    }
+  };
+}
@@ -0,0 +1,133 @@
+import { DateTime } from 'luxon';
+import { chunk, mapWithConcurrency } from './batch';
+
+// Microsoft 365 / Outlook free/busy adapter using Graph's getSchedule
+
+export const GRAPH_URL = 'https://graph.microsoft.com/v1.0';
+
+// Schedule item statuses that block a meeting. 'free' and
+// 'workingElsewhere' don't.
+const BUSY_STATUSES = ['busy', 'tentative', 'oof'];
+
+// Graph responseCodes on a schedule it couldn't read
+const NOT_FOUND_CODES = /NotFound|InvalidUser|InvalidSmtpAddress|UnresolvedRecipient/i;
+const NO_ACCESS_CODES = /AccessDenied|Permission/i;
+
+export function scheduleStatus(schedule) {
+  if (!schedule) return 'not_found';
+  if (!schedule.error) return 'visible';
+  const code = schedule.error.responseCode || '';
+  if (NOT_FOUND_CODES.test(code)) return 'not_found';
+  if (NO_ACCESS_CODES.test(code)) return 'no_access';
+  return 'error';
+}
+
+// Graph returns zone-less local times ("2024-11-25T15:00:00.0000000") next to
+// a timeZone name
+function toIso({ dateTime, timeZone }) {
+  return DateTime.fromISO(dateTime, { zone: timeZone || 'UTC' }).toUTC().toISO();
+}
+
+export function scheduleBusy(schedule) {
+  return (schedule?.scheduleItems || [])
+    .filter(item => BUSY_STATUSES.includes(item.status))
+    .map(item => ({ start: toIso(item.start), end: toIso(item.end) }));
+}
+
+// Tagged with the provider so errorResponse maps it with mapGraphError, and
+// with the calendar when the request was for just one
+function graphError(response, body, calendarIds) {
+  const error = new Error(body?.error?.message || `Microsoft Graph request failed (status ${response.status})`);
+  error.provider = 'microsoft';
+  if (calendarIds.length === 1) error.calendarId = calendarIds[0];
+  error.response = {
+    status: response.status,
+    headers: { 'retry-after': response.headers.get('retry-after') },
+    data: body
+  };
+  return error;
+}
+
+// getSchedule reads at most 20 mailboxes and 62 days per request
+export const SCHEDULE_MAX_ITEMS = 20;
+export const SCHEDULE_MAX_DAYS = 62;
+const SCHEDULE_CONCURRENCY = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// [timeMin, timeMax) cut into consecutive ranges of at most maxMs
+function timeRanges(timeMin, timeMax, maxMs) {
+  const start = new Date(timeMin).getTime();
+  const end = new Date(timeMax).getTime();
+  const ranges = [];
+  for (let from = start; from < end; from += maxMs) {
+    ranges.push({ timeMin: from, timeMax: Math.min(from + maxMs, end) });
+  }
+  return ranges;
+}
+
+const graphTime = time => ({ dateTime: new Date(time).toISOString().replace('Z', ''), timeZone: 'UTC' });
+
+// `selfEmail` is the signed-in user's mailbox; 'primary' is queried as it.
+// Long mailbox lists and long windows are split into several requests, a
+// few in flight at a time, like the Google provider.
+export function createMicrosoftProvider({
+  accessToken,
+  selfEmail,
+  fetch = globalThis.fetch,
+  maxItems = SCHEDULE_MAX_ITEMS,
+  maxDays = SCHEDULE_MAX_DAYS,
+  concurrency = SCHEDULE_CONCURRENCY
+}) {
+  // Schedules by calendar ID for one request
+  const query = async ({ timeMin, timeMax, calendarIds }) => {
+    const schedules = calendarIds.map(id => (id === 'primary' ? selfEmail : id));
+    const response = await fetch(`${GRAPH_URL}/me/calendar/getSchedule`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        Prefer: 'outlook.timezone="UTC"'
+      },
+      body: JSON.stringify({
+        schedules,
+        startTime: graphTime(timeMin),
+        endTime: graphTime(timeMax),
+        availabilityViewInterval: 15
+      })
+    });
+
+    const body = await response.json().catch(() => undefined);
+    if (!response.ok) {
+      throw graphError(response, body, calendarIds);
+    }
+
+    const bySchedule = new Map(
+      (body.value || []).map(schedule => [schedule.scheduleId.toLowerCase(), schedule])
+    );
+    return Object.fromEntries(calendarIds.map((id, index) => [id, bySchedule.get(schedules[index].toLowerCase())]));
+  };
+
+  return {
+    name: 'microsoft',
+
+    async getFreeBusy({ timeMin, timeMax, calendarIds }) {
+      const requests = timeRanges(timeMin, timeMax, maxDays * DAY_MS).flatMap(range =>
+        chunk(calendarIds, maxItems).map(ids => ({ ...range, calendarIds: ids }))
+      );
+      const responses = await mapWithConcurrency(requests, concurrency, query);
+
+      // A calendar is only visible if every range of it could be read
+      const busy = Object.fromEntries(calendarIds.map(id => [id, []]));
+      const status = Object.fromEntries(calendarIds.map(id => [id, 'visible']));
+      responses.forEach(schedules => {
+        Object.entries(schedules).forEach(([id, schedule]) => {
+          busy[id].push(...scheduleBusy(schedule));
+          if (status[id] === 'visible') status[id] = scheduleStatus(schedule);
+        });
+      });
+
+      return { busy, status };
+    }
+  };
+}
@@ -0,0 +1,70 @@
+import { getCalendarClient } from '../googleCalendar';
+import { createGoogleProvider } from './google';
+import { createMicrosoftProvider } from './microsoft';
+import { withIcsCalendars } from './ics';
+import { freeBusyCacheTtlMs, getFreeBusyCache, withFreeBusyCache } from './cache';
+import { createProviderRouter, providerForCalendar } from '.';
+
+function domainList(value) {
+  return (value || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Routes each calendar to whichever of `providers` holds it.
+// GOOGLE_DOMAINS / MICROSOFT_DOMAINS (comma-separated) say where colleagues'
+// calendars live; attendees can also name a `provider` and add an `ics` file
+// or feed. With a `viewer`, results are cached per viewer for
+// FREEBUSY_CACHE_TTL_SECONDS; ICS sources are read fresh on every search.
+export function createAttendeeProvider({ providers, primary = 'google', attendees = [], viewer }) {
+  const routing = {
+    primary,
+    hints: Object.fromEntries(
+      attendees
+        .filter(attendee => attendee.provider)
+        .map(attendee => [attendee.email, attendee.provider])
+    ),
+    domains: {
+      google: domainList(process.env.GOOGLE_DOMAINS),
+      microsoft: domainList(process.env.MICROSOFT_DOMAINS)
+    }
+  };
+
+  const router = createProviderRouter({
+    providers,
+    route: id => providerForCalendar(id, routing)
+  });
+
+  const ttlMs = freeBusyCacheTtlMs();
+  const provider = ttlMs > 0 && viewer
+    ? withFreeBusyCache(router, { cache: getFreeBusyCache(), viewer, ttlMs })
+    : router;
+
+  const icsSources = Object.fromEntries(
+    attendees.filter(attendee => attendee.ics).map(attendee => [attendee.email, attendee.ics])
+  );
+  return Object.keys(icsSources).length > 0 ? withIcsCalendars(provider, icsSources) : provider;
+}
+
+// Builds the free/busy provider for a signed-in user from whichever accounts
+// they've connected
+export function getCalendarProvider(session, { attendees = [] } = {}) {
+  const providers = {};
+  if (session.accessToken) {
+    providers.google = createGoogleProvider(getCalendarClient(session));
+  }
+  if (session.microsoftAccessToken) {
+    providers.microsoft = createMicrosoftProvider({
+      accessToken: session.microsoftAccessToken,
+      selfEmail: session.microsoftEmail || session.user?.email
+    });
+  }
+
+  return createAttendeeProvider({
+    providers,
+    primary: session.primaryProvider || 'google',
+    attendees,
+    viewer: session.user?.email
+  });
+}
@@ -0,0 +1,519 @@
+import { describe, it, expect } from 'vitest';
+import freeBusy from './fixtures/freebusy-thanksgiving-week.json';
+import freeBusyWithErrors from './fixtures/freebusy-with-errors.json';
+import {
+  buildParticipants,
+  conflictsWithBusyPeriods,
+  expandOccurrences,
+  findMeetingTimes,
+  findRecurringMeetingTimes,
+  generateCandidates,
+  isWithinWorkingHours,
+  mergeBusyIntervals,
+  resolveSearchWindow,
+  scoreAndSortSlots
+} from '../engine';
+import { CalendarService, calendarStatus } from '..';
+
+// Monday 2024-11-25, 8:00 AM in Chicago. Thursday of that week is Thanksgiving.
+const NOW = Date.parse('2024-11-25T14:00:00Z');
+const TIMEZONE = 'America/Chicago';
+const HOUR_MS = 60 * 60 * 1000;
+
+const allBusy = Object.values(freeBusy.calendars).flatMap(calendar => calendar.busy);
+const busyByParticipant = {
+  'me@example.com': freeBusy.calendars.primary.busy,
+  'alice@example.com': freeBusy.calendars['alice@example.com'].busy,
+  'bernd@example.com': freeBusy.calendars['bernd@example.com'].busy
+};
+const aliceAwayAllWeek = {
+  ...busyByParticipant,
+  'alice@example.com': [{ start: '2024-11-25T00:00:00Z', end: '2024-12-03T00:00:00Z' }]
+};
+
+function participants(attendees = ['alice@example.com', 'bernd@example.com']) {
+  return buildParticipants({ organizer: 'me@example.com', attendees, timezone: TIMEZONE });
+}
+
+describe('mergeBusyIntervals', () => {
+  it('sorts and merges overlapping periods from several calendars', () => {
+    const merged = mergeBusyIntervals(allBusy);
+
+    expect(merged[0]).toEqual({
+      start: Date.parse('2024-11-25T15:00:00Z'),
+      end: Date.parse('2024-11-25T17:00:00Z')
+    });
+    expect(merged).toHaveLength(4);
+    merged.slice(1).forEach((interval, i) => {
+      expect(interval.start).toBeGreaterThan(merged[i].end);
+    });
+  });
+
+  it('joins touching periods and drops empty ones', () => {
+    const merged = mergeBusyIntervals([
+      { start: '2024-11-25T11:00:00Z', end: '2024-11-25T12:00:00Z' },
+      { start: '2024-11-25T10:00:00Z', end: '2024-11-25T11:00:00Z' },
+      { start: '2024-11-25T13:00:00Z', end: '2024-11-25T13:00:00Z' }
+    ]);
+
+    expect(merged).toEqual([
+      { start: Date.parse('2024-11-25T10:00:00Z'), end: Date.parse('2024-11-25T12:00:00Z') }
+    ]);
+  });
+});
+
+describe('buildParticipants', () => {
+  it('puts the organizer first and fills in default hours', () => {
+    const result = buildParticipants({
+      organizer: 'me@example.com',
+      attendees: ['alice@example.com', { email: 'bernd@example.com', timezone: 'Europe/Berlin' }],
+      timezone: TIMEZONE
+    });
+
+    expect(result.map(p => p.email)).toEqual(['me@example.com', 'alice@example.com', 'bernd@example.com']);
+    expect(result[1]).toMatchObject({ timezone: TIMEZONE, workingHours: { start: 9, end: 17 } });
+    expect(result[2]).toMatchObject({ timezone: 'Europe/Berlin', workingHours: { start: 9, end: 17 } });
+  });
+});
+
+describe('isWithinWorkingHours', () => {
+  const berlin = { email: 'b', timezone: 'Europe/Berlin', workingHours: { start: 9, end: 17 } };
+
+  it('uses the participant\'s own timezone', () => {
+    const start = Date.parse('2024-11-25T08:00:00Z'); // 9:00 in Berlin
+    expect(isWithinWorkingHours(start, start + HOUR_MS, berlin)).toBe(true);
+    expect(isWithinWorkingHours(start - HOUR_MS, start, berlin)).toBe(false);
+  });
+
+  it('rejects slots on the participant\'s weekend', () => {
+    const saturday = Date.parse('2024-11-23T10:00:00Z');
+    expect(isWithinWorkingHours(saturday, saturday + HOUR_MS, berlin)).toBe(false);
+  });
+});
+
+describe('resolveSearchWindow', () => {
+  it('counts named ranges from now', () => {
+    const { timeMin, timeMax } = resolveSearchWindow({ searchRange: 'day', now: NOW + 60000 });
+
+    expect(timeMin).toBe(NOW + 15 * 60000);
+    expect(timeMax - timeMin).toBe(24 * HOUR_MS);
+  });
+
+  it('reads plain dates in the organizer\'s timezone and includes the whole end day', () => {
+    const { timeMin, timeMax } = resolveSearchWindow({
+      startDate: '2024-12-02',
+      endDate: '2024-12-03',
+      timezone: TIMEZONE,
+      now: NOW
+    });
+
+    expect(new Date(timeMin).toISOString()).toBe('2024-12-02T06:00:00.000Z');
+    expect(new Date(timeMax).toISOString()).toBe('2024-12-04T06:00:00.000Z');
+  });
+
+  it('never starts in the past', () => {
+    const { timeMin } = resolveSearchWindow({ startDate: '2024-11-01', searchRange: 'week', now: NOW });
+    expect(timeMin).toBe(NOW);
+  });
+});
+
+describe('generateCandidates', () => {
+  const { timeMin, timeMax } = resolveSearchWindow({ searchRange: 'week', now: NOW });
+  const chicagoAndBerlin = participants([{ email: 'bernd@example.com', timezone: 'Europe/Berlin' }]);
+
+  it('only keeps the overlap of everyone\'s working hours and skips holidays', () => {
+    const candidates = generateCandidates({
+      timeMin,
+      timeMax,
+      durationMinutes: 30,
+      participants: chicagoAndBerlin,
+      timezone: TIMEZONE,
+      isHoliday: date => (date === '2024-11-28' ? 'Thanksgiving' : null)
+    });
+
+    // 9:00-10:00 Chicago is 16:00-17:00 Berlin: three 30-minute starts per day
+    // on Monday, Tuesday, Wednesday and Friday
+    expect(candidates).toHaveLength(12);
+    candidates.forEach(slot => {
+      expect(new Date(slot.start).getUTCHours()).toBe(15);
+      expect(new Date(slot.start).getUTCDay()).not.toBe(4);
+    });
+  });
+
+  it('drops Fridays when asked', () => {
+    const candidates = generateCandidates({
+      timeMin,
+      timeMax,
+      durationMinutes: 30,
+      participants: chicagoAndBerlin,
+      timezone: TIMEZONE,
+      noFridays: true,
+      isHoliday: date => (date === '2024-11-28' ? 'Thanksgiving' : null)
+    });
+
+    expect(candidates).toHaveLength(9);
+    candidates.forEach(slot => expect(new Date(slot.start).getUTCDay()).not.toBe(5));
+  });
+
+  it('drops any excluded weekdays', () => {
+    const candidates = generateCandidates({
+      timeMin,
+      timeMax,
+      durationMinutes: 30,
+      participants: chicagoAndBerlin,
+      timezone: TIMEZONE,
+      excludedWeekdays: [1, 3],
+      isHoliday: date => (date === '2024-11-28' ? 'Thanksgiving' : null)
+    });
+
+    // Tuesday and Friday are left
+    expect(candidates).toHaveLength(6);
+    expect([...new Set(candidates.map(slot => new Date(slot.start).getUTCDay()))]).toEqual([2, 5]);
+  });
+});
+
+describe('conflictsWithBusyPeriods', () => {
+  const busy = mergeBusyIntervals([{ start: '2024-11-25T15:00:00Z', end: '2024-11-25T16:00:00Z' }]);
+
+  it('flags slots that start or end inside a busy period', () => {
+    const at = iso => Date.parse(iso);
+    expect(conflictsWithBusyPeriods({ start: at('2024-11-25T15:30:00Z'), end: at('2024-11-25T16:30:00Z') }, busy)).toBe(true);
+    expect(conflictsWithBusyPeriods({ start: at('2024-11-25T14:30:00Z'), end: at('2024-11-25T15:30:00Z') }, busy)).toBe(true);
+  });
+
+  it('flags slots that contain a shorter busy period', () => {
+    const at = iso => Date.parse(iso);
+    expect(conflictsWithBusyPeriods({ start: at('2024-11-25T14:30:00Z'), end: at('2024-11-25T16:30:00Z') }, busy)).toBe(true);
+  });
+
+  it('applies pre- and post-meeting buffers', () => {
+    const at = iso => Date.parse(iso);
+    const afterBusy = { start: at('2024-11-25T16:10:00Z'), end: at('2024-11-25T16:40:00Z') };
+    const beforeBusy = { start: at('2024-11-25T14:20:00Z'), end: at('2024-11-25T14:50:00Z') };
+
+    expect(conflictsWithBusyPeriods(afterBusy, busy)).toBe(false);
+    expect(conflictsWithBusyPeriods(afterBusy, busy, { beforeMinutes: 15 })).toBe(true);
+    expect(conflictsWithBusyPeriods(beforeBusy, busy, { afterMinutes: 5 })).toBe(false);
+    expect(conflictsWithBusyPeriods(beforeBusy, busy, { afterMinutes: 15 })).toBe(true);
+  });
+
+  it('allows back-to-back slots', () => {
+    const at = iso => Date.parse(iso);
+    expect(conflictsWithBusyPeriods({ start: at('2024-11-25T16:00:00Z'), end: at('2024-11-25T16:30:00Z') }, busy)).toBe(false);
+    expect(conflictsWithBusyPeriods({ start: at('2024-11-25T14:30:00Z'), end: at('2024-11-25T15:00:00Z') }, busy)).toBe(false);
+  });
+});
+
+describe('scoreAndSortSlots', () => {
+  it('returns the best slots without overlaps', () => {
+    const start = Date.parse('2024-11-25T16:00:00Z');
+    const slots = [0, 15, 30, 45, 60].map(minutes => ({
+      start: start + minutes * 60000,
+      end: start + (minutes + 60) * 60000
+    }));
+
+    const picked = scoreAndSortSlots(slots, { timezone: TIMEZONE, now: NOW });
+
+    expect(picked[0].start).toBe(start);
+    picked.forEach((slot, i) => {
+      picked.slice(i + 1).forEach(other => {
+        expect(slot.start < other.end && slot.end > other.start).toBe(false);
+      });
+    });
+  });
+});
+
+describe('findMeetingTimes', () => {
+  const { timeMin, timeMax } = resolveSearchWindow({ searchRange: 'week', now: NOW });
+  const search = overrides => findMeetingTimes({
+    busyByParticipant,
+    participants: participants(),
+    timeMin,
+    timeMax,
+    durationMinutes: 60,
+    timezone: TIMEZONE,
+    now: NOW,
+    holidays: { regions: ['US'] },
+    ...overrides
+  });
+
+  it('never suggests a slot that clashes with the fixture busy times', () => {
+    const busy = mergeBusyIntervals(allBusy);
+    const { suggestions, bestEffort } = search();
+
+    expect(bestEffort).toBe(false);
+    expect(suggestions).toHaveLength(5);
+    suggestions.forEach(suggestion => {
+      expect(suggestion.missingAttendees).toEqual([]);
+      const slot = { start: Date.parse(suggestion.start), end: Date.parse(suggestion.end) };
+      expect(conflictsWithBusyPeriods(slot, busy)).toBe(false);
+      expect(new Date(slot.start).getUTCDate()).not.toBe(28);
+    });
+  });
+
+  it('keeps buffers free around every suggestion', () => {
+    const busy = mergeBusyIntervals(allBusy);
+    const buffers = { beforeMinutes: 15, afterMinutes: 15 };
+
+    search({ buffers }).suggestions.forEach(suggestion => {
+      const slot = { start: Date.parse(suggestion.start), end: Date.parse(suggestion.end) };
+      expect(conflictsWithBusyPeriods(slot, busy, buffers)).toBe(false);
+    });
+  });
+
+  it('returns one local time per participant', () => {
+    const [suggestion] = search({ maxResults: 1 }).suggestions;
+
+    expect(suggestion.localTimes.map(local => local.email))
+      .toEqual(['me@example.com', 'alice@example.com', 'bernd@example.com']);
+    expect(suggestion.localTimes[0]).toMatchObject({ timezone: TIMEZONE });
+    expect(typeof suggestion.score).toBe('number');
+    expect(Array.isArray(suggestion.scoreBreakdown)).toBe(true);
+  });
+
+  it('lists optional attendees who can\'t make it without dropping the slot', () => {
+    const { suggestions, bestEffort } = search({
+      busyByParticipant: aliceAwayAllWeek,
+      participants: participants([{ email: 'alice@example.com', optional: true }, 'bernd@example.com'])
+    });
+
+    expect(bestEffort).toBe(false);
+    expect(suggestions).toHaveLength(5);
+    suggestions.forEach(suggestion => {
+      expect(suggestion.missingAttendees).toEqual([
+        { email: 'alice@example.com', optional: true, reason: 'busy' }
+      ]);
+      expect(suggestion.attendingCount).toBe(2);
+    });
+  });
+
+  it('falls back to the slots most people can attend when nobody fits everyone', () => {
+    const { suggestions, bestEffort } = search({ busyByParticipant: aliceAwayAllWeek });
+
+    expect(bestEffort).toBe(true);
+    expect(suggestions.length).toBeGreaterThan(0);
+    suggestions.forEach(suggestion => {
+      expect(suggestion.missingAttendees.map(person => person.email)).toEqual(['alice@example.com']);
+    });
+  });
+
+  it('only keeps slots with a free room and names it', () => {
+    const rooms = [
+      { email: 'big@resource.example', name: 'Big', capacity: 12 },
+      { email: 'small@resource.example', name: 'Small', capacity: 4 }
+    ];
+    // The small room is booked solid on Monday and Tuesday
+    const busyByRoom = {
+      'small@resource.example': [{ start: '2024-11-25T00:00:00Z', end: '2024-11-27T00:00:00Z' }],
+      'big@resource.example': [{ start: '2024-11-25T00:00:00Z', end: '2024-11-26T00:00:00Z' }]
+    };
+    const { suggestions } = search({ rooms, busyByRoom, maxResults: 20 });
+
+    expect(suggestions.length).toBeGreaterThan(0);
+    suggestions.forEach(suggestion => {
+      expect(suggestion.start >= '2024-11-26').toBe(true);
+      expect(suggestion.room.name).toBe(suggestion.start < '2024-11-27' ? 'Big' : 'Small');
+    });
+    expect(search({ rooms: [], busyByRoom }).suggestions).toEqual([]);
+  });
+
+  it('ranks partial slots by how many people are missing', () => {
+    const everyoneBusyMonday = {
+      ...aliceAwayAllWeek,
+      'bernd@example.com': [{ start: '2024-11-25T00:00:00Z', end: '2024-11-26T00:00:00Z' }]
+    };
+    const { suggestions } = search({ busyByParticipant: everyoneBusyMonday, maxResults: 20 });
+    const missingCounts = suggestions.map(suggestion => suggestion.missingAttendees.length);
+
+    expect(missingCounts).toEqual([...missingCounts].sort((a, b) => a - b));
+    expect(missingCounts[0]).toBe(1);
+  });
+});
+
+describe('expandOccurrences', () => {
+  it('keeps the local start time across a DST change', () => {
+    // Monday 2024-10-28, 10:00 AM CDT; clocks go back on 2024-11-03
+    const start = Date.parse('2024-10-28T15:00:00Z');
+    const occurrences = expandOccurrences(
+      { start, end: start + HOUR_MS },
+      { timezone: TIMEZONE, recurrence: { frequency: 'weekly', occurrences: 2 } }
+    );
+
+    expect(occurrences.map(occurrence => new Date(occurrence.start).toISOString()))
+      .toEqual(['2024-10-28T15:00:00.000Z', '2024-11-04T16:00:00.000Z']);
+    expect(occurrences[1].end - occurrences[1].start).toBe(HOUR_MS);
+  });
+
+  it('skips a week for biweekly series', () => {
+    const start = Date.parse('2024-11-25T16:00:00Z');
+    const occurrences = expandOccurrences(
+      { start, end: start + HOUR_MS },
+      { timezone: TIMEZONE, recurrence: { frequency: 'biweekly', occurrences: 3 } }
+    );
+
+    expect(occurrences.map(occurrence => occurrence.start))
+      .toEqual([start, start + 14 * 24 * HOUR_MS, start + 28 * 24 * HOUR_MS]);
+  });
+});
+
+describe('findRecurringMeetingTimes', () => {
+  const { timeMin, timeMax } = resolveSearchWindow({ searchRange: 'week', now: NOW });
+  const recurrence = { frequency: 'weekly', occurrences: 3 };
+  const search = overrides => findRecurringMeetingTimes({
+    busyByParticipant,
+    participants: participants(),
+    timeMin,
+    timeMax,
+    durationMinutes: 60,
+    timezone: TIMEZONE,
+    now: NOW,
+    recurrence,
+    holidays: { regions: ['US'] },
+    ...overrides
+  });
+
+  it('checks every occurrence of each suggested series', () => {
+    const { suggestions, bestEffort } = search();
+
+    expect(bestEffort).toBe(false);
+    expect(suggestions.length).toBeGreaterThan(0);
+    suggestions.forEach(suggestion => {
+      expect(suggestion.recurrence).toEqual(recurrence);
+      expect(suggestion.occurrences).toHaveLength(3);
+      expect(suggestion.conflictingOccurrences).toBe(0);
+      expect(suggestion.occurrences[0].start).toBe(suggestion.start);
+    });
+  });
+
+  it('reports the occurrences that clash and who is missing from them', () => {
+    const aliceAwaySecondWeek = {
+      ...busyByParticipant,
+      'alice@example.com': [{ start: '2024-12-02T00:00:00Z', end: '2024-12-07T00:00:00Z' }]
+    };
+    const { suggestions, bestEffort } = search({ busyByParticipant: aliceAwaySecondWeek });
+
+    expect(bestEffort).toBe(true);
+    suggestions.forEach(suggestion => {
+      expect(suggestion.conflictingOccurrences).toBe(1);
+      expect(suggestion.occurrences.map(occurrence => occurrence.conflict)).toEqual([false, true, false]);
+      expect(suggestion.occurrences[1].missingAttendees).toEqual([
+        { email: 'alice@example.com', optional: false, reason: 'busy' }
+      ]);
+    });
+  });
+
+  it('flags occurrences that land on a holiday', () => {
+    // Thursdays starting the week before Thanksgiving
+    const weekBefore = Date.parse('2024-11-21T06:00:00Z');
+    const { suggestions } = search({
+      timeMin: weekBefore,
+      timeMax: weekBefore + 24 * HOUR_MS,
+      now: weekBefore,
+      busyByParticipant: {}
+    });
+
+    expect(suggestions[0].conflictingOccurrences).toBe(1);
+    expect(suggestions[0].occurrences[1]).toMatchObject({ conflict: true, holiday: 'Thanksgiving' });
+  });
+});
+
+describe('calendarStatus', () => {
+  it('classifies free/busy calendar errors', () => {
+    expect(calendarStatus({ busy: [] })).toBe('visible');
+    expect(calendarStatus({ busy: [], errors: [{ reason: 'notFound' }] })).toBe('not_found');
+    expect(calendarStatus({ busy: [], errors: [{ reason: 'forbidden' }] })).toBe('no_access');
+    expect(calendarStatus({ busy: [], errors: [{ reason: 'backendError' }] })).toBe('error');
+    expect(calendarStatus(undefined)).toBe('not_found');
+  });
+});
+
+describe('CalendarService', () => {
+  const fakeCalendar = data => ({
+    freebusy: { query: async () => ({ data }) }
+  });
+
+  it('reports which attendee calendars it could not read', async () => {
+    const service = new CalendarService(fakeCalendar(freeBusyWithErrors));
+    const { calendarStatus: statuses, suggestions } = await service.findOptimalMeetingTimes({
+      organizer: 'me@example.com',
+      attendees: ['alice@example.com', 'bob@gmail.com', 'carol@partner.example'],
+      preferences: { timezone: TIMEZONE },
+      now: NOW
+    });
+
+    expect(statuses).toEqual([
+      { email: 'alice@example.com', status: 'visible' },
+      { email: 'bob@gmail.com', status: 'not_found' },
+      { email: 'carol@partner.example', status: 'no_access' }
+    ]);
+    expect(suggestions.length).toBeGreaterThan(0);
+  });
+
+  it('checks suitable rooms and reports the ones it skipped', async () => {
+    const requests = [];
+    const calendar = {
+      freebusy: {
+        query: async ({ requestBody }) => {
+          requests.push(requestBody);
+          return fakeCalendar({
+            calendars: {
+              ...freeBusy.calendars,
+              'board@resource.example': { busy: [] },
+              'locked@resource.example': { busy: [], errors: [{ reason: 'notFound' }] }
+            }
+          }).freebusy.query();
+        }
+      }
+    };
+
+    const { suggestions, roomStatus } = await new CalendarService(calendar).findOptimalMeetingTimes({
+      organizer: 'me@example.com',
+      attendees: ['alice@example.com', 'bernd@example.com'],
+      rooms: [
+        { email: 'booth@resource.example', name: 'Booth', capacity: 2 },
+        { email: 'board@resource.example', name: 'Board', capacity: 10 },
+        { email: 'locked@resource.example', name: 'Locked', capacity: 8 }
+      ],
+      preferences: { timezone: TIMEZONE },
+      now: NOW
+    });
+
+    expect(requests[0].items.map(item => item.id)).not.toContain('booth@resource.example');
+    expect(roomStatus).toEqual([
+      { email: 'booth@resource.example', status: 'unsuitable' },
+      { email: 'board@resource.example', status: 'visible' },
+      { email: 'locked@resource.example', status: 'not_found' }
+    ]);
+    suggestions.forEach(suggestion => expect(suggestion.room.name).toBe('Board'));
+  });
+
+  it('queries free/busy for the organizer and attendees and ranks the result', async () => {
+    const requests = [];
+    const calendar = {
+      freebusy: {
+        query: async ({ requestBody }) => {
+          requests.push(requestBody);
+          return fakeCalendar(freeBusy).freebusy.query();
+        }
+      }
+    };
+
+    const service = new CalendarService(calendar);
+    const { suggestions } = await service.findOptimalMeetingTimes({
+      organizer: 'me@example.com',
+      attendees: ['alice@example.com', 'bernd@example.com'],
+      durationMinutes: 60,
+      searchRange: 'week',
+      preferences: { timezone: TIMEZONE },
+      now: NOW
+    });
+
+    expect(requests[0].items).toEqual([
+      { id: 'primary' },
+      { id: 'alice@example.com' },
+      { id: 'bernd@example.com' }
+    ]);
+    expect(suggestions.length).toBeGreaterThan(0);
+    expect(suggestions[0].score).toBeGreaterThanOrEqual(suggestions[suggestions.length - 1].score);
+  });
+});
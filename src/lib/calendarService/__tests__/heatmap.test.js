@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import freeBusy from './fixtures/freebusy-thanksgiving-week.json';
+import { buildParticipants, resolveSearchWindow } from '../engine';
+import { buildAvailabilityHeatmap } from '../heatmap';
+import { CalendarService } from '..';
+
+// Monday 2024-11-25, 8:00 AM in Chicago. Thursday of that week is Thanksgiving.
+const NOW = Date.parse('2024-11-25T14:00:00Z');
+const TIMEZONE = 'America/Chicago';
+
+const busyByParticipant = {
+  'me@example.com': freeBusy.calendars.primary.busy,
+  'alice@example.com': freeBusy.calendars['alice@example.com'].busy,
+  'bernd@example.com': freeBusy.calendars['bernd@example.com'].busy
+};
+const participants = buildParticipants({
+  organizer: 'me@example.com',
+  attendees: ['alice@example.com', { email: 'bernd@example.com', optional: true }],
+  timezone: TIMEZONE
+});
+
+function heatmapFor(options = {}) {
+  const { timeMin, timeMax } = resolveSearchWindow({ searchRange: 'week', timezone: TIMEZONE, now: NOW });
+  return buildAvailabilityHeatmap({
+    busyByParticipant,
+    participants,
+    timeMin,
+    timeMax,
+    durationMinutes: 30,
+    timezone: TIMEZONE,
+    holidays: { regions: ['US'] },
+    ...options
+  });
+}
+
+function cellAt(heatmap, date, time) {
+  const day = heatmap.days.find(entry => entry.date === date);
+  return day.cells[heatmap.times.indexOf(time)];
+}
+
+describe('buildAvailabilityHeatmap', () => {
+  it('has a row per step of the organizer\'s working hours and a column per day', () => {
+    const heatmap = heatmapFor();
+
+    expect(heatmap.times[0]).toBe('09:00');
+    expect(heatmap.times.at(-1)).toBe('16:30');
+    expect(heatmap.days.map(day => day.date)).toEqual([
+      '2024-11-25', '2024-11-26', '2024-11-27', '2024-11-28',
+      '2024-11-29', '2024-11-30', '2024-12-01', '2024-12-02'
+    ]);
+    heatmap.days.forEach(day => expect(day.cells).toHaveLength(heatmap.times.length));
+  });
+
+  it('counts who is free and lists who is busy', () => {
+    const heatmap = heatmapFor();
+
+    expect(cellAt(heatmap, '2024-11-25', '09:00')).toEqual({
+      start: '2024-11-25T15:00:00.000Z',
+      end: '2024-11-25T15:30:00.000Z',
+      free: 2,
+      requiredFree: false,
+      unavailable: [{ email: 'me@example.com', optional: false, reason: 'busy' }]
+    });
+    expect(cellAt(heatmap, '2024-11-25', '09:30').free).toBe(1);
+    expect(cellAt(heatmap, '2024-11-25', '11:00')).toMatchObject({ free: 3, requiredFree: true });
+
+    // Only the optional attendee is busy
+    expect(cellAt(heatmap, '2024-11-27', '09:00')).toMatchObject({ free: 2, requiredFree: true });
+  });
+
+  it('leaves weekends, holidays and times outside the window empty', () => {
+    const heatmap = heatmapFor();
+    const byDate = Object.fromEntries(heatmap.days.map(day => [day.date, day]));
+
+    expect(byDate['2024-11-28']).toMatchObject({ excluded: 'holiday', holiday: 'Thanksgiving' });
+    expect(byDate['2024-11-30'].excluded).toBe('weekend');
+    expect(byDate['2024-11-28'].cells.every(cell => cell === null)).toBe(true);
+    // The window ends at 8:00 on the last Monday
+    expect(byDate['2024-12-02']).toMatchObject({ excluded: null });
+    expect(byDate['2024-12-02'].cells.every(cell => cell === null)).toBe(true);
+  });
+
+  it('skips Fridays when asked and follows the step size', () => {
+    const heatmap = heatmapFor({ noFridays: true, stepMinutes: 60, durationMinutes: 60 });
+
+    expect(heatmap.times).toEqual(['09:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00']);
+    expect(heatmap.days.find(day => day.date === '2024-11-29').excluded).toBe('friday');
+  });
+
+  it('leaves excluded weekdays empty', () => {
+    const heatmap = heatmapFor({ excludedWeekdays: [2, 5] });
+    const byDate = Object.fromEntries(heatmap.days.map(day => [day.date, day]));
+
+    expect(byDate['2024-11-26'].excluded).toBe('weekday');
+    expect(byDate['2024-11-26'].cells.every(cell => cell === null)).toBe(true);
+    expect(byDate['2024-11-29'].excluded).toBe('friday');
+    expect(byDate['2024-11-27'].excluded).toBeNull();
+  });
+});
+
+describe('CalendarService.getAvailabilityHeatmap', () => {
+  it('queries every attendee once and reports calendar status', async () => {
+    const requests = [];
+    const calendar = {
+      freebusy: {
+        query: async ({ requestBody }) => {
+          requests.push(requestBody);
+          return { data: freeBusy };
+        }
+      }
+    };
+
+    const { heatmap, calendarStatus } = await new CalendarService(calendar).getAvailabilityHeatmap({
+      organizer: 'me@example.com',
+      attendees: ['alice@example.com', 'bernd@example.com'],
+      preferences: { timezone: TIMEZONE },
+      now: NOW
+    });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].items.map(item => item.id)).toEqual(['primary', 'alice@example.com', 'bernd@example.com']);
+    expect(heatmap.total).toBe(3);
+    expect(calendarStatus).toEqual([
+      { email: 'alice@example.com', status: 'visible' },
+      { email: 'bernd@example.com', status: 'visible' }
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+  firstEndingAfter,
+  mergeBusyIntervals,
+  neighbouringIntervals,
+  overlapsAny
+} from '../intervals';
+
+const busy = mergeBusyIntervals([
+  { start: 100, end: 200 },
+  { start: 150, end: 250 },
+  { start: 400, end: 420 },
+  { start: 600, end: 700 }
+]);
+
+describe('firstEndingAfter', () => {
+  it('binary searches the merged list', () => {
+    expect(firstEndingAfter(busy, 0)).toBe(0);
+    expect(firstEndingAfter(busy, 250)).toBe(1);
+    expect(firstEndingAfter(busy, 419)).toBe(1);
+    expect(firstEndingAfter(busy, 700)).toBe(3);
+  });
+});
+
+describe('overlapsAny', () => {
+  it('detects partial overlaps at either end', () => {
+    expect(overlapsAny(busy, 50, 120)).toBe(true);
+    expect(overlapsAny(busy, 240, 300)).toBe(true);
+  });
+
+  it('detects a short busy period sitting inside a longer range', () => {
+    expect(overlapsAny(busy, 300, 500)).toBe(true);
+  });
+
+  it('treats touching ranges as free', () => {
+    expect(overlapsAny(busy, 250, 400)).toBe(false);
+    expect(overlapsAny(busy, 420, 600)).toBe(false);
+    expect(overlapsAny(busy, 700, 800)).toBe(false);
+  });
+
+  it('agrees with a brute-force scan on generated data', () => {
+    // Small deterministic LCG so the test stays reproducible
+    let seed = 42;
+    const random = max => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed % max;
+    };
+
+    const raw = Array.from({ length: 300 }, () => {
+      const start = random(10000);
+      return { start, end: start + 1 + random(90) };
+    });
+    const merged = mergeBusyIntervals(raw);
+
+    for (let i = 0; i < 500; i++) {
+      const start = random(10000);
+      const end = start + 1 + random(120);
+      const expected = raw.some(interval => start < interval.end && end > interval.start);
+      expect(overlapsAny(merged, start, end)).toBe(expected);
+    }
+  });
+});
+
+describe('neighbouringIntervals', () => {
+  it('finds the meetings either side of a free range', () => {
+    expect(neighbouringIntervals(busy, 300, 350)).toEqual({
+      before: { start: 100, end: 250 },
+      after: { start: 400, end: 420 }
+    });
+    expect(neighbouringIntervals(busy, 0, 50)).toEqual({ before: null, after: { start: 100, end: 250 } });
+    expect(neighbouringIntervals(busy, 750, 800)).toEqual({ before: { start: 600, end: 700 }, after: null });
+  });
+});
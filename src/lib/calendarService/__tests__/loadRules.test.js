@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import { buildParticipants, findMeetingTimes } from '../engine';
+import { applyLoadRules, loadRuleMeetings, loadRuleViolations } from '../loadRules';
+
+// Monday 2024-11-25, 8:00 AM in Chicago (UTC-6)
+const NOW = Date.parse('2024-11-25T14:00:00Z');
+const TIMEZONE = 'America/Chicago';
+
+// Chicago wall-clock time on Monday (or another day) as epoch ms
+function at(time, day = '2024-11-25') {
+  return Date.parse(`${day}T${time}:00-06:00`);
+}
+
+function slot(start, end, day) {
+  return { start: at(start, day), end: at(end, day) };
+}
+
+function alice(loadRules) {
+  return buildParticipants({
+    organizer: 'me@example.com',
+    attendees: [{ email: 'alice@example.com', loadRules }],
+    timezone: TIMEZONE
+  })[1];
+}
+
+function meetings(...ranges) {
+  const participant = alice({});
+  return loadRuleMeetings([participant], {
+    'alice@example.com': ranges.map(([start, end]) => ({ start: at(start), end: at(end) }))
+  })['alice@example.com'];
+}
+
+const rulesOf = violations => violations.map(violation => violation.rule);
+
+describe('loadRuleViolations', () => {
+  it('keeps mornings free on the chosen weekdays', () => {
+    const participant = alice({ noMeetingsBefore: { hour: 10.5, weekdays: [1] } });
+
+    expect(loadRuleViolations(slot('10:00', '10:30'), participant)).toEqual([
+      { rule: 'noMeetingsBefore', message: 'No meetings before 10:30 AM on Mondays' }
+    ]);
+    expect(loadRuleViolations(slot('10:30', '11:00'), participant)).toEqual([]);
+    expect(loadRuleViolations(slot('09:00', '09:30', '2024-11-26'), participant)).toEqual([]);
+  });
+
+  it('caps meeting hours per day, counting the new meeting', () => {
+    const participant = alice({ maxMeetingHoursPerDay: 3 });
+    const busy = meetings(['09:00', '11:00'], ['13:00', '13:30']);
+
+    expect(rulesOf(loadRuleViolations(slot('14:00', '15:00'), participant, busy))).toEqual(['maxMeetingHoursPerDay']);
+    expect(loadRuleViolations(slot('14:00', '14:30'), participant, busy)).toEqual([]);
+  });
+
+  it('protects the last focus block of the day', () => {
+    const participant = alice({ focusBlockMinutes: 120 });
+    const busy = meetings(['09:00', '11:00'], ['12:00', '13:00'], ['15:00', '17:00']);
+
+    expect(loadRuleViolations(slot('13:30', '14:00'), participant, busy)).toEqual([
+      { rule: 'focusBlockMinutes', message: 'No 2-hour focus block left on Monday' }
+    ]);
+    expect(loadRuleViolations(slot('11:00', '11:30'), participant, busy)).toEqual([]);
+
+    // Nothing left to protect
+    const packed = meetings(['09:00', '11:00'], ['12:00', '14:00'], ['15:00', '17:00']);
+    expect(loadRuleViolations(slot('11:00', '11:30'), participant, packed)).toEqual([]);
+  });
+
+  it('counts back-to-back meetings, allowing short gaps between them', () => {
+    const participant = alice({ maxBackToBack: 2 });
+    const busy = meetings(['09:00', '10:00'], ['10:00', '11:00']);
+
+    expect(busy).toHaveLength(2);
+    expect(loadRuleViolations(slot('11:00', '11:30'), participant, busy)).toEqual([
+      { rule: 'maxBackToBack', message: '3 meetings in a row (at most 2)' }
+    ]);
+    expect(rulesOf(loadRuleViolations(slot('08:30', '08:55'), participant, busy))).toEqual(['maxBackToBack']);
+    expect(loadRuleViolations(slot('11:10', '11:30'), participant, busy)).toEqual([]);
+  });
+});
+
+describe('applyLoadRules', () => {
+  const violations = [
+    { email: 'alice@example.com', optional: false, rule: 'maxBackToBack', message: 'a' },
+    { email: 'alice@example.com', optional: false, rule: 'noMeetingsBefore', message: 'b' },
+    { email: 'bob@example.com', optional: true, rule: 'noMeetingsBefore', message: 'c' }
+  ];
+
+  it('adds each rule breaker to the missing list once in filter mode', () => {
+    const missing = [{ email: 'bob@example.com', optional: true, reason: 'busy' }];
+
+    expect(applyLoadRules(missing, violations, 'filter')).toEqual([
+      ...missing,
+      { email: 'alice@example.com', optional: false, reason: 'loadRule', rule: 'maxBackToBack', message: 'a' }
+    ]);
+    expect(applyLoadRules(missing, violations, 'penalize')).toBe(missing);
+  });
+});
+
+describe('findMeetingTimes with load rules', () => {
+  const participants = buildParticipants({
+    organizer: 'me@example.com',
+    attendees: [{ email: 'alice@example.com', loadRules: { noMeetingsBefore: { hour: 12 } } }],
+    timezone: TIMEZONE
+  });
+  const search = {
+    busyByParticipant: {},
+    participants,
+    timeMin: NOW,
+    timeMax: at('17:00'),
+    durationMinutes: 60,
+    timezone: TIMEZONE,
+    now: NOW,
+    maxResults: 10
+  };
+
+  it('filters out slots that break a rule by default', () => {
+    const { suggestions, bestEffort } = findMeetingTimes(search);
+
+    expect(bestEffort).toBe(false);
+    expect(suggestions.length).toBeGreaterThan(0);
+    suggestions.forEach(suggestion => expect(Date.parse(suggestion.start)).toBeGreaterThanOrEqual(at('12:00')));
+  });
+
+  it('only penalizes them in penalize mode, and says why', () => {
+    const { suggestions } = findMeetingTimes({ ...search, loadRuleMode: 'penalize' });
+    const morning = suggestions.find(suggestion => Date.parse(suggestion.start) < at('12:00'));
+
+    expect(morning.missingAttendees).toEqual([]);
+    expect(morning.ruleViolations).toEqual([{
+      email: 'alice@example.com',
+      optional: false,
+      rule: 'noMeetingsBefore',
+      message: 'No meetings before 12:00 PM on Mondays'
+    }]);
+    expect(morning.scoreBreakdown).toContainEqual({
+      rule: 'loadRules',
+      label: 'Breaks attendees\' meeting-load rules',
+      points: -20
+    });
+    // Afternoon slots that break nothing rank first
+    expect(Date.parse(suggestions[0].start)).toBeGreaterThanOrEqual(at('12:00'));
+  });
+
+  it('falls back to the fewest rule breakers when nothing complies', () => {
+    const { suggestions, bestEffort } = findMeetingTimes({ ...search, timeMax: at('11:00') });
+
+    expect(bestEffort).toBe(true);
+    expect(suggestions[0].missingAttendees[0]).toMatchObject({ email: 'alice@example.com', reason: 'loadRule' });
+  });
+});
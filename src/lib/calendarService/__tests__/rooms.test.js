@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { mergeRoomBusy, pickRoom, suitableRooms } from '../rooms';
+
+const rooms = [
+  { email: 'atrium@resource.example', name: 'Atrium', capacity: 20, location: 'Berlin HQ, floor 1' },
+  { email: 'nook@resource.example', name: 'Nook', capacity: 4, location: 'Berlin HQ, floor 3' },
+  { email: 'huddle@resource.example', name: 'Huddle', capacity: 6, location: 'Austin' },
+  { email: 'lab@resource.example', name: 'Lab' }
+];
+
+const slot = { start: Date.parse('2024-11-25T15:00:00Z'), end: Date.parse('2024-11-25T16:00:00Z') };
+
+describe('suitableRooms', () => {
+  it('filters by capacity and location', () => {
+    expect(suitableRooms(rooms, { minCapacity: 5 }).map(room => room.name)).toEqual(['Atrium', 'Huddle', 'Lab']);
+    expect(suitableRooms(rooms, { minCapacity: 2, location: 'berlin' }).map(room => room.name))
+      .toEqual(['Atrium', 'Nook']);
+  });
+});
+
+describe('pickRoom', () => {
+  it('picks the smallest free room', () => {
+    const merged = mergeRoomBusy(rooms, {
+      'nook@resource.example': [{ start: '2024-11-25T15:30:00Z', end: '2024-11-25T16:30:00Z' }]
+    });
+
+    expect(pickRoom([slot], rooms, merged).name).toBe('Huddle');
+  });
+
+  it('needs the room free for every slot it is picked for', () => {
+    const nextWeek = { start: slot.start + 7 * 24 * 60 * 60 * 1000, end: slot.end + 7 * 24 * 60 * 60 * 1000 };
+    const merged = mergeRoomBusy(rooms, {
+      'nook@resource.example': [{ start: '2024-12-02T15:00:00Z', end: '2024-12-02T16:00:00Z' }],
+      'huddle@resource.example': [{ start: '2024-11-25T15:00:00Z', end: '2024-11-25T15:15:00Z' }],
+      'atrium@resource.example': [{ start: '2024-11-25T00:00:00Z', end: '2024-12-03T00:00:00Z' }]
+    });
+
+    expect(pickRoom([slot, nextWeek], rooms, merged).name).toBe('Lab');
+    expect(pickRoom([slot, nextWeek], rooms.slice(0, 3), merged)).toBeNull();
+  });
+});
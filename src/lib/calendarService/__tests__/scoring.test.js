@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { BASE_SCORE, createScorer } from '../scoring';
+
+const TIMEZONE = 'America/Chicago';
+const NOW = Date.parse('2024-11-25T14:00:00Z'); // Monday 8:00 AM Chicago
+const HOUR_MS = 60 * 60 * 1000;
+const WORKING_HOURS = { start: 9, end: 17 };
+
+// Chicago is UTC-6 in late November
+const localSlot = (day, hour, minutes = 60) => {
+  const start = Date.parse(`2024-11-${day}T${String(hour + 6).padStart(2, '0')}:00:00Z`);
+  return { start, end: start + minutes * 60000 };
+};
+
+const context = (busyPeriods = []) => ({
+  timezone: TIMEZONE,
+  now: NOW,
+  busyPeriods,
+  workingHours: WORKING_HOURS
+});
+
+const points = (breakdown, rule) => breakdown.find(entry => entry.rule === rule)?.points ?? 0;
+
+describe('createScorer', () => {
+  const score = createScorer();
+
+  it('prefers mornings and penalizes lunch', () => {
+    const morning = score(localSlot(25, 10), context());
+    const lunch = score(localSlot(25, 12), context());
+
+    expect(points(morning.breakdown, 'preferMornings')).toBe(10);
+    expect(points(lunch.breakdown, 'avoidLunch')).toBe(-10);
+    expect(morning.score).toBeGreaterThan(lunch.score);
+  });
+
+  it('takes 5 points per day out by default', () => {
+    const { breakdown } = score(localSlot(27, 8), context());
+    expect(points(breakdown, 'soonerIsBetter')).toBe(-10);
+  });
+
+  it('penalizes slots right after another meeting', () => {
+    const slot = localSlot(25, 14);
+    const busy = [{ start: slot.start - HOUR_MS, end: slot.start - 5 * 60000 }];
+
+    expect(points(score(slot, context(busy)).breakdown, 'meetingBuffer')).toBe(-5);
+    expect(points(score(slot, context()).breakdown, 'meetingBuffer')).toBe(0);
+  });
+
+  it('penalizes slots that leave no two-hour focus block in a free stretch', () => {
+    // Free from 9:00 until a meeting at 13:00; a slot at 10:30 leaves 1.5h + 1.5h
+    const afternoon = localSlot(25, 13, 240);
+    const busy = [{ start: afternoon.start, end: afternoon.end }];
+    const middle = { start: localSlot(25, 10).start + HOUR_MS / 2, end: localSlot(25, 11).start + HOUR_MS / 2 };
+
+    expect(points(score(middle, context(busy)).breakdown, 'focusBlocks')).toBe(-5);
+    expect(points(score(localSlot(25, 9), context(busy)).breakdown, 'focusBlocks')).toBe(0);
+  });
+
+  it('uses custom weights and leaves disabled rules out of the breakdown', () => {
+    const tuned = createScorer({ weights: { preferMornings: 25, soonerIsBetter: 0 } });
+    const { score: total, breakdown } = tuned(localSlot(26, 10), context());
+
+    expect(breakdown.map(entry => entry.rule)).toEqual(['preferMornings']);
+    expect(total).toBe(BASE_SCORE + 25);
+  });
+
+  it('accepts extra rules', () => {
+    const withRule = createScorer({
+      weights: { tuesdays: 7 },
+      rules: [{ name: 'tuesdays', label: 'Tuesday', evaluate: slot => (new Date(slot.start).getUTCDay() === 2 ? 1 : 0) }]
+    });
+
+    expect(withRule(localSlot(26, 10), context()).breakdown).toEqual([
+      { rule: 'tuesdays', label: 'Tuesday', points: 7 }
+    ]);
+  });
+});
@@ -0,0 +1,460 @@
+import { DateTime } from 'luxon';
+import { createHolidayChecker } from '../holidays';
+import { createScorer } from './scoring';
+import { mergeBusyIntervals, overlapsAny } from './intervals';
+import { mergeRoomBusy, pickRoom } from './rooms';
+import { applyLoadRules, findLoadRuleViolations, loadRuleMeetings } from './loadRules';
+import { intervalWeeks } from '../recurrence';
+
+export { mergeBusyIntervals };
+
+// Pure slot-finding engine. Everything here works on plain data (epoch
+// milliseconds, ISO strings, participant objects) so it can be exercised
+// without the Google APIs.
+
+export const DEFAULT_TIMEZONE = 'America/Chicago';
+export const DEFAULT_WORKING_HOURS = { start: 9, end: 17 };
+export const SLOT_STEP_MINUTES = 15;
+export const MAX_SUGGESTIONS = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+// Normalizes an attendee entry; plain emails inherit the organizer's hours
+export function toParticipant(attendee, defaults) {
+  if (typeof attendee === 'string') {
+    return { email: attendee, optional: false, ...defaults };
+  }
+  return {
+    email: attendee.email,
+    optional: Boolean(attendee.optional),
+    timezone: attendee.timezone || defaults.timezone,
+    workingHours: {
+      start: attendee.workingHours?.start ?? defaults.workingHours.start,
+      end: attendee.workingHours?.end ?? defaults.workingHours.end
+    },
+    ...(attendee.loadRules && { loadRules: attendee.loadRules })
+  };
+}
+
+// Builds the participant list with the organizer first. The organizer is
+// always required; attendees can be marked { optional: true }. `loadRules`
+// are the organizer's own (attendees carry theirs).
+export function buildParticipants({ organizer, attendees, timezone, workingHours, loadRules }) {
+  const defaults = {
+    timezone,
+    workingHours: { ...DEFAULT_WORKING_HOURS, ...workingHours }
+  };
+  return [
+    { email: organizer || 'primary', optional: false, ...defaults, ...(loadRules && { loadRules }) },
+    ...attendees.map(attendee => toParticipant(attendee, defaults))
+  ];
+}
+
+// Checks a slot lies inside a participant's working window on a weekday in
+// their own timezone. Hours may be fractional (9.5 = 9:30).
+export function isWithinWorkingHours(start, end, participant) {
+  const localStart = DateTime.fromMillis(start, { zone: participant.timezone });
+  if (localStart.weekday > 5) {
+    return false;
+  }
+
+  const dayStart = localStart.startOf('day');
+  const windowStart = dayStart.plus({ minutes: participant.workingHours.start * 60 }).toMillis();
+  const windowEnd = dayStart.plus({ minutes: participant.workingHours.end * 60 }).toMillis();
+  return start >= windowStart && end <= windowEnd;
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parses a search bound. Plain dates are read in the organizer's timezone;
+// an end date covers that whole day.
+function parseSearchBound(value, timezone, isEnd) {
+  const parsed = DateTime.fromISO(value, { zone: timezone });
+  if (DATE_ONLY.test(value)) {
+    return (isEnd ? parsed.plus({ days: 1 }) : parsed).startOf('day').toMillis();
+  }
+  return parsed.toMillis();
+}
+
+// Works out the [timeMin, timeMax) search window from either explicit
+// start/end dates or a named range counted from the start (or now). The
+// window never starts in the past.
+export function resolveSearchWindow({
+  searchRange,
+  startDate,
+  endDate,
+  timezone = DEFAULT_TIMEZONE,
+  now,
+  stepMinutes = SLOT_STEP_MINUTES
+}) {
+  const stepMs = stepMinutes * MINUTE_MS;
+  const earliest = Math.ceil(now / stepMs) * stepMs;
+  const timeMin = startDate
+    ? Math.max(earliest, parseSearchBound(startDate, timezone, false))
+    : earliest;
+
+  if (endDate) {
+    return { timeMin, timeMax: parseSearchBound(endDate, timezone, true) };
+  }
+
+  const rangeStart = DateTime.fromMillis(timeMin, { zone: 'utc' });
+  let timeMax;
+  switch (searchRange) {
+    case 'week':
+      timeMax = rangeStart.plus({ weeks: 1 });
+      break;
+    case 'month':
+      timeMax = rangeStart.plus({ months: 1 });
+      break;
+    case 'day':
+    default:
+      timeMax = rangeStart.plus({ days: 1 });
+  }
+
+  return { timeMin, timeMax: timeMax.toMillis() };
+}
+
+// Every step-aligned slot in the window that fits all working hours and
+// isn't on an excluded day (Fridays, other excluded weekdays, holidays) in
+// the organizer's timezone
+export function generateCandidates({
+  timeMin,
+  timeMax,
+  durationMinutes,
+  participants,
+  timezone,
+  stepMinutes = SLOT_STEP_MINUTES,
+  noFridays = false,
+  excludedWeekdays = [],
+  isHoliday = () => null
+}) {
+  const stepMs = stepMinutes * MINUTE_MS;
+  const durationMs = durationMinutes * MINUTE_MS;
+  const candidates = [];
+
+  for (let start = Math.ceil(timeMin / stepMs) * stepMs; start + durationMs <= timeMax; start += stepMs) {
+    const end = start + durationMs;
+
+    if (!participants.every(participant => isWithinWorkingHours(start, end, participant))) {
+      continue;
+    }
+
+    const localDay = DateTime.fromMillis(start, { zone: timezone });
+    if ((noFridays && localDay.weekday === 5) || excludedWeekdays.includes(localDay.weekday)) {
+      continue;
+    }
+    if (isHoliday(localDay.toISODate())) {
+      continue;
+    }
+
+    candidates.push({ start, end });
+  }
+
+  return candidates;
+}
+
+// Any overlap with merged busy periods counts, widened by the optional
+// free time required before and after the meeting
+export function conflictsWithBusyPeriods(slot, mergedBusy, { beforeMinutes = 0, afterMinutes = 0 } = {}) {
+  return overlapsAny(
+    mergedBusy,
+    slot.start - beforeMinutes * MINUTE_MS,
+    slot.end + afterMinutes * MINUTE_MS
+  );
+}
+
+// Who can't make a slot and why. Optional attendees may also be missing
+// because the slot falls outside their working hours; required attendees'
+// hours are normally enforced by generateCandidates, so they're only checked
+// here with checkAllWorkingHours (e.g. for later occurrences of a series).
+export function findMissingAttendees(slot, participants, busyByParticipant, buffers, {
+  checkAllWorkingHours = false
+} = {}) {
+  const missing = [];
+  for (const participant of participants) {
+    const checkHours = participant.optional || checkAllWorkingHours;
+    if (checkHours && !isWithinWorkingHours(slot.start, slot.end, participant)) {
+      missing.push({ email: participant.email, optional: participant.optional, reason: 'outsideWorkingHours' });
+    } else if (conflictsWithBusyPeriods(slot, busyByParticipant[participant.email] || [], buffers)) {
+      missing.push({ email: participant.email, optional: participant.optional, reason: 'busy' });
+    }
+  }
+  return missing;
+}
+
+function rankPenalty(slot) {
+  return slot.penalty ?? slot.missing?.length ?? 0;
+}
+
+// Ranks slots by how many people can attend (or by a precomputed `penalty`),
+// then by score, and keeps the best ones that don't overlap each other. Busy
+// periods feed the buffer and focus-block rules, so pass them merged.
+export function scoreAndSortSlots(slots, {
+  timezone,
+  now,
+  busyPeriods = [],
+  workingHours = DEFAULT_WORKING_HOURS,
+  scoringWeights,
+  maxResults = MAX_SUGGESTIONS
+}) {
+  const scoreSlot = createScorer({ weights: scoringWeights });
+  const context = { timezone, now, busyPeriods, workingHours };
+
+  const ranked = slots
+    .map(slot => ({ ...slot, ...scoreSlot(slot, context) }))
+    .sort((a, b) =>
+      rankPenalty(a) - rankPenalty(b) ||
+      b.score - a.score ||
+      a.start - b.start
+    );
+
+  const picked = [];
+  for (const slot of ranked) {
+    if (picked.length >= maxResults) break;
+    if (!picked.some(other => slot.start < other.end && slot.end > other.start)) {
+      picked.push(slot);
+    }
+  }
+  return picked;
+}
+
+function formatTime(millis, timezone) {
+  return new Date(millis).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: timezone
+  });
+}
+
+// Shapes a slot for the API: ISO times plus one local view per participant
+export function toSuggestion(slot, participants) {
+  return {
+    start: new Date(slot.start).toISOString(),
+    end: new Date(slot.end).toISOString(),
+    score: slot.score,
+    scoreBreakdown: slot.breakdown,
+    attendingCount: participants.length - (slot.missing?.length || 0),
+    missingAttendees: slot.missing || [],
+    ...(slot.ruleViolations?.length > 0 && { ruleViolations: slot.ruleViolations }),
+    ...(slot.room && { room: slot.room }),
+    localTimes: participants.map(participant => ({
+      email: participant.email,
+      timezone: participant.timezone,
+      dayOfWeek: new Date(slot.start).toLocaleDateString('en-US', {
+        weekday: 'long',
+        timeZone: participant.timezone
+      }),
+      localStart: formatTime(slot.start, participant.timezone),
+      localEnd: formatTime(slot.end, participant.timezone)
+    }))
+  };
+}
+
+// Runs the whole search over already-fetched busy periods, keyed by
+// participant email. Slots where every required person is free win; when
+// there are none, the best partial slots come back with bestEffort set.
+// With `rooms` (already filtered to suitable ones, busy periods keyed by room
+// email in `busyByRoom`), only slots with a free room are kept and each
+// suggestion names the room picked. Participants' meeting-load rules (see
+// ./loadRules) either make them miss a slot or cost it points, per
+// `loadRuleMode`.
+export function findMeetingTimes({
+  busyByParticipant,
+  participants,
+  timeMin,
+  timeMax,
+  durationMinutes,
+  timezone,
+  now,
+  noFridays = false,
+  excludedWeekdays = [],
+  holidays = {},
+  buffers = {},
+  scoringWeights,
+  maxResults = MAX_SUGGESTIONS,
+  rooms,
+  busyByRoom = {},
+  loadRuleMode = 'filter'
+}) {
+  const mergedByParticipant = Object.fromEntries(
+    participants.map(participant => [
+      participant.email,
+      mergeBusyIntervals(busyByParticipant[participant.email] || [])
+    ])
+  );
+  const mergedByRoom = rooms ? mergeRoomBusy(rooms, busyByRoom) : {};
+  const meetingsByParticipant = loadRuleMeetings(participants, busyByParticipant);
+
+  const candidates = generateCandidates({
+    timeMin,
+    timeMax,
+    durationMinutes,
+    participants: participants.filter(participant => !participant.optional),
+    timezone,
+    noFridays,
+    excludedWeekdays,
+    isHoliday: createHolidayChecker(holidays)
+  }).map(slot => {
+    const ruleViolations = findLoadRuleViolations(slot, participants, meetingsByParticipant);
+    return {
+      ...slot,
+      missing: applyLoadRules(
+        findMissingAttendees(slot, participants, mergedByParticipant, buffers),
+        ruleViolations,
+        loadRuleMode
+      ),
+      ruleViolations,
+      room: rooms ? pickRoom([slot], rooms, mergedByRoom) : undefined
+    };
+  }).filter(slot => !rooms || slot.room);
+
+  const requiredFree = candidates.filter(slot => slot.missing.every(person => person.optional));
+  const bestEffort = requiredFree.length === 0;
+
+  const suggestions = scoreAndSortSlots(bestEffort ? candidates : requiredFree, {
+    timezone,
+    now,
+    busyPeriods: mergeBusyIntervals(Object.values(mergedByParticipant).flat()),
+    workingHours: participants[0].workingHours,
+    scoringWeights,
+    maxResults
+  }).map(slot => toSuggestion(slot, participants));
+
+  return { suggestions, bestEffort: bestEffort && suggestions.length > 0 };
+}
+
+// Start/end of each occurrence of a recurring slot. Steps are taken in the
+// organizer's timezone so the meeting keeps its wall-clock time across DST.
+export function expandOccurrences(slot, { timezone, recurrence }) {
+  const first = DateTime.fromMillis(slot.start, { zone: timezone });
+  const durationMs = slot.end - slot.start;
+  const weeks = intervalWeeks(recurrence);
+
+  return Array.from({ length: recurrence.occurrences }, (_, index) => {
+    const start = first.plus({ weeks: index * weeks }).toMillis();
+    return { start, end: start + durationMs };
+  });
+}
+
+// Time needed to fit every occurrence of a series starting inside the
+// first interval of the search window
+export function recurringSearchEnd({ timeMin, timeMax, recurrence }) {
+  const weeks = intervalWeeks(recurrence);
+  const baseEnd = Math.min(timeMax, DateTime.fromMillis(timeMin).plus({ weeks }).toMillis());
+  return {
+    baseEnd,
+    timeMax: DateTime.fromMillis(baseEnd).plus({ weeks: weeks * (recurrence.occurrences - 1) }).toMillis()
+  };
+}
+
+// Recurring variant of findMeetingTimes. Start times are taken from the first
+// interval (one or two weeks) of the window and every occurrence is checked.
+// Series with the fewest conflicting occurrences rank first; an occurrence
+// conflicts when it lands on a holiday or a required attendee can't make it.
+// With `rooms`, one room must be free for every occurrence.
+export function findRecurringMeetingTimes({
+  busyByParticipant,
+  participants,
+  timeMin,
+  timeMax,
+  durationMinutes,
+  timezone,
+  now,
+  recurrence,
+  noFridays = false,
+  excludedWeekdays = [],
+  holidays = {},
+  buffers = {},
+  scoringWeights,
+  maxResults = MAX_SUGGESTIONS,
+  rooms,
+  busyByRoom = {},
+  loadRuleMode = 'filter'
+}) {
+  const mergedByParticipant = Object.fromEntries(
+    participants.map(participant => [
+      participant.email,
+      mergeBusyIntervals(busyByParticipant[participant.email] || [])
+    ])
+  );
+  const mergedByRoom = rooms ? mergeRoomBusy(rooms, busyByRoom) : {};
+  const meetingsByParticipant = loadRuleMeetings(participants, busyByParticipant);
+  const isHoliday = createHolidayChecker(holidays);
+  const { baseEnd } = recurringSearchEnd({ timeMin, timeMax, recurrence });
+
+  const series = generateCandidates({
+    timeMin,
+    timeMax: baseEnd,
+    durationMinutes,
+    participants: participants.filter(participant => !participant.optional),
+    timezone,
+    noFridays,
+    excludedWeekdays,
+    isHoliday
+  }).map(slot => {
+    const occurrences = expandOccurrences(slot, { timezone, recurrence }).map(occurrence => {
+      const holiday = isHoliday(DateTime.fromMillis(occurrence.start, { zone: timezone }).toISODate());
+      const ruleViolations = findLoadRuleViolations(occurrence, participants, meetingsByParticipant);
+      const missing = applyLoadRules(
+        findMissingAttendees(occurrence, participants, mergedByParticipant, buffers, {
+          checkAllWorkingHours: true
+        }),
+        ruleViolations,
+        loadRuleMode
+      );
+      return {
+        ...occurrence,
+        holiday,
+        missing,
+        ruleViolations,
+        conflict: Boolean(holiday) || missing.some(person => !person.optional)
+      };
+    });
+
+    const conflicts = occurrences.filter(occurrence => occurrence.conflict).length;
+    const missedSeats = occurrences.reduce((total, occurrence) => total + occurrence.missing.length, 0);
+    return {
+      ...slot,
+      missing: occurrences[0].missing,
+      // Once per person and rule, not once per week
+      ruleViolations: occurrences
+        .flatMap(occurrence => occurrence.ruleViolations)
+        .filter((violation, index, all) => all.findIndex(other =>
+          other.email === violation.email && other.message === violation.message
+        ) === index),
+      occurrences,
+      conflicts,
+      // Fewest conflicting occurrences first, then fewest missed seats overall
+      penalty: conflicts * (participants.length + 1) * recurrence.occurrences + missedSeats,
+      // The same room has to be free for the whole series
+      room: rooms ? pickRoom(occurrences, rooms, mergedByRoom) : undefined
+    };
+  }).filter(slot => !rooms || slot.room);
+
+  const suggestions = scoreAndSortSlots(series, {
+    timezone,
+    now,
+    busyPeriods: mergeBusyIntervals(Object.values(mergedByParticipant).flat()),
+    workingHours: participants[0].workingHours,
+    scoringWeights,
+    maxResults
+  }).map(slot => ({
+    ...toSuggestion(slot, participants),
+    recurrence,
+    conflictingOccurrences: slot.conflicts,
+    occurrences: slot.occurrences.map(occurrence => ({
+      start: new Date(occurrence.start).toISOString(),
+      end: new Date(occurrence.end).toISOString(),
+      conflict: occurrence.conflict,
+      holiday: occurrence.holiday,
+      missingAttendees: occurrence.missing,
+      ...(occurrence.ruleViolations.length > 0 && { ruleViolations: occurrence.ruleViolations })
+    }))
+  }));
+
+  return {
+    suggestions,
+    bestEffort: suggestions.length > 0 && suggestions[0].conflictingOccurrences > 0
+  };
+}
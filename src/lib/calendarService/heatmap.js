@@ -0,0 +1,105 @@
+import { DateTime } from 'luxon';
+import { createHolidayChecker } from '../holidays';
+import { mergeBusyIntervals } from './intervals';
+import { findMissingAttendees } from './engine';
+import { applyLoadRules, findLoadRuleViolations, loadRuleMeetings } from './loadRules';
+
+export const HEATMAP_STEP_MINUTES = 30;
+
+function minutesLabel(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Why a whole day is left blank, or null
+function excludedReason(day, { noFridays, excludedWeekdays, isHoliday }) {
+  if (day.weekday > 5) return 'weekend';
+  if ((noFridays && day.weekday === 5) || excludedWeekdays.includes(day.weekday)) {
+    return day.weekday === 5 ? 'friday' : 'weekday';
+  }
+  if (isHoliday(day.toISODate())) return 'holiday';
+  return null;
+}
+
+// Day × time-of-day availability over the whole search window, in the
+// organizer's timezone. Rows (`times`) step through the organizer's working
+// hours; each cell is a meeting of `durationMinutes` starting at that time,
+// with how many participants can make it and who can't (busy, outside their
+// own working hours or, with loadRuleMode 'filter', over a load rule). Cells
+// are null on weekends, holidays, excluded weekdays and outside the window,
+// so every day has one entry per row.
+export function buildAvailabilityHeatmap({
+  busyByParticipant,
+  participants,
+  timeMin,
+  timeMax,
+  durationMinutes,
+  timezone,
+  stepMinutes = HEATMAP_STEP_MINUTES,
+  noFridays = false,
+  excludedWeekdays = [],
+  holidays = {},
+  buffers = {},
+  loadRuleMode = 'filter'
+}) {
+  const mergedByParticipant = Object.fromEntries(
+    participants.map(participant => [
+      participant.email,
+      mergeBusyIntervals(busyByParticipant[participant.email] || [])
+    ])
+  );
+  const meetingsByParticipant = loadRuleMeetings(participants, busyByParticipant);
+  const isHoliday = createHolidayChecker(holidays);
+
+  const { start: hoursStart, end: hoursEnd } = participants[0].workingHours;
+  const rows = [];
+  for (let minutes = Math.ceil(hoursStart * 60); minutes + durationMinutes <= hoursEnd * 60; minutes += stepMinutes) {
+    rows.push(minutes);
+  }
+
+  const days = [];
+  const lastDay = DateTime.fromMillis(timeMax, { zone: timezone });
+  for (
+    let day = DateTime.fromMillis(timeMin, { zone: timezone }).startOf('day');
+    day < lastDay;
+    day = day.plus({ days: 1 })
+  ) {
+    const excluded = excludedReason(day, { noFridays, excludedWeekdays, isHoliday });
+    days.push({
+      date: day.toISODate(),
+      excluded,
+      ...(excluded === 'holiday' && { holiday: isHoliday(day.toISODate()) }),
+      cells: rows.map(minutes => {
+        if (excluded) return null;
+
+        // Set the wall-clock time so rows line up across DST changes
+        const start = day.set({ hour: Math.floor(minutes / 60), minute: minutes % 60 }).toMillis();
+        const slot = { start, end: start + durationMinutes * 60 * 1000 };
+        if (slot.start < timeMin || slot.end > timeMax) return null;
+
+        const ruleViolations = findLoadRuleViolations(slot, participants, meetingsByParticipant);
+        const unavailable = applyLoadRules(
+          findMissingAttendees(slot, participants, mergedByParticipant, buffers, { checkAllWorkingHours: true }),
+          ruleViolations,
+          loadRuleMode
+        );
+        return {
+          start: new Date(slot.start).toISOString(),
+          end: new Date(slot.end).toISOString(),
+          free: participants.length - unavailable.length,
+          requiredFree: unavailable.every(person => person.optional),
+          unavailable,
+          ...(ruleViolations.length > 0 && { ruleViolations })
+        };
+      })
+    });
+  }
+
+  return {
+    timezone,
+    stepMinutes,
+    durationMinutes,
+    total: participants.length,
+    times: rows.map(minutesLabel),
+    days
+  };
+}
@@ -0,0 +1,202 @@
+import {
+  DEFAULT_TIMEZONE,
+  buildParticipants,
+  findMeetingTimes,
+  findRecurringMeetingTimes,
+  recurringSearchEnd,
+  resolveSearchWindow
+} from './engine';
+import { buildAvailabilityHeatmap } from './heatmap';
+import { suitableRooms } from './rooms';
+import { createGoogleProvider } from '../calendarProviders/google';
+
+export { calendarStatus } from '../calendarProviders/google';
+
+// Participants (organizer first) and the search window, in the organizer's
+// timezone
+function searchSetup({ organizer, attendees, searchRange, startDate, endDate, preferences, now }) {
+  const timezone = preferences.timezone || DEFAULT_TIMEZONE;
+  const participants = buildParticipants({
+    organizer,
+    attendees,
+    timezone,
+    workingHours: preferences.workingHours,
+    loadRules: preferences.loadRules
+  });
+  const { timeMin, timeMax } = resolveSearchWindow({
+    searchRange,
+    startDate,
+    endDate,
+    timezone,
+    now
+  });
+  return { timezone, participants, timeMin, timeMax };
+}
+
+// The organizer's calendar comes back as 'primary'
+function busyByParticipant(freeBusy, organizerEntry) {
+  return { ...freeBusy.busy, [organizerEntry.email]: freeBusy.busy.primary };
+}
+
+function attendeeStatus(attendeeEntries, freeBusy) {
+  return attendeeEntries.map(participant => ({
+    email: participant.email,
+    status: freeBusy.status[participant.email]
+  }));
+}
+
+// Thin I/O layer over the slot engine: fetches free/busy from a calendar
+// provider and hands plain data to the pure functions in ./engine. A plain
+// googleapis calendar client is accepted too and wrapped in the Google
+// provider.
+export class CalendarService {
+  constructor(provider) {
+    this.provider = provider.getFreeBusy ? provider : createGoogleProvider(provider);
+  }
+
+  // Busy periods and visibility per calendar ID. Calendars we can't read
+  // come back with no busy periods, so the status is what tells them apart
+  // from genuinely free ones.
+  getFreeBusy({ timeMin, timeMax, timezone, calendarIds }) {
+    return this.provider.getFreeBusy({ timeMin, timeMax, timezone, calendarIds });
+  }
+
+  async findOptimalMeetingTimes({
+    organizer,
+    attendees,
+    durationMinutes = 30,
+    searchRange = 'week',
+    startDate,
+    endDate,
+    maxResults,
+    recurrence,
+    rooms,
+    roomFilter = {},
+    preferences = {},
+    now = Date.now()
+  }) {
+    const { timezone, participants, timeMin, timeMax } = searchSetup({
+      organizer,
+      attendees,
+      searchRange,
+      startDate,
+      endDate,
+      preferences,
+      now
+    });
+    // A series needs free/busy up to its last occurrence
+    const busyTimeMax = recurrence
+      ? recurringSearchEnd({ timeMin, timeMax, recurrence }).timeMax
+      : timeMax;
+
+    // Rooms default to needing a seat for everyone invited
+    const candidateRooms = rooms?.length
+      ? suitableRooms(rooms, {
+        minCapacity: roomFilter.minCapacity ?? participants.length,
+        location: roomFilter.location
+      })
+      : [];
+
+    const [organizerEntry, ...attendeeEntries] = participants;
+    const attendeeIds = attendeeEntries.map(participant => participant.email);
+    const freeBusy = await this.getFreeBusy({
+      timeMin,
+      timeMax: busyTimeMax,
+      timezone,
+      calendarIds: [
+        'primary',
+        ...attendeeIds,
+        ...candidateRooms.map(room => room.email).filter(email => !attendeeIds.includes(email))
+      ]
+    });
+
+    const find = recurrence ? findRecurringMeetingTimes : findMeetingTimes;
+    const result = find({
+      busyByParticipant: busyByParticipant(freeBusy, organizerEntry),
+      participants,
+      timeMin,
+      timeMax,
+      durationMinutes,
+      timezone,
+      now,
+      noFridays: preferences.noFridays,
+      excludedWeekdays: preferences.excludedWeekdays,
+      holidays: {
+        regions: preferences.holidayRegions || ['US'],
+        customHolidays: preferences.customHolidays || []
+      },
+      buffers: preferences.buffers,
+      scoringWeights: preferences.scoringWeights,
+      maxResults,
+      recurrence,
+      // Rooms we can't see can't be promised
+      rooms: rooms?.length
+        ? candidateRooms.filter(room => freeBusy.status[room.email] === 'visible')
+        : undefined,
+      busyByRoom: freeBusy.busy,
+      loadRuleMode: preferences.loadRuleMode
+    });
+
+    return {
+      ...result,
+      calendarStatus: attendeeStatus(attendeeEntries, freeBusy),
+      ...(rooms?.length && {
+        roomStatus: rooms.map(room => ({
+          email: room.email,
+          status: candidateRooms.includes(room) ? freeBusy.status[room.email] : 'unsuitable'
+        }))
+      })
+    };
+  }
+
+  // Availability counts for every slot in the window rather than the top few
+  async getAvailabilityHeatmap({
+    organizer,
+    attendees,
+    durationMinutes = 30,
+    searchRange = 'week',
+    startDate,
+    endDate,
+    stepMinutes,
+    preferences = {},
+    now = Date.now()
+  }) {
+    const { timezone, participants, timeMin, timeMax } = searchSetup({
+      organizer,
+      attendees,
+      searchRange,
+      startDate,
+      endDate,
+      preferences,
+      now
+    });
+
+    const [organizerEntry, ...attendeeEntries] = participants;
+    const freeBusy = await this.getFreeBusy({
+      timeMin,
+      timeMax,
+      timezone,
+      calendarIds: ['primary', ...attendeeEntries.map(participant => participant.email)]
+    });
+
+    const heatmap = buildAvailabilityHeatmap({
+      busyByParticipant: busyByParticipant(freeBusy, organizerEntry),
+      participants,
+      timeMin,
+      timeMax,
+      durationMinutes,
+      timezone,
+      stepMinutes,
+      noFridays: preferences.noFridays,
+      excludedWeekdays: preferences.excludedWeekdays,
+      holidays: {
+        regions: preferences.holidayRegions || ['US'],
+        customHolidays: preferences.customHolidays || []
+      },
+      buffers: preferences.buffers,
+      loadRuleMode: preferences.loadRuleMode
+    });
+
+    return { heatmap, calendarStatus: attendeeStatus(attendeeEntries, freeBusy) };
+  }
+}
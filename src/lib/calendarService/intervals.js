@@ -0,0 +1,69 @@
+// Busy-interval model for conflict checks. Busy periods from every attendee
+// are merged into one sorted, non-overlapping list once, after which each
+// overlap query is a binary search instead of a scan over all periods.
+
+function toMillis(value) {
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  return new Date(value).getTime();
+}
+
+// Sorts busy intervals and collapses overlapping or touching ones. With
+// joinTouching off, back-to-back periods stay separate (to count meetings).
+export function mergeBusyIntervals(intervals, { joinTouching = true } = {}) {
+  const sorted = intervals
+    .map(interval => ({ start: toMillis(interval.start), end: toMillis(interval.end) }))
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && (interval.start < last.end || (joinTouching && interval.start === last.end))) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+// Index of the first merged interval that ends after `time`, or
+// merged.length when there is none
+export function firstEndingAfter(merged, time) {
+  let low = 0;
+  let high = merged.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (merged[mid].end > time) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+}
+
+// True when [start, end) shares any time with a merged busy interval. This
+// covers partial overlaps as well as busy periods that sit entirely inside
+// the range.
+export function overlapsAny(merged, start, end) {
+  const index = firstEndingAfter(merged, start);
+  return index < merged.length && merged[index].start < end;
+}
+
+// Nearest busy interval ending at or before `start` and the first one
+// starting at or after `end`
+export function neighbouringIntervals(merged, start, end) {
+  const index = firstEndingAfter(merged, start);
+  const before = index > 0 ? merged[index - 1] : null;
+
+  let after = null;
+  for (let i = index; i < merged.length; i++) {
+    if (merged[i].start >= end) {
+      after = merged[i];
+      break;
+    }
+  }
+  return { before, after };
+}
@@ -0,0 +1,172 @@
+import { DateTime } from 'luxon';
+import { mergeBusyIntervals } from './intervals';
+
+// Meeting-load rules protect a participant's deep-work time. Each participant
+// may carry `loadRules`:
+//   maxMeetingHoursPerDay  meeting hours allowed on one day, this one included
+//   focusBlockMinutes      keep at least one free block this long in the
+//                          working day (only checked if there still is one)
+//   maxBackToBack          meetings allowed in a row (gaps of up to
+//                          BACK_TO_BACK_GAP_MINUTES count as "in a row")
+//   noMeetingsBefore       { hour, weekdays } – ISO weekdays, 1 = Monday
+// Everything is evaluated in the participant's own timezone against their
+// busy periods. With mode 'filter' a participant who'd break a rule can't
+// attend the slot; with 'penalize' the slot only loses points.
+
+export const LOAD_RULE_MODES = ['filter', 'penalize'];
+export const BACK_TO_BACK_GAP_MINUTES = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+function hoursLabel(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60}-hour` : `${minutes}-minute`;
+}
+
+function clockLabel(hour) {
+  return DateTime.fromObject({ hour: Math.floor(hour), minute: Math.round((hour % 1) * 60) })
+    .toFormat('h:mm a');
+}
+
+// Busy periods per participant with load rules. Overlaps are merged but
+// touching periods stay apart so back-to-back meetings can be counted.
+export function loadRuleMeetings(participants, busyByParticipant) {
+  return Object.fromEntries(
+    participants
+      .filter(participant => participant.loadRules)
+      .map(participant => [
+        participant.email,
+        mergeBusyIntervals(busyByParticipant[participant.email] || [], { joinTouching: false })
+      ])
+  );
+}
+
+function overlapMs(interval, start, end) {
+  return Math.max(0, Math.min(interval.end, end) - Math.max(interval.start, start));
+}
+
+// Longest free stretch in [start, end) around the given busy periods
+function longestGap(meetings, start, end) {
+  let longest = 0;
+  let cursor = start;
+  for (const meeting of meetings) {
+    if (meeting.end <= cursor) continue;
+    if (meeting.start >= end) break;
+    longest = Math.max(longest, meeting.start - cursor);
+    cursor = Math.max(cursor, meeting.end);
+  }
+  return Math.max(longest, end - cursor);
+}
+
+// How many meetings run into each other around the slot, the slot included
+function meetingsInARow(slot, meetings) {
+  const gapMs = BACK_TO_BACK_GAP_MINUTES * MINUTE_MS;
+  let count = 1;
+  let chainStart = slot.start;
+  for (let i = meetings.length - 1; i >= 0; i--) {
+    const meeting = meetings[i];
+    if (meeting.start >= slot.start) continue;
+    if (chainStart - meeting.end > gapMs) break;
+    count += 1;
+    chainStart = meeting.start;
+  }
+  let chainEnd = slot.end;
+  for (const meeting of meetings) {
+    if (meeting.end <= slot.end) continue;
+    if (meeting.start - chainEnd > gapMs) break;
+    count += 1;
+    chainEnd = meeting.end;
+  }
+  return count;
+}
+
+// The rules `participant` would break by taking `slot`: [{ rule, message }]
+export function loadRuleViolations(slot, participant, meetings = []) {
+  const rules = participant.loadRules;
+  if (!rules) return [];
+
+  const local = DateTime.fromMillis(slot.start, { zone: participant.timezone });
+  const dayName = local.toFormat('cccc');
+  const dayStart = local.startOf('day');
+  const violations = [];
+
+  const { noMeetingsBefore } = rules;
+  if (noMeetingsBefore && (noMeetingsBefore.weekdays || [1, 2, 3, 4, 5]).includes(local.weekday)) {
+    if (local.hour + local.minute / 60 < noMeetingsBefore.hour) {
+      violations.push({
+        rule: 'noMeetingsBefore',
+        message: `No meetings before ${clockLabel(noMeetingsBefore.hour)} on ${dayName}s`
+      });
+    }
+  }
+
+  if (rules.maxMeetingHoursPerDay !== undefined) {
+    const dayEnd = dayStart.plus({ days: 1 }).toMillis();
+    const bookedMs = meetings.reduce((total, meeting) => total + overlapMs(meeting, dayStart.toMillis(), dayEnd), 0);
+    const slotMs = slot.end - slot.start - meetings.reduce((total, meeting) => total + overlapMs(meeting, slot.start, slot.end), 0);
+    if (bookedMs + slotMs > rules.maxMeetingHoursPerDay * 60 * MINUTE_MS) {
+      violations.push({
+        rule: 'maxMeetingHoursPerDay',
+        message: `More than ${rules.maxMeetingHoursPerDay} meeting hours on ${dayName}`
+      });
+    }
+  }
+
+  if (rules.focusBlockMinutes) {
+    const focusMs = rules.focusBlockMinutes * MINUTE_MS;
+    const windowStart = dayStart.plus({ minutes: participant.workingHours.start * 60 }).toMillis();
+    const windowEnd = dayStart.plus({ minutes: participant.workingHours.end * 60 }).toMillis();
+    const withSlot = mergeBusyIntervals([...meetings, slot], { joinTouching: false });
+    if (
+      longestGap(meetings, windowStart, windowEnd) >= focusMs &&
+      longestGap(withSlot, windowStart, windowEnd) < focusMs
+    ) {
+      violations.push({
+        rule: 'focusBlockMinutes',
+        message: `No ${hoursLabel(rules.focusBlockMinutes)} focus block left on ${dayName}`
+      });
+    }
+  }
+
+  if (rules.maxBackToBack !== undefined) {
+    const inARow = meetingsInARow(slot, meetings);
+    if (inARow > rules.maxBackToBack) {
+      violations.push({
+        rule: 'maxBackToBack',
+        message: `${inARow} meetings in a row (at most ${rules.maxBackToBack})`
+      });
+    }
+  }
+
+  return violations;
+}
+
+// Every participant's violations for a slot, flattened with who they are
+export function findLoadRuleViolations(slot, participants, meetingsByParticipant) {
+  return participants.flatMap(participant =>
+    loadRuleViolations(slot, participant, meetingsByParticipant[participant.email]).map(violation => ({
+      email: participant.email,
+      optional: participant.optional,
+      ...violation
+    }))
+  );
+}
+
+// In 'filter' mode anyone breaking a rule joins the slot's missing list
+// (once, with the first rule as the reason); otherwise `missing` is unchanged
+export function applyLoadRules(missing, violations, mode = 'filter') {
+  if (mode !== 'filter') return missing;
+
+  const added = [];
+  for (const violation of violations) {
+    if (missing.some(person => person.email === violation.email)) continue;
+    if (added.some(person => person.email === violation.email)) continue;
+    added.push({
+      email: violation.email,
+      optional: violation.optional,
+      reason: 'loadRule',
+      rule: violation.rule,
+      message: violation.message
+    });
+  }
+  return [...missing, ...added];
+}
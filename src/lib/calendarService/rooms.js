@@ -0,0 +1,31 @@
+import { mergeBusyIntervals, overlapsAny } from './intervals';
+
+// Rooms big enough for the meeting (capacity unknown counts as big enough)
+// and, when a location is asked for, whose location mentions it
+export function suitableRooms(rooms, { minCapacity = 0, location } = {}) {
+  const wanted = location?.trim().toLowerCase();
+  return rooms.filter(room =>
+    (room.capacity === undefined || room.capacity >= minCapacity) &&
+    (!wanted || `${room.location || ''} ${room.name || ''}`.toLowerCase().includes(wanted))
+  );
+}
+
+export function mergeRoomBusy(rooms, busyByRoom) {
+  return Object.fromEntries(
+    rooms.map(room => [room.email, mergeBusyIntervals(busyByRoom[room.email] || [])])
+  );
+}
+
+// The smallest room that is free for every one of `slots` (one slot, or all
+// occurrences of a series). Rooms without a known capacity come last; ties
+// keep the caller's order. Returns null when no room is free.
+export function pickRoom(slots, rooms, mergedByRoom) {
+  const free = rooms.filter(room =>
+    slots.every(slot => !overlapsAny(mergedByRoom[room.email], slot.start, slot.end))
+  );
+  if (free.length === 0) return null;
+
+  return free.reduce((best, room) =>
+    (room.capacity ?? Infinity) < (best.capacity ?? Infinity) ? room : best
+  );
+}
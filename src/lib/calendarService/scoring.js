@@ -0,0 +1,108 @@
+import { DateTime } from 'luxon';
+import { neighbouringIntervals } from './intervals';
+
+// Slot scoring pipeline. Each rule looks at a slot and returns a value,
+// usually between -1 and 1 (sooner-is-better returns days out). The rule's
+// weight turns that into points, and every non-zero contribution is kept in
+// the breakdown so the UI can explain the ranking.
+
+export const BASE_SCORE = 100;
+export const BUFFER_MINUTES = 15;
+export const FOCUS_BLOCK_MINUTES = 120;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const DEFAULT_WEIGHTS = {
+  preferMornings: 10,
+  avoidLunch: 10,
+  soonerIsBetter: 5,
+  meetingBuffer: 5,
+  focusBlocks: 5,
+  loadRules: 20
+};
+
+export const SCORING_RULES = [
+  {
+    name: 'preferMornings',
+    label: 'Morning slot',
+    evaluate: (slot, { timezone }) =>
+      DateTime.fromMillis(slot.start, { zone: timezone }).hour < 12 ? 1 : 0
+  },
+  {
+    name: 'avoidLunch',
+    label: 'Overlaps lunch (12–1pm)',
+    evaluate: (slot, { timezone }) => {
+      const lunchStart = DateTime.fromMillis(slot.start, { zone: timezone })
+        .startOf('day')
+        .set({ hour: 12 })
+        .toMillis();
+      const lunchEnd = lunchStart + 60 * MINUTE_MS;
+      return slot.start < lunchEnd && slot.end > lunchStart ? -1 : 0;
+    }
+  },
+  {
+    name: 'soonerIsBetter',
+    label: 'Days from now',
+    evaluate: (slot, { now }) => -Math.max(0, (slot.start - now) / DAY_MS)
+  },
+  {
+    name: 'meetingBuffer',
+    label: `Less than ${BUFFER_MINUTES} min after another meeting`,
+    evaluate: (slot, { busyPeriods = [] }) => {
+      const { before } = neighbouringIntervals(busyPeriods, slot.start, slot.end);
+      return before && slot.start - before.end < BUFFER_MINUTES * MINUTE_MS ? -1 : 0;
+    }
+  },
+  {
+    name: 'focusBlocks',
+    label: 'Breaks up a focus block',
+    evaluate: (slot, { busyPeriods = [], timezone, workingHours }) => {
+      // The free stretch around the slot, bounded by meetings or the working day
+      const dayStart = DateTime.fromMillis(slot.start, { zone: timezone }).startOf('day');
+      const { before, after } = neighbouringIntervals(busyPeriods, slot.start, slot.end);
+      const gapStart = Math.max(
+        before ? before.end : -Infinity,
+        dayStart.plus({ minutes: workingHours.start * 60 }).toMillis()
+      );
+      const gapEnd = Math.min(
+        after ? after.start : Infinity,
+        dayStart.plus({ minutes: workingHours.end * 60 }).toMillis()
+      );
+
+      const focusMs = FOCUS_BLOCK_MINUTES * MINUTE_MS;
+      const leavesFocusBlock = slot.start - gapStart >= focusMs || gapEnd - slot.end >= focusMs;
+      return gapEnd - gapStart >= focusMs && !leavesFocusBlock ? -1 : 0;
+    }
+  },
+  {
+    name: 'loadRules',
+    label: 'Breaks attendees\' meeting-load rules',
+    // One point of weight per rule broken (see ./loadRules)
+    evaluate: slot => -(slot.ruleViolations?.length || 0)
+  }
+];
+
+// Builds a scorer for the given weights. Unknown weight names are ignored and
+// extra rules can be passed in to extend the pipeline.
+export function createScorer({ weights = {}, rules = SCORING_RULES } = {}) {
+  const resolved = { ...DEFAULT_WEIGHTS, ...weights };
+
+  return (slot, context) => {
+    let score = BASE_SCORE;
+    const breakdown = [];
+
+    for (const rule of rules) {
+      const weight = resolved[rule.name] ?? 0;
+      if (!weight) continue;
+
+      const points = Math.round(weight * rule.evaluate(slot, context) * 10) / 10;
+      if (points !== 0) {
+        score += points;
+        breakdown.push({ rule: rule.name, label: rule.label, points });
+      }
+    }
+
+    return { score: Math.round(score * 10) / 10, breakdown };
+  };
+}
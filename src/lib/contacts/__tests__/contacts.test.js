@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { contactsFromPeople, fetchPeople, mergePeople, pastInvitees } from '..';
+import { isEmail, matchPeople, splitEmails } from '../match';
+import fixture from './fixtures/people.json';
+
+const NOW = Date.parse('2024-11-25T14:00:00Z');
+const ME = 'me@example.com';
+
+function fakeClients({ contactsError } = {}) {
+  const calls = [];
+  const page = (key, items) => async (params) => {
+    calls.push(params);
+    if (contactsError && key !== 'items') throw contactsError;
+    return { data: { [key]: items } };
+  };
+  return {
+    calls,
+    people: {
+      people: { connections: { list: page('connections', fixture.connections) } },
+      otherContacts: { list: page('otherContacts', fixture.otherContacts) }
+    },
+    calendar: { events: { list: page('items', fixture.events) } }
+  };
+}
+
+describe('contactsFromPeople', () => {
+  it('gives one entry per address, skipping default photos', () => {
+    expect(contactsFromPeople(fixture.connections)).toEqual([
+      { email: 'alice@example.com', name: 'Alice Nguyen', photo: 'https://lh3.googleusercontent.com/a/alice' },
+      { email: 'alice.n@personal.example', name: 'Alice Nguyen', photo: 'https://lh3.googleusercontent.com/a/alice' },
+      { email: 'bob@example.com', name: 'Bob Stone', photo: undefined }
+    ]);
+  });
+});
+
+describe('pastInvitees', () => {
+  it('counts meetings per person, leaving out self, rooms, groups and declines', () => {
+    expect(pastInvitees(fixture.events, { selfEmail: ME })).toEqual([
+      { email: 'carol@example.com', name: 'Carol Diaz', lastMet: '2024-11-20T17:00:00.000Z', meetings: 2 },
+      { email: 'bob@example.com', name: undefined, lastMet: '2024-11-18T15:00:00.000Z', meetings: 1 }
+    ]);
+  });
+});
+
+describe('mergePeople', () => {
+  it('dedupes by email and puts people met most often first', () => {
+    const people = mergePeople(contactsFromPeople(fixture.connections), pastInvitees(fixture.events, { selfEmail: ME }));
+
+    expect(people.map(person => person.email)).toEqual([
+      'carol@example.com',
+      'bob@example.com',
+      'alice@example.com',
+      'alice.n@personal.example'
+    ]);
+    expect(people[1]).toEqual({
+      email: 'bob@example.com',
+      name: 'Bob Stone',
+      lastMet: '2024-11-18T15:00:00.000Z',
+      meetings: 1
+    });
+  });
+});
+
+describe('fetchPeople', () => {
+  it('combines contacts, other contacts and the last 90 days of events', async () => {
+    const clients = fakeClients();
+    const people = await fetchPeople({ ...clients, selfEmail: ME, now: NOW });
+
+    expect(people.map(person => person.email)).toContain('dana@partner.example');
+    expect(clients.calls.find(call => call.calendarId)).toMatchObject({
+      calendarId: 'primary',
+      singleEvents: true,
+      timeMin: '2024-08-27T14:00:00.000Z',
+      timeMax: '2024-11-25T14:00:00.000Z'
+    });
+  });
+
+  it('still returns recent invitees when contacts are not granted', async () => {
+    const clients = fakeClients({ contactsError: { response: { status: 403 } } });
+    const people = await fetchPeople({ ...clients, selfEmail: ME, now: NOW });
+
+    expect(people.map(person => person.email)).toEqual(['carol@example.com', 'bob@example.com']);
+  });
+
+  it('only lists contacts without access to read events', async () => {
+    const clients = fakeClients();
+    const people = await fetchPeople({ people: clients.people, selfEmail: ME, now: NOW });
+
+    expect(people.map(person => person.email)).toContain('dana@partner.example');
+    expect(people.map(person => person.email)).not.toContain('carol@example.com');
+    expect(clients.calls.some(call => call.calendarId)).toBe(false);
+  });
+});
+
+describe('attendee picker helpers', () => {
+  it('validates email syntax', () => {
+    expect(isEmail('alice@example.com')).toBe(true);
+    expect(isEmail('alice@example')).toBe(false);
+    expect(isEmail('alice example.com')).toBe(false);
+    expect(isEmail('alice@@example.com')).toBe(false);
+  });
+
+  it('splits pasted lists, including "Name <email>" entries', () => {
+    expect(splitEmails('Alice Nguyen <alice@example.com>, bob@example.com;\ncarol@example.com'))
+      .toEqual(['alice@example.com', 'bob@example.com', 'carol@example.com']);
+  });
+
+  it('matches on email or any word of the name, skipping people already added', () => {
+    const people = mergePeople(contactsFromPeople(fixture.connections), []);
+
+    expect(matchPeople(people, 'ngu').map(person => person.email))
+      .toEqual(['alice@example.com', 'alice.n@personal.example']);
+    expect(matchPeople(people, 'ALI', { exclude: ['Alice@example.com'] }).map(person => person.email))
+      .toEqual(['alice.n@personal.example']);
+    expect(matchPeople(people, ' ')).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+// The signed-in user's address book for attendee autocomplete: their Google
+// contacts ("My Contacts" and "Other contacts", i.e. people they've emailed)
+// plus everyone they've met with recently according to their calendar.
+// Entries are { email, name, photo, lastMet, meetings }, emails lower-case.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RECENT_DAYS = 90;
+const MAX_CONTACTS = 1000;
+
+// Calendar addresses that aren't people
+const NON_PERSON_DOMAINS = ['resource.calendar.google.com', 'group.calendar.google.com', 'group.v.calendar.google.com'];
+
+function isPerson(email) {
+  return !NON_PERSON_DOMAINS.some(domain => email.endsWith(`@${domain}`));
+}
+
+// People API person resources -> one entry per email address
+export function contactsFromPeople(people = []) {
+  return people.flatMap(person => {
+    const name = person.names?.[0]?.displayName;
+    const photo = person.photos?.find(entry => !entry.default)?.url;
+    return (person.emailAddresses || [])
+      .map(entry => entry.value?.toLowerCase())
+      .filter(Boolean)
+      .map(email => ({ email, name, photo }));
+  });
+}
+
+// Attendees of past calendar events, with when the user last met them and
+// how often. Declined invites, rooms and the user themselves are left out.
+export function pastInvitees(events = [], { selfEmail } = {}) {
+  const self = selfEmail?.toLowerCase();
+  const byEmail = new Map();
+
+  for (const event of events) {
+    const start = Date.parse(event.start?.dateTime || event.start?.date);
+    for (const attendee of event.attendees || []) {
+      const email = attendee.email?.toLowerCase();
+      if (!email || email === self || attendee.self || attendee.resource || !isPerson(email)) continue;
+      if (attendee.responseStatus === 'declined') continue;
+
+      const entry = byEmail.get(email) || { email, name: undefined, lastMet: 0, meetings: 0 };
+      entry.name = entry.name || attendee.displayName;
+      entry.lastMet = Math.max(entry.lastMet, start || 0);
+      entry.meetings += 1;
+      byEmail.set(email, entry);
+    }
+  }
+
+  return [...byEmail.values()].map(entry => ({
+    ...entry,
+    lastMet: entry.lastMet ? new Date(entry.lastMet).toISOString() : undefined
+  }));
+}
+
+// One entry per email: contact details win for name and photo. People met
+// recently come first (most meetings first), then contacts by name.
+export function mergePeople(contacts, invitees) {
+  const byEmail = new Map();
+  for (const person of [...invitees, ...contacts]) {
+    const existing = byEmail.get(person.email) || {};
+    byEmail.set(person.email, {
+      ...existing,
+      ...Object.fromEntries(Object.entries(person).filter(([, value]) => value !== undefined))
+    });
+  }
+
+  return [...byEmail.values()].sort((a, b) =>
+    (b.meetings || 0) - (a.meetings || 0) ||
+    (a.name || a.email).localeCompare(b.name || b.email)
+  );
+}
+
+async function listAll(fetchPage, key) {
+  const results = [];
+  let pageToken;
+  do {
+    const { data } = await fetchPage(pageToken);
+    results.push(...(data[key] || []));
+    pageToken = data.nextPageToken;
+  } while (pageToken && results.length < MAX_CONTACTS);
+  return results;
+}
+
+// Each source is optional: a user who signed in before the contacts scopes
+// were added still gets their recent invitees, and without `calendar` (no
+// access to read events yet) only contacts are listed
+export async function fetchPeople({ people, calendar, selfEmail, now = Date.now() }) {
+  const sources = await Promise.allSettled([
+    listAll(pageToken => people.people.connections.list({
+      resourceName: 'people/me',
+      personFields: 'names,emailAddresses,photos',
+      pageSize: 1000,
+      pageToken
+    }), 'connections'),
+    listAll(pageToken => people.otherContacts.list({
+      readMask: 'names,emailAddresses,photos',
+      pageSize: 1000,
+      pageToken
+    }), 'otherContacts'),
+    calendar ? listAll(pageToken => calendar.events.list({
+      calendarId: 'primary',
+      timeMin: new Date(now - RECENT_DAYS * DAY_MS).toISOString(),
+      timeMax: new Date(now).toISOString(),
+      singleEvents: true,
+      maxResults: 250,
+      pageToken
+    }), 'items') : []
+  ]);
+
+  const [connections, otherContacts, events] = sources.map(source =>
+    source.status === 'fulfilled' ? source.value : []
+  );
+  return mergePeople(
+    contactsFromPeople([...connections, ...otherContacts]),
+    pastInvitees(events, { selfEmail })
+  );
+}
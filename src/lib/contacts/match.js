@@ -0,0 +1,40 @@
+// Client-side helpers for the attendee picker; no server imports here
+
+// Deliberately simple: something@domain.tld, no spaces
+const EMAIL_PATTERN = /^[^\s@,;<>()]+@[^\s@,;<>()]+\.[^\s@,;<>()]{2,}$/;
+
+export function isEmail(value) {
+  return EMAIL_PATTERN.test(value);
+}
+
+// Splits pasted text on commas, semicolons and whitespace. "Name <email>"
+// entries (as copied from mail clients) are reduced to the address.
+export function splitEmails(text) {
+  return text
+    .replace(/[^<>,;\n]*<([^<>]+)>/g, ' $1 ')
+    .split(/[,;\s\n]+/)
+    .map(email => email.trim())
+    .filter(email => email.length > 0);
+}
+
+export function initials(person) {
+  const source = person.name || person.email;
+  const words = source.split(/[\s@._-]+/).filter(Boolean);
+  return words.slice(0, 2).map(word => word[0].toUpperCase()).join('');
+}
+
+// People whose email or any word of whose name starts with the query, in the
+// order of `people`
+export function matchPeople(people, query, { exclude = [], limit = 8 } = {}) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+
+  const excluded = new Set(exclude.map(email => email.toLowerCase()));
+  return people
+    .filter(person => !excluded.has(person.email))
+    .filter(person =>
+      person.email.startsWith(needle) ||
+      (person.name || '').toLowerCase().split(/\s+/).some(word => word.startsWith(needle))
+    )
+    .slice(0, limit);
+}
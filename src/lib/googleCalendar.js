@@ -0,0 +1,39 @@
+import { google } from 'googleapis';
+
+function oauthClient(credentials) {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET
+  );
+
+  oauth2Client.setCredentials(credentials);
+  return oauth2Client;
+}
+
+function sessionCredentials(session) {
+  return {
+    access_token: session.accessToken,
+    refresh_token: session.refreshToken
+  };
+}
+
+// Helper to build an authenticated Calendar API client from a NextAuth session
+export function getCalendarClient(session) {
+  return google.calendar({ version: 'v3', auth: oauthClient(sessionCredentials(session)) });
+}
+
+// Client for a user who isn't signed in right now (e.g. the owner of a
+// booking link); googleapis fetches access tokens from the refresh token
+export function getOfflineCalendarClient(refreshToken) {
+  return google.calendar({ version: 'v3', auth: oauthClient({ refresh_token: refreshToken }) });
+}
+
+// Admin SDK Directory client, for expanding Workspace groups
+export function getDirectoryClient(session) {
+  return google.admin({ version: 'directory_v1', auth: oauthClient(sessionCredentials(session)) });
+}
+
+// People API client for contact autocomplete
+export function getPeopleClient(session) {
+  return google.people({ version: 'v1', auth: oauthClient(sessionCredentials(session)) });
+}
@@ -0,0 +1,241 @@
+// Holiday calendars used to keep suggestions off public holidays and
+// company shutdown days. Dates are handled as 'YYYY-MM-DD' keys so callers
+// can compare them against a slot's local date in whatever timezone applies.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rule types:
+//   fixed        - same month/day every year, optionally moved when it lands on a weekend
+//   nthWeekday   - e.g. 4th Thursday of November (n: -1 means the last one)
+//   onOrBefore   - the given weekday on or before month/day (e.g. Victoria Day)
+//   easter       - offset in days from Western Easter Sunday
+//
+// Observance policies for fixed dates that fall on a weekend:
+//   nearest      - Saturday moves to Friday, Sunday to Monday (US federal)
+//   substitute   - moves to the next free weekday (UK/Canada bank holidays)
+//   sunday       - only Sunday moves, to the Monday (Canada Day)
+export const HOLIDAY_REGIONS = {
+  US: [
+    { name: "New Year's Day", type: 'fixed', month: 1, day: 1, observed: 'nearest' },
+    { name: 'Martin Luther King Jr. Day', type: 'nthWeekday', month: 1, weekday: 1, n: 3 },
+    { name: "Presidents' Day", type: 'nthWeekday', month: 2, weekday: 1, n: 3 },
+    { name: 'Memorial Day', type: 'nthWeekday', month: 5, weekday: 1, n: -1 },
+    { name: 'Juneteenth', type: 'fixed', month: 6, day: 19, observed: 'nearest' },
+    { name: 'Independence Day', type: 'fixed', month: 7, day: 4, observed: 'nearest' },
+    { name: 'Labor Day', type: 'nthWeekday', month: 9, weekday: 1, n: 1 },
+    { name: 'Columbus Day', type: 'nthWeekday', month: 10, weekday: 1, n: 2 },
+    { name: 'Veterans Day', type: 'fixed', month: 11, day: 11, observed: 'nearest' },
+    { name: 'Thanksgiving', type: 'nthWeekday', month: 11, weekday: 4, n: 4 },
+    { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, observed: 'nearest' },
+  ],
+  UK: [
+    { name: "New Year's Day", type: 'fixed', month: 1, day: 1, observed: 'substitute' },
+    { name: 'Good Friday', type: 'easter', offset: -2 },
+    { name: 'Easter Monday', type: 'easter', offset: 1 },
+    { name: 'Early May Bank Holiday', type: 'nthWeekday', month: 5, weekday: 1, n: 1 },
+    { name: 'Spring Bank Holiday', type: 'nthWeekday', month: 5, weekday: 1, n: -1 },
+    { name: 'Summer Bank Holiday', type: 'nthWeekday', month: 8, weekday: 1, n: -1 },
+    { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, observed: 'substitute' },
+    { name: 'Boxing Day', type: 'fixed', month: 12, day: 26, observed: 'substitute' },
+  ],
+  CA: [
+    { name: "New Year's Day", type: 'fixed', month: 1, day: 1, observed: 'substitute' },
+    { name: 'Good Friday', type: 'easter', offset: -2 },
+    { name: 'Victoria Day', type: 'onOrBefore', month: 5, day: 24, weekday: 1 },
+    { name: 'Canada Day', type: 'fixed', month: 7, day: 1, observed: 'sunday' },
+    { name: 'Labour Day', type: 'nthWeekday', month: 9, weekday: 1, n: 1 },
+    { name: 'Thanksgiving', type: 'nthWeekday', month: 10, weekday: 1, n: 2 },
+    { name: 'Christmas Day', type: 'fixed', month: 12, day: 25, observed: 'substitute' },
+    { name: 'Boxing Day', type: 'fixed', month: 12, day: 26, observed: 'substitute' },
+  ],
+  DE: [
+    { name: 'Neujahr', type: 'fixed', month: 1, day: 1 },
+    { name: 'Karfreitag', type: 'easter', offset: -2 },
+    { name: 'Ostermontag', type: 'easter', offset: 1 },
+    { name: 'Tag der Arbeit', type: 'fixed', month: 5, day: 1 },
+    { name: 'Christi Himmelfahrt', type: 'easter', offset: 39 },
+    { name: 'Pfingstmontag', type: 'easter', offset: 50 },
+    { name: 'Tag der Deutschen Einheit', type: 'fixed', month: 10, day: 3 },
+    { name: '1. Weihnachtstag', type: 'fixed', month: 12, day: 25 },
+    { name: '2. Weihnachtstag', type: 'fixed', month: 12, day: 26 },
+  ],
+};
+
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addUTCDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function isWeekendDate(date) {
+  const day = date.getUTCDay();
+  return day === 0 || day === 6;
+}
+
+// Anonymous Gregorian algorithm (Meeus/Jones/Butcher)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month, day);
+}
+
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = utcDate(year, month, 1);
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return addUTCDays(first, offset + (n - 1) * 7);
+  }
+
+  const last = utcDate(year, month + 1, 0);
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return addUTCDays(last, -offset + (n + 1) * 7);
+}
+
+function weekdayOnOrBefore(year, month, day, weekday) {
+  const date = utcDate(year, month, day);
+  const offset = (date.getUTCDay() - weekday + 7) % 7;
+  return addUTCDays(date, -offset);
+}
+
+function ruleDate(rule, year) {
+  switch (rule.type) {
+    case 'fixed':
+      return utcDate(year, rule.month, rule.day);
+    case 'nthWeekday':
+      return nthWeekday(year, rule.month, rule.weekday, rule.n);
+    case 'onOrBefore':
+      return weekdayOnOrBefore(year, rule.month, rule.day, rule.weekday);
+    case 'easter':
+      return addUTCDays(easterSunday(year), rule.offset);
+    default:
+      throw new Error(`Unknown holiday rule type: ${rule.type}`);
+  }
+}
+
+function observedDate(date, policy, taken) {
+  const day = date.getUTCDay();
+
+  if (policy === 'nearest') {
+    if (day === 6) return addUTCDays(date, -1);
+    if (day === 0) return addUTCDays(date, 1);
+    return date;
+  }
+
+  if (policy === 'sunday') {
+    return day === 0 ? addUTCDays(date, 1) : date;
+  }
+
+  if (policy === 'substitute') {
+    if (!isWeekendDate(date)) return date;
+    // Roll forward past the weekend and any day another holiday already claimed
+    let observed = date;
+    while (isWeekendDate(observed) || taken.has(toDateKey(observed))) {
+      observed = addUTCDays(observed, 1);
+    }
+    return observed;
+  }
+
+  return date;
+}
+
+// Returns the holidays a region observes in a given year, sorted by date.
+// Weekend dates that move are reported on their observed day.
+export function getHolidays(year, region = 'US') {
+  const rules = HOLIDAY_REGIONS[region];
+  if (!rules) {
+    throw new Error(`Unknown holiday region: ${region}`);
+  }
+
+  // Weekday holidays stay put, so substitutes have to skip them too (UK
+  // Christmas on a Sunday is observed on the Tuesday after Boxing Day)
+  const actuals = rules.map(rule => ruleDate(rule, year));
+  const taken = new Set(actuals.filter(date => !isWeekendDate(date)).map(toDateKey));
+  const holidays = [];
+
+  for (const [index, rule] of rules.entries()) {
+    const actual = actuals[index];
+    const observed = rule.observed ? observedDate(actual, rule.observed, taken) : actual;
+    const date = toDateKey(observed);
+    taken.add(date);
+    holidays.push({
+      date,
+      name: observed.getTime() === actual.getTime() ? rule.name : `${rule.name} (observed)`,
+      region,
+    });
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Expands company shutdown entries into date keys. Entries can be plain
+// 'YYYY-MM-DD' strings or { start, end, name } ranges (inclusive).
+function expandCustomHolidays(customHolidays) {
+  const days = new Map();
+
+  for (const entry of customHolidays) {
+    const { start, end, name } = typeof entry === 'string'
+      ? { start: entry, end: entry, name: 'Company holiday' }
+      : { end: entry.start, name: 'Company holiday', ...entry };
+
+    let current = new Date(`${start}T00:00:00Z`);
+    const last = new Date(`${end}T00:00:00Z`);
+    if (Number.isNaN(current.getTime()) || Number.isNaN(last.getTime())) {
+      throw new Error(`Invalid company holiday date: ${JSON.stringify(entry)}`);
+    }
+
+    while (current <= last) {
+      days.set(toDateKey(current), name);
+      current = addUTCDays(current, 1);
+    }
+  }
+
+  return days;
+}
+
+// Builds a lookup for the given regions plus any company shutdown days.
+// The returned function takes a 'YYYY-MM-DD' key and returns the holiday
+// name, or null when the day is a regular working day.
+export function createHolidayChecker({ regions = ['US'], customHolidays = [] } = {}) {
+  const custom = expandCustomHolidays(customHolidays);
+  const yearCache = new Map();
+
+  const holidaysForYear = (year) => {
+    if (!yearCache.has(year)) {
+      const days = new Map();
+      // Next year's New Year's Day can be observed on Dec 31 of this one
+      for (const region of regions) {
+        for (const holiday of [...getHolidays(year, region), ...getHolidays(year + 1, region)]) {
+          if (holiday.date.startsWith(`${year}-`) && !days.has(holiday.date)) {
+            days.set(holiday.date, holiday.name);
+          }
+        }
+      }
+      yearCache.set(year, days);
+    }
+    return yearCache.get(year);
+  };
+
+  return (dateKey) => {
+    if (custom.has(dateKey)) return custom.get(dateKey);
+    const year = Number(dateKey.slice(0, 4));
+    return holidaysForYear(year).get(dateKey) || null;
+  };
+}
@@ -0,0 +1,279 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { buildInvite, icsBusyIntervals, inviteFilename, parseEvents } from '..';
+import { occurrenceStarts } from '../rrule';
+import { feedUrl, fetchIcsFeed } from '../feed';
+import { withIcsCalendars } from '../../calendarProviders/ics';
+import { MAX_ICS_BYTES } from '../../validation';
+
+const partnerIcs = readFileSync(path.join(__dirname, 'fixtures/partner.ics'), 'utf8');
+
+const timeMin = Date.parse('2024-11-25T00:00:00Z');
+const timeMax = Date.parse('2024-12-07T00:00:00Z');
+
+function event(lines) {
+  return parseEvents(['BEGIN:VCALENDAR', 'BEGIN:VEVENT', ...lines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n'))[0];
+}
+
+// Stands in for DNS: partner.example names are public, internal.example ones
+// resolve to a private address
+const lookup = async host =>
+  host.endsWith('internal.example')
+    ? [{ address: '10.1.2.3', family: 4 }]
+    : [{ address: '93.184.216.34', family: 4 }, { address: '2606:2800:220:1::', family: 6 }];
+
+const isoStarts = (lines, until = Date.parse('2026-01-01T00:00:00Z')) =>
+  occurrenceStarts(event(lines), until).map(start => new Date(start).toISOString());
+
+describe('parseEvents', () => {
+  it('reads events but not nested alarms or time zone rules', () => {
+    const events = parseEvents(partnerIcs);
+
+    expect(events).toHaveLength(7);
+    expect(events[0].start.toISO()).toBe('2024-11-25T09:30:00.000+01:00');
+    expect(events[0].durationMs).toBe(30 * 60 * 1000);
+    expect(events[0].exdates.map(date => date.toISO())).toEqual(['2024-11-27T09:30:00.000+01:00']);
+  });
+
+  it('maps Windows time zone names and reads DURATION', () => {
+    const [, , review, , , , outlook] = parseEvents(partnerIcs);
+
+    expect(review.durationMs).toBe(60 * 60 * 1000);
+    expect(outlook.start.toUTC().toISO()).toBe('2024-11-29T17:00:00.000Z');
+  });
+
+  it('reads floating times in the given time zone', () => {
+    const [floating] = parseEvents(
+      'BEGIN:VCALENDAR\nBEGIN:VEVENT\nDTSTART:20241125T090000\nDTEND:20241125T100000\nEND:VEVENT\nEND:VCALENDAR',
+      { timezone: 'America/Chicago' }
+    );
+
+    expect(floating.start.toUTC().toISO()).toBe('2024-11-25T15:00:00.000Z');
+  });
+});
+
+describe('occurrenceStarts', () => {
+  it('expands daily rules with UNTIL', () => {
+    expect(isoStarts(['DTSTART:20241125T150000Z', 'RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20241201T000000Z']))
+      .toEqual(['2024-11-25T15:00:00.000Z', '2024-11-27T15:00:00.000Z', '2024-11-29T15:00:00.000Z']);
+  });
+
+  it('keeps local time across DST for weekly rules', () => {
+    expect(isoStarts(['DTSTART;TZID=America/Chicago:20241028T100000', 'RRULE:FREQ=WEEKLY;COUNT=2']))
+      .toEqual(['2024-10-28T15:00:00.000Z', '2024-11-04T16:00:00.000Z']);
+  });
+
+  it('expands monthly ordinals, month days and BYSETPOS', () => {
+    expect(isoStarts(['DTSTART:20241108T150000Z', 'RRULE:FREQ=MONTHLY;BYDAY=2FR;COUNT=3']))
+      .toEqual(['2024-11-08T15:00:00.000Z', '2024-12-13T15:00:00.000Z', '2025-01-10T15:00:00.000Z']);
+    expect(isoStarts(['DTSTART:20241130T150000Z', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3']))
+      .toEqual(['2024-11-30T15:00:00.000Z', '2024-12-31T15:00:00.000Z', '2025-01-31T15:00:00.000Z']);
+    // Last weekday of the month
+    expect(isoStarts(['DTSTART:20241129T150000Z', 'RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3']))
+      .toEqual(['2024-11-29T15:00:00.000Z', '2024-12-31T15:00:00.000Z', '2025-01-31T15:00:00.000Z']);
+  });
+
+  it('skips months without the start day and expands yearly rules', () => {
+    expect(isoStarts(['DTSTART:20250131T150000Z', 'RRULE:FREQ=MONTHLY;COUNT=3']))
+      .toEqual(['2025-01-31T15:00:00.000Z', '2025-03-31T15:00:00.000Z', '2025-05-31T15:00:00.000Z']);
+    expect(isoStarts(['DTSTART:20241128T150000Z', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=4TH;COUNT=2']))
+      .toEqual(['2024-11-28T15:00:00.000Z', '2025-11-27T15:00:00.000Z']);
+  });
+
+  it('stops open-ended rules at the end of the window', () => {
+    expect(isoStarts(['DTSTART:20240101T150000Z', 'RRULE:FREQ=DAILY'], Date.parse('2024-01-04T00:00:00Z')))
+      .toHaveLength(3);
+  });
+});
+
+describe('icsBusyIntervals', () => {
+  it('turns the partner calendar into busy periods', () => {
+    expect(icsBusyIntervals(partnerIcs, { timeMin, timeMax })).toEqual([
+      // Mon stand-up; Wed 27th is an EXDATE
+      { start: '2024-11-25T08:30:00.000Z', end: '2024-11-25T09:00:00.000Z' },
+      // Opaque all-day offsite; the transparent WFH day and cancelled call are free
+      { start: '2024-11-26T00:00:00.000Z', end: '2024-11-27T00:00:00.000Z' },
+      // Last Friday of November
+      { start: '2024-11-29T15:00:00.000Z', end: '2024-11-29T16:00:00.000Z' },
+      { start: '2024-11-29T17:00:00.000Z', end: '2024-11-29T17:30:00.000Z' },
+      // Mon 2nd moved to the afternoon
+      { start: '2024-12-02T13:00:00.000Z', end: '2024-12-02T13:30:00.000Z' },
+      { start: '2024-12-04T08:30:00.000Z', end: '2024-12-04T09:00:00.000Z' }
+    ]);
+  });
+});
+
+describe('withIcsCalendars', () => {
+  const base = {
+    name: 'google',
+    getFreeBusy: async ({ calendarIds }) => ({
+      busy: Object.fromEntries(calendarIds.map(id => [id, []])),
+      status: Object.fromEntries(calendarIds.map(id => [id, id === 'primary' ? 'visible' : 'not_found']))
+    })
+  };
+
+  it('merges ICS busy time into provider results', async () => {
+    const provider = withIcsCalendars(base, { 'partner@partner.example': { text: partnerIcs } });
+    const result = await provider.getFreeBusy({
+      timeMin,
+      timeMax,
+      timezone: 'UTC',
+      calendarIds: ['primary', 'partner@partner.example']
+    });
+
+    expect(result.status).toEqual({ primary: 'visible', 'partner@partner.example': 'visible' });
+    expect(result.busy['partner@partner.example']).toHaveLength(6);
+  });
+
+  it('reports feeds it could not load', async () => {
+    const fetch = async () => new Response('nope', { status: 404 });
+    const provider = withIcsCalendars(
+      base,
+      { 'partner@partner.example': { url: 'webcal://calendar.partner.example/feed.ics' } },
+      { fetch, lookup }
+    );
+    const result = await provider.getFreeBusy({
+      timeMin,
+      timeMax,
+      timezone: 'UTC',
+      calendarIds: ['partner@partner.example']
+    });
+
+    expect(result.status['partner@partner.example']).toBe('ics_unavailable');
+  });
+});
+
+describe('feedUrl', () => {
+  it('accepts public feeds and rejects internal hosts', () => {
+    expect(feedUrl('webcal://calendar.partner.example/feed.ics').href)
+      .toBe('https://calendar.partner.example/feed.ics');
+    expect(() => feedUrl('http://localhost:3000/feed.ics')).toThrow('public');
+    expect(() => feedUrl('http://169.254.169.254/latest')).toThrow('public');
+    expect(() => feedUrl('file:///etc/passwd')).toThrow('public');
+  });
+
+  it.each([
+    'http://[::ffff:7f00:1]/feed.ics',
+    'http://[::ffff:169.254.169.254]/feed.ics',
+    'http://[::]/feed.ics',
+    'http://0/feed.ics',
+    'http://0.1.2.3/feed.ics',
+    'http://2130706433/feed.ics',
+    'http://100.64.0.1/feed.ics',
+    'http://[fd00::1]/feed.ics',
+  ])('rejects the private address in %s', value => {
+    expect(() => feedUrl(value)).toThrow('public');
+  });
+});
+
+describe('fetchIcsFeed', () => {
+  const calendar = 'BEGIN:VCALENDAR\r\nEND:VCALENDAR';
+
+  it('fetches public feeds', async () => {
+    const fetch = async () => new Response(calendar);
+
+    await expect(fetchIcsFeed('webcal://calendar.partner.example/feed.ics', { fetch, lookup })).resolves.toBe(calendar);
+  });
+
+  it('rejects hosts that resolve to private addresses', async () => {
+    const fetch = async () => new Response(calendar);
+
+    await expect(fetchIcsFeed('https://calendar.internal.example/feed.ics', { fetch, lookup }))
+      .rejects.toMatchObject({ code: 'invalid_ics_feed' });
+    await expect(fetchIcsFeed('https://calendar.partner.example/feed.ics', {
+      fetch,
+      lookup: async () => [{ address: '93.184.216.34', family: 4 }, { address: '::ffff:127.0.0.1', family: 6 }]
+    })).rejects.toMatchObject({ code: 'invalid_ics_feed' });
+  });
+
+  it('checks every redirect hop', async () => {
+    const redirectTo = location => async () => new Response(null, { status: 302, headers: { location } });
+
+    await expect(fetchIcsFeed('https://calendar.partner.example/feed.ics', { fetch: redirectTo('http://10.0.0.5/feed.ics'), lookup }))
+      .rejects.toMatchObject({ code: 'invalid_ics_feed' });
+    await expect(fetchIcsFeed('https://calendar.partner.example/feed.ics', {
+      fetch: redirectTo('https://calendar.internal.example/feed.ics'),
+      lookup
+    })).rejects.toMatchObject({ code: 'invalid_ics_feed' });
+  });
+
+  it('reports hosts that do not resolve', async () => {
+    const fetch = async () => new Response(calendar);
+    const failing = async () => { throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' }); };
+
+    await expect(fetchIcsFeed('https://calendar.partner.example/feed.ics', { fetch, lookup: failing }))
+      .rejects.toMatchObject({ code: 'ics_feed_unavailable' });
+  });
+
+  it('refuses feeds over the size limit without reading them whole', async () => {
+    const declared = async () => new Response(calendar, { headers: { 'content-length': String(MAX_ICS_BYTES + 1) } });
+    await expect(fetchIcsFeed('https://calendar.partner.example/feed.ics', { fetch: declared, lookup }))
+      .rejects.toMatchObject({ code: 'ics_too_large' });
+
+    // No content-length: the stream is cancelled once it passes the limit
+    let pulled = 0;
+    let cancelled = false;
+    const chunk = new Uint8Array(256 * 1024);
+    const body = new ReadableStream({
+      pull(controller) {
+        pulled++;
+        controller.enqueue(chunk);
+      },
+      cancel() {
+        cancelled = true;
+      }
+    });
+    const streamed = async () => new Response(body);
+
+    await expect(fetchIcsFeed('https://calendar.partner.example/feed.ics', { fetch: streamed, lookup }))
+      .rejects.toMatchObject({ code: 'ics_too_large' });
+    expect(cancelled).toBe(true);
+    expect(pulled * chunk.byteLength).toBeLessThan(MAX_ICS_BYTES * 2);
+  });
+});
+
+describe('buildInvite', () => {
+  const slot = { start: '2024-12-02T15:00:00.000Z', end: '2024-12-02T15:30:00.000Z' };
+
+  it('builds an invite that parses back to the same slot', () => {
+    const ics = buildInvite({
+      slot,
+      title: 'Planning; Q1, part 2',
+      organizer: 'me@example.com',
+      attendees: ['alice@example.com', { email: 'bob@example.com', optional: true }],
+      uid: 'fixed-uid',
+      now: Date.parse('2024-11-25T14:00:00Z')
+    });
+
+    expect(ics).toContain('METHOD:REQUEST\r\n');
+    expect(ics).toContain('SUMMARY:Planning\\; Q1\\, part 2\r\n');
+    expect(ics.replace(/\r\n /g, ''))
+      .toContain('ATTENDEE;ROLE=OPT-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:bob@example.com');
+    expect(icsBusyIntervals(ics, { timeMin, timeMax })).toEqual([slot]);
+  });
+
+  it('adds the RRULE for recurring slots and folds long lines', () => {
+    const ics = buildInvite({
+      slot: { ...slot, recurrence: { frequency: 'biweekly', occurrences: 4 } },
+      description: 'x'.repeat(200)
+    });
+
+    expect(ics).toContain('RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=4\r\n');
+    ics.split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(75));
+    expect(icsBusyIntervals(ics, { timeMin, timeMax: Date.parse('2025-02-01T00:00:00Z') })).toHaveLength(4);
+  });
+
+  it('adds the slot\'s room as location and room attendee', () => {
+    const ics = buildInvite({
+      slot: { ...slot, room: { email: 'board@resource.example', name: 'Board', location: 'HQ' } }
+    }).replace(/\r\n /g, '');
+
+    expect(ics).toContain('LOCATION:Board\\, HQ\r\n');
+    expect(ics).toContain('ATTENDEE;CUTYPE=ROOM;ROLE=NON-PARTICIPANT;RSVP=TRUE:mailto:board@resource.example');
+  });
+
+  it('names the file after the meeting and date', () => {
+    expect(inviteFilename(slot, 'Team sync!')).toBe('Team-sync-20241202.ics');
+  });
+});
@@ -0,0 +1,137 @@
+import { BlockList, isIP } from 'net';
+import { lookup as dnsLookup } from 'dns/promises';
+import { ApiError } from '../apiErrors';
+import { MAX_ICS_BYTES } from '../validation';
+
+// Fetches a public ICS feed. Only public http(s)/webcal hosts are allowed so
+// the server can't be pointed at internal addresses.
+
+const FEED_TIMEOUT_MS = 10 * 1000;
+
+const PRIVATE_NAMES = [/^localhost$/i, /\.localhost$/i, /\.local$/i, /\.internal$/i];
+
+// Addresses a feed host may not resolve to: this host, private networks,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses are checked as IPv4.
+const PRIVATE_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (!family) return true;
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+const notPublic = () =>
+  new ApiError(400, 'invalid_ics_feed', 'Calendar feeds must be public http(s) or webcal URLs.');
+
+// Parses a feed URL and rejects other schemes and hosts that are internal by
+// name or address. Names are resolved later, in checkFeedHost.
+export function feedUrl(value) {
+  let url;
+  try {
+    url = new URL(value.replace(/^webcals?:\/\//i, 'https://'));
+  } catch {
+    throw new ApiError(400, 'invalid_ics_feed', 'The calendar feed URL is not valid.');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (
+    !['http:', 'https:'].includes(url.protocol) ||
+    PRIVATE_NAMES.some(pattern => pattern.test(host)) ||
+    (isIP(host) && isPrivateAddress(host))
+  ) {
+    throw notPublic();
+  }
+  return url;
+}
+
+// Every address the host resolves to must be public
+export async function checkFeedHost(url, { lookup = dnsLookup } = {}) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host)) return;
+
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new ApiError(502, 'ics_feed_unavailable', 'The calendar feed host could not be found.');
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw notPublic();
+  }
+}
+
+const tooLarge = () => new ApiError(400, 'ics_too_large', 'The calendar feed is too large.');
+
+// Reads the body up to MAX_ICS_BYTES, giving up as soon as it's over
+async function readLimited(response) {
+  if (Number(response.headers.get('content-length')) > MAX_ICS_BYTES) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > MAX_ICS_BYTES) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+const MAX_REDIRECTS = 3;
+
+// Redirects are followed by hand so every hop passes the same host check
+export async function fetchIcsFeed(value, { fetch = globalThis.fetch, lookup } = {}) {
+  let url = feedUrl(value);
+  let response;
+  for (let hop = 0; ; hop++) {
+    await checkFeedHost(url, { lookup });
+    response = await fetch(url, {
+      headers: { Accept: 'text/calendar' },
+      signal: AbortSignal.timeout(FEED_TIMEOUT_MS),
+      redirect: 'manual',
+    });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) break;
+    if (hop === MAX_REDIRECTS) {
+      throw new ApiError(502, 'ics_feed_unavailable', 'The calendar feed redirected too many times.');
+    }
+    url = feedUrl(new URL(location, url).toString());
+  }
+
+  if (!response.ok) {
+    throw new ApiError(502, 'ics_feed_unavailable', `The calendar feed returned status ${response.status}.`);
+  }
+
+  return readLimited(response);
+}
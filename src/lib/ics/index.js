@@ -0,0 +1,37 @@
+import { parseEvents } from './parse';
+import { occurrenceStarts } from './rrule';
+
+export { parseEvents } from './parse';
+export { buildInvite, inviteFilename } from './invite';
+
+// Busy periods from an iCalendar file that overlap [timeMin, timeMax), as
+// ISO strings like Google's free/busy. Recurring events are expanded;
+// EXDATEs, cancelled and moved instances (RECURRENCE-ID) and transparent
+// ("show as free") events are left out.
+export function icsBusyIntervals(text, { timeMin, timeMax, timezone = 'UTC' }) {
+  const events = parseEvents(text, { timezone });
+
+  // Instances replaced by a RECURRENCE-ID override, per UID
+  const overridden = new Map();
+  for (const event of events) {
+    if (!event.recurrenceId) continue;
+    const starts = overridden.get(event.uid) || new Set();
+    starts.add(event.recurrenceId.toMillis());
+    overridden.set(event.uid, starts);
+  }
+
+  const busy = [];
+  for (const event of events) {
+    if (event.transparent || event.cancelled) continue;
+
+    const replaced = event.recurrenceId ? null : overridden.get(event.uid);
+    const starts = event.recurrenceId ? [event.start.toMillis()] : occurrenceStarts(event, timeMax);
+    for (const start of starts) {
+      const end = start + event.durationMs;
+      if (replaced?.has(start) || end <= timeMin || start >= timeMax || end <= start) continue;
+      busy.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+    }
+  }
+
+  return busy.sort((a, b) => a.start.localeCompare(b.start));
+}
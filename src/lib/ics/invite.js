@@ -0,0 +1,83 @@
+import { toRRule } from '../recurrence';
+
+// Builds a METHOD:REQUEST invite for one suggested slot so people outside
+// Google can add it to their own calendar. Safe to use in the browser.
+
+function formatUtc(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = new TextEncoder().encode(char).length;
+    if (size + charSize > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+export function inviteFilename(slot, title = 'Meeting') {
+  const name = title.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'meeting';
+  return `${name}-${formatUtc(slot.start).slice(0, 8)}.ics`;
+}
+
+export function buildInvite({
+  slot,
+  title = 'Meeting',
+  description = '',
+  organizer,
+  attendees = [],
+  room = slot.room,
+  uid,
+  now = Date.now()
+}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Calendar Optimizer//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:REQUEST',
+    'BEGIN:VEVENT',
+    `UID:${uid || `${formatUtc(slot.start)}-${Math.random().toString(36).slice(2)}@calendar-optimizer`}`,
+    `DTSTAMP:${formatUtc(new Date(now).toISOString())}`,
+    `DTSTART:${formatUtc(slot.start)}`,
+    `DTEND:${formatUtc(slot.end)}`,
+    ...(slot.recurrence ? [toRRule(slot.recurrence)] : []),
+    `SUMMARY:${escapeText(title || 'Meeting')}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(room ? [`LOCATION:${escapeText([room.name, room.location].filter(Boolean).join(', ') || room.email)}`] : []),
+    ...(organizer ? [`ORGANIZER:mailto:${organizer}`] : []),
+    ...attendees.map(attendee => {
+      const email = attendee.email ?? attendee;
+      const role = attendee.optional ? 'OPT-PARTICIPANT' : 'REQ-PARTICIPANT';
+      return `ATTENDEE;ROLE=${role};PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${email}`;
+    }),
+    ...(room ? [`ATTENDEE;CUTYPE=ROOM;ROLE=NON-PARTICIPANT;RSVP=TRUE:mailto:${room.email}`] : []),
+    'STATUS:CONFIRMED',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
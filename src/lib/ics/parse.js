@@ -0,0 +1,169 @@
+import { DateTime, Duration } from 'luxon';
+
+// Minimal RFC 5545 reader: unfolds lines, splits properties and parameters,
+// and turns VEVENTs into plain objects with luxon DateTimes.
+
+// Zone names Outlook/Exchange exports use instead of IANA ids
+const WINDOWS_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'India Standard Time': 'Asia/Kolkata',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+};
+
+function unfold(text) {
+  return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+// "DTSTART;TZID=Europe/Berlin:20241125T090000" ->
+// { name: 'DTSTART', params: { TZID: 'Europe/Berlin' }, value: '20241125T090000' }
+export function parseProperty(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = Object.fromEntries(
+    rawParams.map(param => {
+      const [key, ...value] = param.split('=');
+      return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+    })
+  );
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+export function resolveZone(tzid, fallback) {
+  if (!tzid) return fallback;
+  const zone = WINDOWS_ZONES[tzid] || tzid.replace(/^\//, '');
+  return DateTime.local().setZone(zone).isValid ? zone : fallback;
+}
+
+// One DATE or DATE-TIME value. Floating times are read in `timezone`.
+export function parseDateValue(value, params = {}, timezone = 'UTC') {
+  const isDate = params.VALUE === 'DATE' || /^\d{8}$/.test(value);
+  if (isDate) {
+    return {
+      date: DateTime.fromFormat(value, 'yyyyMMdd', { zone: timezone }),
+      allDay: true,
+    };
+  }
+
+  const utc = value.endsWith('Z');
+  const zone = utc ? 'UTC' : resolveZone(params.TZID, timezone);
+  return {
+    date: DateTime.fromFormat(value.replace(/Z$/, ''), "yyyyMMdd'T'HHmmss", { zone }),
+    allDay: false,
+  };
+}
+
+// Comma-separated lists are allowed in EXDATE/RDATE
+function parseDateList(property, timezone) {
+  return property.value
+    .split(',')
+    .map(value => parseDateValue(value, property.params, timezone).date)
+    .filter(date => date.isValid);
+}
+
+export function parseRRule(value) {
+  const rule = Object.fromEntries(
+    value.split(';').filter(Boolean).map(part => {
+      const [key, val] = part.split('=');
+      return [key.toUpperCase(), val];
+    })
+  );
+  return {
+    freq: rule.FREQ,
+    interval: Number(rule.INTERVAL) || 1,
+    count: rule.COUNT ? Number(rule.COUNT) : null,
+    until: rule.UNTIL ?? null,
+    byDay: rule.BYDAY ? rule.BYDAY.split(',') : null,
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null,
+    byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : null,
+    bySetPos: rule.BYSETPOS ? rule.BYSETPOS.split(',').map(Number) : null,
+  };
+}
+
+function toEvent(properties, timezone) {
+  const get = name => properties.find(property => property.name === name);
+  const dtstart = get('DTSTART');
+  if (!dtstart) return null;
+
+  const start = parseDateValue(dtstart.value, dtstart.params, timezone);
+  if (!start.date.isValid) return null;
+
+  let durationMs;
+  const dtend = get('DTEND');
+  const duration = get('DURATION');
+  if (dtend) {
+    durationMs = parseDateValue(dtend.value, dtend.params, timezone).date.toMillis() - start.date.toMillis();
+  } else if (duration) {
+    durationMs = Duration.fromISO(duration.value.replace(/^\+/, '')).toMillis();
+  } else {
+    // RFC 5545: all-day events without an end last one day; timed ones are instants
+    durationMs = start.allDay ? 24 * 60 * 60 * 1000 : 0;
+  }
+
+  const recurrenceId = get('RECURRENCE-ID');
+  return {
+    uid: get('UID')?.value,
+    start: start.date,
+    allDay: start.allDay,
+    durationMs: Number.isFinite(durationMs) ? durationMs : 0,
+    rrule: get('RRULE') ? parseRRule(get('RRULE').value) : null,
+    exdates: properties
+      .filter(property => property.name === 'EXDATE')
+      .flatMap(property => parseDateList(property, timezone)),
+    rdates: properties
+      .filter(property => property.name === 'RDATE' && property.params.VALUE !== 'PERIOD')
+      .flatMap(property => parseDateList(property, timezone)),
+    recurrenceId: recurrenceId
+      ? parseDateValue(recurrenceId.value, recurrenceId.params, timezone).date
+      : null,
+    transparent: get('TRANSP')?.value.toUpperCase() === 'TRANSPARENT',
+    cancelled: get('STATUS')?.value.toUpperCase() === 'CANCELLED',
+  };
+}
+
+// All VEVENTs in a calendar. `timezone` is used for floating times.
+export function parseEvents(text, { timezone = 'UTC' } = {}) {
+  const events = [];
+  const stack = [];
+  let properties = null;
+
+  for (const line of unfold(text)) {
+    if (!line.trim()) continue;
+    const property = parseProperty(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') properties = [];
+    } else if (property.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && properties) {
+        const event = toEvent(properties, timezone);
+        if (event) events.push(event);
+        properties = null;
+      }
+    } else if (properties && stack[stack.length - 1] === 'VEVENT') {
+      properties.push(property);
+    }
+  }
+
+  return events;
+}
@@ -0,0 +1,138 @@
+import { parseDateValue } from './parse';
+
+// Expands RRULEs for FREQ=DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT,
+// UNTIL, BYDAY (with ordinals for monthly/yearly), BYMONTHDAY, BYMONTH and
+// BYSETPOS. Other frequencies are treated as a single occurrence.
+
+const WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+
+// Safety net for rules without COUNT/UNTIL that start long before the window
+const MAX_PERIODS = 20000;
+
+function parseByDay(entry) {
+  const match = /^([+-]?\d+)?(MO|TU|WE|TH|FR|SA|SU)$/.exec(entry.toUpperCase());
+  return match ? { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAYS[match[2]] } : null;
+}
+
+function atStartTime(day, dtstart) {
+  return day.set({ hour: dtstart.hour, minute: dtstart.minute, second: dtstart.second, millisecond: 0 });
+}
+
+// Days of one month picked by BYMONTHDAY and/or BYDAY, or DTSTART's day
+function monthDays(month, rule, dtstart) {
+  const daysInMonth = month.daysInMonth;
+  const allDays = Array.from({ length: daysInMonth }, (_, i) => month.set({ day: i + 1 }));
+  const byDay = (rule.byDay || []).map(parseByDay).filter(Boolean);
+
+  let days;
+  if (rule.byMonthDay) {
+    const wanted = rule.byMonthDay.map(day => (day > 0 ? day : daysInMonth + day + 1));
+    days = allDays.filter(day => wanted.includes(day.day));
+    if (byDay.length > 0) {
+      days = days.filter(day => byDay.some(entry => entry.weekday === day.weekday));
+    }
+  } else if (byDay.length > 0) {
+    days = byDay.flatMap(entry => {
+      const matching = allDays.filter(day => day.weekday === entry.weekday);
+      if (entry.ordinal === null) return matching;
+      const picked = entry.ordinal > 0 ? matching[entry.ordinal - 1] : matching[matching.length + entry.ordinal];
+      return picked ? [picked] : [];
+    });
+  } else {
+    days = dtstart.day <= daysInMonth ? [month.set({ day: dtstart.day })] : [];
+  }
+  return days;
+}
+
+// Candidate starts for the k-th period of the rule, in order
+function periodCandidates(rule, dtstart, k) {
+  const step = k * rule.interval;
+  let days;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = dtstart.startOf('day').plus({ days: step });
+      const byDay = (rule.byDay || []).map(parseByDay).filter(Boolean);
+      const keep = (!rule.byMonth || rule.byMonth.includes(day.month)) &&
+        (!rule.byMonthDay || rule.byMonthDay.includes(day.day)) &&
+        (byDay.length === 0 || byDay.some(entry => entry.weekday === day.weekday));
+      days = keep ? [day] : [];
+      break;
+    }
+    case 'WEEKLY': {
+      const week = dtstart.startOf('week').plus({ weeks: step });
+      const weekdays = rule.byDay
+        ? rule.byDay.map(parseByDay).filter(Boolean).map(entry => entry.weekday)
+        : [dtstart.weekday];
+      days = [...new Set(weekdays)]
+        .sort((a, b) => a - b)
+        .map(weekday => week.plus({ days: weekday - 1 }))
+        .filter(day => !rule.byMonth || rule.byMonth.includes(day.month));
+      break;
+    }
+    case 'MONTHLY': {
+      const month = dtstart.startOf('month').plus({ months: step });
+      days = !rule.byMonth || rule.byMonth.includes(month.month) ? monthDays(month, rule, dtstart) : [];
+      break;
+    }
+    case 'YEARLY': {
+      const year = dtstart.startOf('year').plus({ years: step });
+      const months = rule.byMonth || [dtstart.month];
+      days = months.flatMap(month => {
+        const monthStart = year.set({ month });
+        return rule.byMonthDay || rule.byDay
+          ? monthDays(monthStart, rule, dtstart)
+          : monthDays(monthStart, { ...rule, byDay: null }, dtstart);
+      });
+      break;
+    }
+    default:
+      return null;
+  }
+
+  let starts = days.map(day => atStartTime(day, dtstart)).sort((a, b) => a.toMillis() - b.toMillis());
+  if (rule.bySetPos) {
+    starts = rule.bySetPos
+      .map(position => (position > 0 ? starts[position - 1] : starts[starts.length + position]))
+      .filter(Boolean)
+      .sort((a, b) => a.toMillis() - b.toMillis());
+  }
+  return starts;
+}
+
+function untilMillis(rule, dtstart) {
+  if (!rule.until) return Infinity;
+  const { date, allDay } = parseDateValue(rule.until, {}, dtstart.zoneName);
+  return (allDay ? date.endOf('day') : date).toMillis();
+}
+
+// Start times (epoch ms) of every occurrence of an event that begins before
+// `timeMax`. DTSTART is always the first occurrence.
+export function occurrenceStarts(event, timeMax) {
+  const dtstart = event.start;
+  const starts = [dtstart.toMillis()];
+  const rule = event.rrule;
+
+  if (rule && periodCandidates(rule, dtstart, 0) !== null) {
+    const until = untilMillis(rule, dtstart);
+    let emitted = 1;
+
+    outer:
+    for (let k = 0; k < MAX_PERIODS; k++) {
+      for (const candidate of periodCandidates(rule, dtstart, k)) {
+        const time = candidate.toMillis();
+        if (time <= dtstart.toMillis()) continue;
+        if (time > until || time >= timeMax || (rule.count && emitted >= rule.count)) break outer;
+        starts.push(time);
+        emitted++;
+      }
+    }
+  }
+
+  for (const rdate of event.rdates) {
+    starts.push(rdate.toMillis());
+  }
+
+  const excluded = new Set(event.exdates.map(date => date.toMillis()));
+  return [...new Set(starts)].filter(start => !excluded.has(start)).sort((a, b) => a - b);
+}
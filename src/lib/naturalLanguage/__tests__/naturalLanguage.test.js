@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import corpus from './fixtures/requests.json';
+import { parseSchedulingRequest } from '..';
+import { calendarSearchSchema } from '../../validation';
+
+// Wednesday 2024-11-20, 10:00 AM in New York
+const NOW = Date.parse('2024-11-20T15:00:00Z');
+const TIMEZONE = 'America/New_York';
+
+const parse = (text, options) => parseSchedulingRequest(text, { now: NOW, timezone: TIMEZONE, ...options });
+
+describe('parseSchedulingRequest corpus', () => {
+  it.each(corpus)('$text', ({ text, body, unparsed }) => {
+    const result = parse(text);
+    expect(result.body).toEqual(body);
+    expect(result.unparsed).toEqual(unparsed);
+  });
+
+  it('only produces bodies the calendar API accepts', () => {
+    corpus
+      .filter(entry => entry.body.attendees.length > 0)
+      .forEach(({ text }) => {
+        const check = calendarSearchSchema.safeParse(parse(text).body);
+        expect(check.success, text).toBe(true);
+      });
+  });
+});
+
+describe('parseSchedulingRequest', () => {
+  it('lists what it understood in the order it was written', () => {
+    const { understood } = parse('45 min with alice@x.com and bob@y.com next week, afternoons, not Friday');
+
+    expect(understood).toEqual([
+      { field: 'duration', text: '45 min', description: '45 min' },
+      { field: 'attendees', text: 'alice@x.com', description: 'alice@x.com' },
+      { field: 'attendees', text: 'bob@y.com', description: 'bob@y.com' },
+      { field: 'dates', text: 'next week', description: 'Mon, Nov 25 – Sun, Dec 1' },
+      { field: 'timeOfDay', text: 'afternoons', description: '12:00–17:00' },
+      { field: 'weekdays', text: 'not Friday', description: 'not Friday' }
+    ]);
+  });
+
+  it('keeps the first duration, dates and time of day and reports the rest', () => {
+    const result = parse('1 hour tomorrow after 2pm, or 30 min next week in the morning');
+
+    expect(result.body).toMatchObject({
+      duration: 60,
+      startDate: '2024-11-21',
+      preferences: { workingHours: { start: 14, end: 17 } }
+    });
+    expect(result.unparsed).toEqual(['30 min', 'next week', 'in the morning']);
+    expect(result.understood.map(part => part.text)).toEqual(['1 hour', 'tomorrow', 'after 2pm']);
+  });
+
+  it('counts days in the given time zone', () => {
+    // 10 PM on Wednesday in New York is already Thursday in UTC
+    const now = Date.parse('2024-11-21T03:00:00Z');
+
+    expect(parse('tomorrow', { now }).body.startDate).toBe('2024-11-21');
+    expect(parse('tomorrow', { now, timezone: 'UTC' }).body.startDate).toBe('2024-11-22');
+  });
+
+  it('counts days and weeks from today', () => {
+    expect(parse('in 3 days').understood).toEqual([{ field: 'dates', text: 'in 3 days', description: 'Sat, Nov 23' }]);
+    expect(parse("in 10 days' time").body).toMatchObject({ startDate: '2024-11-30', endDate: '2024-11-30' });
+    // The week that day falls in
+    expect(parse('in 2 weeks').body).toMatchObject({ startDate: '2024-12-02', endDate: '2024-12-08' });
+  });
+
+  it('reads a day of the month as the next one', () => {
+    expect(parse('on the 20th').body).toMatchObject({ startDate: '2024-11-20', endDate: '2024-11-20' });
+    expect(parse('on the 5th').body).toMatchObject({ startDate: '2024-12-05', endDate: '2024-12-05' });
+    // November has no 31st
+    expect(parse('on the 31st').body).toMatchObject({ startDate: '2024-12-31' });
+    expect(parse('the 5th of January').body).toMatchObject({ startDate: '2025-01-05' });
+    expect(parse('on the 32nd').unparsed).toEqual(['32nd']);
+  });
+
+  it('fits a start time to the meeting length', () => {
+    expect(parse('90 min at 2pm').body.preferences.workingHours).toEqual({ start: 14, end: 15.5 });
+    expect(parse('at 2pm').body.preferences.workingHours).toEqual({ start: 14, end: 14.5 });
+  });
+
+  it('leaves out everything the text does not mention', () => {
+    expect(parse('')).toEqual({ body: { attendees: [], preferences: {} }, understood: [], unparsed: [] });
+    expect(parse('please find a time to meet')).toEqual({ body: { attendees: [], preferences: {} }, understood: [], unparsed: [] });
+  });
+});
@@ -0,0 +1,454 @@
+import { DateTime } from 'luxon';
+
+// Rule-based parser for typed scheduling requests such as
+//   "45 min with alice@x.com and bob@y.com next week, afternoons, not Friday"
+// Runs offline and gives the same answer for the same text, date and time
+// zone. Each rule claims the part of the text it understood; whatever is
+// left, minus filler words, is reported back as not understood.
+
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const WORKDAYS = [1, 2, 3, 4, 5];
+
+// Parts of a request that can only have one value
+const SINGLE_FIELDS = ['duration', 'dates', 'timeOfDay'];
+const DEFAULT_DAY = { start: 9, end: 17 };
+
+// Named parts of the day, as [start, end) hours
+const DAY_PARTS = {
+  'early morning': { start: 8, end: 10 },
+  morning: { start: 9, end: 12 },
+  'late morning': { start: 10, end: 12 },
+  lunch: { start: 12, end: 14 },
+  'early afternoon': { start: 12, end: 15 },
+  afternoon: { start: 12, end: 17 },
+  'late afternoon': { start: 15, end: 17 },
+  evening: { start: 17, end: 20 },
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45, sixty: 60, ninety: 90,
+};
+
+// Words that carry no scheduling information on their own
+const FILLER = new Set([
+  'a', 'an', 'the', 'with', 'and', 'or', 'for', 'on', 'in', 'at', 'of', 'to', 'me', 'us', 'my', 'our', 'i', 'we',
+  'please', 'can', 'could', 'you', 'find', 'book', 'schedule', 'set', 'up', 'need', 'want', 'would', 'like',
+  "let's", 'lets', 'some', 'sometime', 'time', 'times', 'slot', 'slots', 'meeting', 'meetings', 'meet', 'call',
+  'sync', 'chat', 'catch-up', 'catchup', 'check-in', '1:1', '1-on-1', 'one-on-one', 'about', 'around', 'any', 'only', 'during',
+  'between', 'from', '-', '–', '&', '+', '/',
+]);
+
+// Spelled-out numbers need a space or hyphen after them, so "am" isn't "a m(inute)"
+const NUMBER_WORD = `(?:forty[- ]five|${Object.keys(NUMBER_WORDS).filter(word => word !== 'forty-five').sort((a, b) => b.length - a.length).join('|')})(?=[\\s-])`;
+const NUMBER = `\\d+(?:\\.\\d+)?|${NUMBER_WORD}`;
+const WEEKDAY = '(?:mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)s?';
+const WEEKDAY_LIST = `${WEEKDAY}(?:\\s*(?:,|/|&|\\band\\b|\\bor\\b|\\bnor\\b)\\s*${WEEKDAY})*`;
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DAY_OF_MONTH = '\\d{1,2}(?:st|nd|rd|th)?';
+// "the 5th" alone is the next 5th; "the 5th of December" is left to the full form
+const ORDINAL_DAY = `(?:the\\s+)?\\d{1,2}(?:st|nd|rd|th)\\b(?!\\s+(?:of\\s+)?${MONTH})`;
+const DATE = `(?:\\d{4}-\\d{2}-\\d{2}|${MONTH}\\.?\\s+${DAY_OF_MONTH}(?:,?\\s+\\d{4})?|${DAY_OF_MONTH}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+\\d{4})?|${ORDINAL_DAY})`;
+const TIME = '(?:noon|midday|midnight|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?)';
+const RANGE_SEPARATOR = '\\s*(?:-|–|\\bto\\b|\\buntil\\b|\\btill\\b|\\bthrough\\b|\\bthru\\b|\\band\\b)\\s*';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_KEYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+function pattern(source) {
+  return new RegExp(source, 'gi');
+}
+
+function parseNumber(text) {
+  const word = text.toLowerCase().replace(' ', '-');
+  return word in NUMBER_WORDS ? NUMBER_WORDS[word] : Number(text);
+}
+
+function weekdayNumber(name) {
+  return WEEKDAY_KEYS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+function weekdaysIn(text) {
+  const days = (text.match(pattern(WEEKDAY)) || []).map(weekdayNumber);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+function formatHour(hours) {
+  const minutes = Math.round(hours * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function formatDay(date) {
+  return date.toFormat('ccc, LLL d');
+}
+
+function formatDays(days) {
+  return days.map(day => WEEKDAY_NAMES[day - 1]).join(', ');
+}
+
+// Hours as a number (13.5 = 1:30 PM). Without am/pm, 1–7 are taken as
+// afternoon times ("between 10 and 3").
+function parseTime(text) {
+  const value = text.trim().toLowerCase();
+  if (value === 'noon' || value === 'midday') return 12;
+  if (value === 'midnight') return 0;
+
+  const [, hourText, minuteText, meridiem] = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  let hour = Number(hourText);
+  const minutes = minuteText ? Number(minuteText) : 0;
+  if (hour > 24 || minutes > 59) return null;
+  if (meridiem) {
+    if (hour > 12 || hour === 0) return null;
+    if (meridiem.startsWith('p') && hour < 12) hour += 12;
+    if (meridiem.startsWith('a') && hour === 12) hour = 0;
+  } else if (hour >= 1 && hour <= 7) {
+    hour += 12;
+  }
+  return hour + minutes / 60;
+}
+
+function hasMeridiem(text) {
+  return /am|pm|a\.m\.|p\.m\.|:|noon|midday|midnight/i.test(text);
+}
+
+// The next `day` of a month on or after today, skipping months too short
+// to have it
+function nextDayOfMonth(day, today) {
+  if (day < 1 || day > 31) return null;
+  for (let month = today.startOf('month'); ; month = month.plus({ months: 1 })) {
+    if (day <= month.daysInMonth && month.set({ day }) >= today) return month.set({ day });
+  }
+}
+
+// ISO, month-name or day-of-month ("the 5th") dates. A date without a year
+// is the next one on or after today.
+function parseDate(text, today) {
+  const value = text.trim().toLowerCase().replace(/,/g, '');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = DateTime.fromISO(value, { zone: today.zone });
+    return date.isValid ? date : null;
+  }
+  const ordinal = value.match(/^(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)$/);
+  if (ordinal) return nextDayOfMonth(Number(ordinal[1]), today);
+
+  const monthName = value.match(new RegExp(MONTH))[0];
+  const month = MONTHS.indexOf(monthName.slice(0, 3)) + 1;
+  const day = Number(value.replace(monthName, '').match(/\d{1,2}/)[0]);
+  const year = value.match(/\d{4}/)?.[0];
+
+  const date = DateTime.fromObject({ year: year ? Number(year) : today.year, month, day }, { zone: today.zone });
+  if (!date.isValid) return null;
+  return !year && date < today ? date.plus({ years: 1 }) : date;
+}
+
+// The first `weekday` on or after `from`
+function nextWeekday(from, weekday) {
+  return from.plus({ days: (weekday - from.weekday + 7) % 7 });
+}
+
+// Replaces claimed text with a marker, so later rules can't match it again
+// and the leftovers can be split into fragments
+const CLAIMED = '\u0001';
+
+function createScanner(text) {
+  let masked = text;
+
+  return {
+    // Where the match being handled starts
+    position: 0,
+
+    // Calls `handler(match)` for each match; a handler returning false
+    // leaves its text unclaimed
+    claim(source, handler) {
+      for (const match of masked.matchAll(pattern(source))) {
+        this.position = match.index;
+        if (handler(match) === false) continue;
+        masked = masked.slice(0, match.index) + CLAIMED.repeat(match[0].length) + masked.slice(match.index + match[0].length);
+      }
+    },
+
+    // Unclaimed fragments as { text, position }, filler words trimmed off
+    leftovers() {
+      const isFiller = word => FILLER.has(word.toLowerCase().replace(/^["']|["':]$/g, ''));
+      return [...masked.matchAll(new RegExp(`[^${CLAIMED},;.!?()\\n]+`, 'g'))]
+        .map(fragment => {
+          const words = fragment[0].trim().split(/\s+/).filter(Boolean);
+          while (words.length && isFiller(words[0])) words.shift();
+          while (words.length && isFiller(words[words.length - 1])) words.pop();
+          return { text: words.join(' '), position: fragment.index };
+        })
+        .filter(fragment => fragment.text);
+    },
+  };
+}
+
+// Parses `text` into a `POST /api/calendar` body: `attendees`, `duration`,
+// `startDate`/`endDate` and `preferences.workingHours` (the time-of-day
+// window) and `preferences.excludedWeekdays`. Only what the text mentions is
+// set. `understood` lists each recognized part as { field, text,
+// description }; `unparsed` the fragments that weren't.
+export function parseSchedulingRequest(text, { now = Date.now(), timezone } = {}) {
+  const today = DateTime.fromMillis(now, { zone: timezone }).startOf('day');
+  const scanner = createScanner(text);
+  // Everything recognized, as { field, text, description, position, value }
+  const found = [];
+  const attendees = [];
+  const excluded = new Set();
+  const wanted = new Set();
+
+  const note = (field, match, description, value) => {
+    found.push({ field, text: match.trim(), description, position: scanner.position, value });
+  };
+
+  const setRange = (match, start, end) => {
+    if (!start || !end || end < start) return false;
+    note('dates', match, start.hasSame(end, 'day') ? formatDay(start) : `${formatDay(start)} – ${formatDay(end)}`, { start, end });
+  };
+
+  const setDuration = (match, minutes) => {
+    if (!(minutes > 0) || !Number.isInteger(minutes)) return false;
+    note('duration', match, `${minutes} min`, minutes);
+  };
+
+  const setWindow = (match, start, end) => {
+    if (start === null || end === null || !(end > start) || end > 24) return false;
+    note('timeOfDay', match, `${formatHour(start)}–${formatHour(end)}`, { start, end });
+  };
+
+  scanner.claim('[a-z0-9._%+\'-]+@[a-z0-9.-]+\\.[a-z]{2,}', ([email]) => {
+    const address = email.toLowerCase();
+    if (!attendees.includes(address)) {
+      attendees.push(address);
+      note('attendees', email, address);
+    }
+  });
+
+  // Dates
+  scanner.claim(`\\b(?:(?:between|from)\\s+)?(${DATE})${RANGE_SEPARATOR}(${DATE})`, ([match, start, end]) =>
+    setRange(match, parseDate(start, today), parseDate(end, today))
+  );
+  scanner.claim(`\\b(${MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\s*(?:-|–)\\s*(\\d{1,2})(?:st|nd|rd|th)?\\b`, ([match, month, startDay, endDay]) => {
+    const start = parseDate(`${month} ${startDay}`, today);
+    return setRange(match, start, start && parseDate(`${month} ${endDay}`, start));
+  });
+  scanner.claim(`\\b(?:(by|before|until|till|through|after|from|starting|on)\\s+)?(${DATE})\\b`, ([match, word, dateText]) => {
+    const date = parseDate(dateText, today);
+    if (!date) return false;
+    switch (word?.toLowerCase()) {
+      case 'by':
+      case 'until':
+      case 'till':
+      case 'through':
+        return setRange(match, today, date);
+      case 'before':
+        return setRange(match, today, date.minus({ days: 1 }));
+      case 'after':
+        return setRange(match, date.plus({ days: 1 }), date.plus({ days: 7 }));
+      case 'from':
+      case 'starting':
+        return setRange(match, date, date.plus({ days: 6 }));
+      default:
+        return setRange(match, date, date);
+    }
+  });
+
+  // Durations
+  scanner.claim(`\\b(?:(${NUMBER})\\s+and\\s+a\\s+half\\s+hours?|(an?|one|1)\\s+hours?\\s+and\\s+a\\s+half)\\b`, ([match, hours, one]) =>
+    setDuration(match, parseNumber(hours || one) * 60 + 30)
+  );
+  scanner.claim('\\b(?:half\\s+an?\\s+hour|half[- ]hour)\\b', ([match]) => setDuration(match, 30));
+  scanner.claim('\\b(\\d+)h(\\d{1,2})m?\\b', ([match, hours, minutes]) =>
+    setDuration(match, Number(hours) * 60 + Number(minutes))
+  );
+  scanner.claim(`\\b(${NUMBER})\\s*-?\\s*(?:h|hrs?|hours?)\\b(?:\\s*(?:and\\s+)?(${NUMBER})\\s*-?\\s*(?:m|mins?|minutes?)\\b)?`, ([match, hours, minutes]) =>
+    setDuration(match, Math.round(parseNumber(hours) * 60) + (minutes ? parseNumber(minutes) : 0))
+  );
+  scanner.claim(`\\b(${NUMBER})\\s*-?\\s*(?:m|mins?|minutes?)\\b`, ([match, minutes]) =>
+    setDuration(match, parseNumber(minutes))
+  );
+
+  // Time of day
+  scanner.claim(`\\b(?:not\\s+before|(?:no|not)\\s+earlier\\s+than)\\s+(${TIME})`, ([match, time]) => {
+    const start = parseTime(time);
+    return setWindow(match, start, start < DEFAULT_DAY.end ? DEFAULT_DAY.end : 24);
+  });
+  scanner.claim(`\\b(?:not\\s+after|(?:no|not)\\s+later\\s+than)\\s+(${TIME})`, ([match, time]) => {
+    const end = parseTime(time);
+    return setWindow(match, end > DEFAULT_DAY.start ? DEFAULT_DAY.start : 0, end);
+  });
+  scanner.claim(`\\b(?:between|from)\\s+(${TIME})${RANGE_SEPARATOR}(${TIME})`, ([match, start, end]) => {
+    const endHour = parseTime(end);
+    // "from 11 to 1" ends at 1 PM
+    const startHour = parseTime(start);
+    return setWindow(match, startHour !== null && !hasMeridiem(start) && startHour > endHour ? startHour - 12 : startHour, endHour);
+  });
+  scanner.claim(`\\b(${TIME})\\s*(?:-|–|\\bto\\b|\\buntil\\b|\\btill\\b)\\s*(${TIME})`, ([match, start, end]) => {
+    if (!hasMeridiem(start) && !hasMeridiem(end)) return false;
+    const startHour = parseTime(start);
+    const endHour = parseTime(end);
+    // "10-11am"
+    if (startHour !== null && !hasMeridiem(start) && startHour > endHour) return setWindow(match, startHour - 12, endHour);
+    return setWindow(match, startHour, endHour);
+  });
+  scanner.claim(`\\b(?:after|from|starting(?:\\s+at)?)\\s+(${TIME})`, ([match, time]) => {
+    const start = parseTime(time);
+    return setWindow(match, start, start < DEFAULT_DAY.end ? DEFAULT_DAY.end : 24);
+  });
+  scanner.claim(`\\b(?:before|until|till|by)\\s+(${TIME})`, ([match, time]) => {
+    const end = parseTime(time);
+    return setWindow(match, end > DEFAULT_DAY.start ? DEFAULT_DAY.start : 0, end);
+  });
+  scanner.claim(`\\bat\\s+(${TIME})`, ([match, time]) => {
+    const start = parseTime(time);
+    if (start === null) return false;
+    note('timeOfDay', match, `starting ${formatHour(start)}`, { startsAt: start });
+  });
+  scanner.claim('\\bthis\\s+(morning|afternoon|evening)\\b', ([match, part]) => {
+    const hours = DAY_PARTS[part.toLowerCase()];
+    setRange(match, today, today);
+    setWindow(match, hours.start, hours.end);
+  });
+  scanner.claim('\\b(after|before)\\s+lunch(?:time)?\\b', ([match, word]) =>
+    word.toLowerCase() === 'after'
+      ? setWindow(match, DAY_PARTS.lunch.end, DEFAULT_DAY.end)
+      : setWindow(match, DEFAULT_DAY.start, DAY_PARTS.lunch.start)
+  );
+  scanner.claim('\\b(?:(?:in|during)\\s+the\\s+)?(?:(early|late)\\s+)?(morning|afternoon|evening)s?\\b', ([match, modifier, part]) => {
+    const hours = DAY_PARTS[modifier ? `${modifier.toLowerCase()} ${part.toLowerCase()}` : part.toLowerCase()];
+    return hours ? setWindow(match, hours.start, hours.end) : false;
+  });
+  scanner.claim('\\b(?:(?:around|at|over|during)\\s+)?(?:lunch(?:time)?|noon|midday)\\b', ([match]) =>
+    setWindow(match, DAY_PARTS.lunch.start, DAY_PARTS.lunch.end)
+  );
+
+  // Relative dates
+  const endOfWeek = today.endOf('week').startOf('day');
+  scanner.claim('\\b(?:the\\s+)?day\\s+after\\s+tomorrow\\b', ([match]) => setRange(match, today.plus({ days: 2 }), today.plus({ days: 2 })));
+  scanner.claim('\\btoday\\b', ([match]) => setRange(match, today, today));
+  scanner.claim('\\btomorrow\\b', ([match]) => setRange(match, today.plus({ days: 1 }), today.plus({ days: 1 })));
+  scanner.claim('\\b(?:(?:by|before)\\s+(?:the\\s+)?end\\s+of\\s+(?:the\\s+|this\\s+)?week|by\\s+eow)\\b', ([match]) =>
+    setRange(match, today, nextWeekday(today, 5))
+  );
+  scanner.claim('\\b(?:by|before)\\s+(?:the\\s+)?end\\s+of\\s+(?:the\\s+|this\\s+)?month\\b', ([match]) =>
+    setRange(match, today, today.endOf('month').startOf('day'))
+  );
+  scanner.claim('\\b(?:(?:later\\s+)?this|the\\s+rest\\s+of\\s+(?:the|this))\\s+week\\b', ([match]) => setRange(match, today, endOfWeek));
+  scanner.claim('\\b(?:the\\s+)?week\\s+after\\s+next\\b', ([match]) => {
+    const monday = today.startOf('week').plus({ weeks: 2 });
+    return setRange(match, monday, monday.plus({ days: 6 }));
+  });
+  scanner.claim('\\bnext\\s+week\\b', ([match]) => {
+    const monday = today.startOf('week').plus({ weeks: 1 });
+    return setRange(match, monday, monday.plus({ days: 6 }));
+  });
+  scanner.claim('\\b(?:(?:later\\s+)?this|the\\s+rest\\s+of\\s+(?:the|this))\\s+month\\b', ([match]) =>
+    setRange(match, today, today.endOf('month').startOf('day'))
+  );
+  scanner.claim('\\bnext\\s+month\\b', ([match]) => {
+    const first = today.startOf('month').plus({ months: 1 });
+    return setRange(match, first, first.endOf('month').startOf('day'));
+  });
+  // "in 3 days" is that day; "in two weeks" is the Monday-to-Sunday week
+  // that day falls in
+  scanner.claim(`\\b(?:in\\s+(${NUMBER})\\s+(days?|weeks?)(?:'?\\s+time)?|(${NUMBER})\\s+(days?|weeks?)\\s+(?:from\\s+(?:now|today)|later))\\b`, ([match, inCount, inUnit, fromCount, fromUnit]) => {
+    const count = parseNumber(inCount || fromCount);
+    if (!Number.isInteger(count) || count < 1) return false;
+    if ((inUnit || fromUnit).toLowerCase().startsWith('day')) {
+      const day = today.plus({ days: count });
+      return setRange(match, day, day);
+    }
+    const monday = today.plus({ weeks: count }).startOf('week');
+    return setRange(match, monday, monday.plus({ days: 6 }));
+  });
+  scanner.claim(`\\b(?:within|(?:(?:in|over)\\s+)?the\\s+next|next)\\s+(${NUMBER})\\s+(days?|weeks?)\\b`, ([match, count, unit]) => {
+    const days = parseNumber(count) * (unit.toLowerCase().startsWith('week') ? 7 : 1);
+    if (!Number.isInteger(days) || days < 1) return false;
+    return setRange(match, today, today.plus({ days: days - 1 }));
+  });
+  scanner.claim(`\\b(by|before)\\s+(?:next\\s+|this\\s+)?(${WEEKDAY})\\b`, ([match, word, day]) => {
+    const weekday = weekdayNumber(day);
+    return word.toLowerCase() === 'by'
+      ? setRange(match, today, nextWeekday(today, weekday))
+      : setRange(match, today, nextWeekday(today.plus({ days: 1 }), weekday).minus({ days: 1 }));
+  });
+
+  // Weekdays
+  scanner.claim('\\b(?:(?:but\\s+)?not\\s+(?:on\\s+)?(?:the\\s+)?|no\\s+)weekends?\\b|\\bweekdays?(?:\\s+only)?\\b', ([match]) => {
+    note('weekdays', match, 'weekdays only');
+  });
+  scanner.claim(`\\b(?:(?:but\\s+)?not|no|except(?:\\s+for)?|excluding|avoid(?:ing)?|skip(?:ping)?|without|never)\\s+(?:on\\s+)?(?:a\\s+)?(${WEEKDAY_LIST})\\b`, ([match, list]) => {
+    const days = weekdaysIn(list);
+    days.forEach(day => excluded.add(day));
+    note('weekdays', match, `not ${formatDays(days)}`);
+  });
+  scanner.claim(`\\b(?:(from|starting)\\s+)?(next|this|coming)\\s+(${WEEKDAY})\\b`, ([match, onwards, word, day]) => {
+    const from = word.toLowerCase() === 'next' ? today.plus({ days: 1 }) : today;
+    const date = nextWeekday(from, weekdayNumber(day));
+    // "from next Monday" is the week starting then
+    return setRange(match, date, onwards ? date.plus({ days: 6 }) : date);
+  });
+  scanner.claim(`\\b(?:from\\s+)?(${WEEKDAY})\\s*(?:-|–|\\bto\\b|\\bthrough\\b|\\bthru\\b|\\buntil\\b)\\s*(${WEEKDAY})\\b`, ([match, first, last]) => {
+    const from = weekdayNumber(first);
+    const to = weekdayNumber(last);
+    if (to <= from) return false;
+    const days = Array.from({ length: to - from + 1 }, (_, index) => from + index).filter(day => !excluded.has(day));
+    days.forEach(day => wanted.add(day));
+    note('weekdays', match, `${WEEKDAY_NAMES[from - 1]} to ${WEEKDAY_NAMES[to - 1]} only`);
+  });
+  scanner.claim(`\\b(?:(?:on|every)\\s+)?(${WEEKDAY_LIST})\\b`, ([match, list]) => {
+    const days = weekdaysIn(list).filter(day => !excluded.has(day));
+    if (days.length === 0) return false;
+    days.forEach(day => wanted.add(day));
+    note('weekdays', match, `${formatDays(days)} only`);
+  });
+
+  // One duration, date range and time of day: the first mentioned counts,
+  // later ones are reported as not understood
+  found.sort((a, b) => a.position - b.position);
+  const ignored = found.filter((part, index) =>
+    SINGLE_FIELDS.includes(part.field) && found.findIndex(other => other.field === part.field) < index
+  );
+  const understood = found.filter(part => !ignored.includes(part));
+  const valueOf = field => understood.find(part => part.field === field)?.value;
+
+  const duration = valueOf('duration');
+  let range = valueOf('dates');
+  let window = valueOf('timeOfDay');
+  if (window?.startsAt !== undefined) {
+    window = { start: window.startsAt, end: Math.min(24, window.startsAt + (duration || 30) / 60) };
+  }
+
+  // Named weekdays without dates mean the next of each; either way, the
+  // other workdays in the range are left out
+  if (wanted.size > 0) {
+    if (!range) {
+      const dates = [...wanted].map(day => nextWeekday(today, day)).sort((a, b) => a - b);
+      range = { start: dates[0], end: dates[dates.length - 1] };
+    }
+    const rangeDays = new Set();
+    for (let date = range.start; date <= range.end && rangeDays.size < 7; date = date.plus({ days: 1 })) {
+      rangeDays.add(date.weekday);
+    }
+    WORKDAYS.filter(day => !wanted.has(day) && rangeDays.has(day)).forEach(day => excluded.add(day));
+  }
+
+  const excludedWeekdays = [...excluded].sort((a, b) => a - b);
+  const body = {
+    attendees,
+    ...(duration && { duration }),
+    ...(range && { startDate: range.start.toISODate(), endDate: range.end.toISODate() }),
+    preferences: {
+      ...(window && { workingHours: window }),
+      ...(excludedWeekdays.length > 0 && { excludedWeekdays }),
+    },
+  };
+
+  return {
+    body,
+    understood: understood.map(({ field, text: partText, description }) => ({ field, text: partText, description })),
+    unparsed: [...scanner.leftovers(), ...ignored]
+      .sort((a, b) => a.position - b.position)
+      .map(part => part.text),
+  };
+}
@@ -0,0 +1,19 @@
+// Recurring meeting patterns supported by the search and booking APIs
+
+export const RECURRENCE_FREQUENCIES = {
+  weekly: { intervalWeeks: 1 },
+  biweekly: { intervalWeeks: 2 },
+};
+
+export const MIN_OCCURRENCES = 2;
+export const MAX_OCCURRENCES = 26;
+
+export function intervalWeeks(recurrence) {
+  return RECURRENCE_FREQUENCIES[recurrence.frequency].intervalWeeks;
+}
+
+// RFC 5545 rule for Google Calendar's `recurrence` field
+export function toRRule(recurrence) {
+  const interval = intervalWeeks(recurrence);
+  return `RRULE:FREQ=WEEKLY;${interval > 1 ? `INTERVAL=${interval};` : ''}COUNT=${recurrence.occurrences}`;
+}
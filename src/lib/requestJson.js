@@ -0,0 +1,19 @@
+// fetch for the app's own JSON API from the browser. Resolves to the parsed
+// body (null for 204) and throws an Error carrying the API's message, with
+// `status` and `code` for callers that handle particular failures.
+export async function requestJson(url, options) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  if (response.status === 204) return null;
+
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.issues?.[0] ? `${data.issues[0].path}: ${data.issues[0].message}` : data.error);
+    error.status = response.status;
+    error.code = data.code;
+    throw error;
+  }
+  return data;
+}
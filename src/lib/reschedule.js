@@ -0,0 +1,73 @@
+import { ApiError } from './apiErrors';
+
+// Moving an existing Google Calendar event to a better time: its attendees,
+// length and room are read from the event, and its current slot is treated
+// as free while searching.
+
+// Accepts a bare event ID or a Google Calendar event link, whose `eid`
+// parameter is base64 of "<eventId> <calendarId>"
+export function parseEventId(input) {
+  const value = input.trim();
+  if (!/^https?:\/\//i.test(value)) return value;
+
+  let eid;
+  try {
+    eid = new URL(value).searchParams.get('eid');
+  } catch {
+    eid = null;
+  }
+  if (!eid) {
+    throw new ApiError(400, 'invalid_event_id', 'That link doesn\'t point to a calendar event.');
+  }
+  return Buffer.from(eid, 'base64url').toString('utf8').split(' ')[0];
+}
+
+// What the search and the UI need from a googleapis event resource. Throws
+// for events that can't be moved this way.
+export function rescheduleDetails(event) {
+  if (!event.start?.dateTime || !event.end?.dateTime) {
+    throw new ApiError(400, 'all_day_event', 'All-day events can\'t be rescheduled here.');
+  }
+  if (event.recurrence) {
+    throw new ApiError(
+      400,
+      'recurring_series',
+      'This is a whole recurring series. Open a single occurrence to reschedule it.'
+    );
+  }
+  if (!event.organizer?.self && !event.guestsCanModify) {
+    throw new ApiError(403, 'not_organizer', 'Only the organizer can move this event.');
+  }
+
+  const start = Date.parse(event.start.dateTime);
+  const end = Date.parse(event.end.dateTime);
+  const guests = (event.attendees || []).filter(attendee => !attendee.self && !attendee.organizer);
+  const room = guests.find(attendee => attendee.resource);
+
+  return {
+    id: event.id,
+    summary: event.summary || '',
+    htmlLink: event.htmlLink,
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    timezone: event.start.timeZone,
+    durationMinutes: Math.round((end - start) / 60000),
+    attendees: guests
+      .filter(attendee => !attendee.resource)
+      .map(attendee => ({
+        email: attendee.email,
+        ...(attendee.displayName && { name: attendee.displayName }),
+        optional: Boolean(attendee.optional)
+      })),
+    ...(room && { room: { email: room.email, ...(room.displayName && { name: room.displayName }) } })
+  };
+}
+
+// Body for events.patch moving the event to `slot`, keeping its timezone
+export function movePatch(details, slot, timezone) {
+  const timeZone = details.timezone || timezone;
+  return {
+    start: { dateTime: slot.start, ...(timeZone && { timeZone }) },
+    end: { dateTime: slot.end, ...(timeZone && { timeZone }) }
+  };
+}
@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HISTORY_LIMIT,
+  createPreset,
+  deletePreset,
+  deleteSearch,
+  listPresets,
+  listSearches,
+  markSearchBooked,
+  recordSearch,
+  updatePreset
+} from '..';
+import { describeAttendees, describeSettings, formatDuration, presetFromSearch } from '../summary';
+import { createMemoryStore } from '../../storage';
+import { searchPresetSchema } from '../../validation';
+
+const NOW = Date.parse('2024-11-25T14:00:00Z');
+const ME = 'me@example.com';
+
+const SEARCH = {
+  attendees: [
+    'alice@example.com',
+    {
+      email: 'bob@example.com',
+      timezone: 'Europe/London',
+      ics: { text: 'BEGIN:VCALENDAR\nEND:VCALENDAR' }
+    },
+    { email: 'carol@example.com', ics: { url: 'https://example.com/carol.ics' } }
+  ],
+  searchRange: 'week',
+  duration: 30,
+  maxResults: 5,
+  mode: 'suggestions',
+  preferences: {
+    timezone: 'America/New_York',
+    noFridays: true,
+    buffers: { beforeMinutes: 0, afterMinutes: 10 }
+  }
+};
+
+describe('recordSearch', () => {
+  it('keeps the search without pasted calendar files', async () => {
+    const store = createMemoryStore();
+    const entry = await recordSearch(store, { ownerEmail: ME, search: SEARCH, resultCount: 4, now: NOW });
+
+    expect(entry).toMatchObject({ resultCount: 4, booked: null, createdAt: '2024-11-25T14:00:00.000Z' });
+    expect(entry.ownerEmail).toBeUndefined();
+    expect(entry.search.attendees).toEqual([
+      'alice@example.com',
+      { email: 'bob@example.com', timezone: 'Europe/London' },
+      { email: 'carol@example.com', ics: { url: 'https://example.com/carol.ics' } }
+    ]);
+    expect(await listSearches(store, ME)).toEqual([entry]);
+    expect(await listSearches(store, 'someone@example.com')).toEqual([]);
+  });
+
+  it('drops the oldest searches past the limit, per user', async () => {
+    const store = createMemoryStore();
+    await recordSearch(store, { ownerEmail: 'other@example.com', search: SEARCH, resultCount: 1, now: NOW - 1000 });
+    for (let index = 0; index < HISTORY_LIMIT + 2; index++) {
+      await recordSearch(store, { ownerEmail: ME, search: { ...SEARCH, maxResults: index + 1 }, resultCount: 1, now: NOW + index * 1000 });
+    }
+
+    const searches = await listSearches(store, ME);
+    expect(searches).toHaveLength(HISTORY_LIMIT);
+    expect(searches[0].search.maxResults).toBe(HISTORY_LIMIT + 2);
+    expect(searches[HISTORY_LIMIT - 1].search.maxResults).toBe(3);
+    expect(await listSearches(store, 'other@example.com')).toHaveLength(1);
+  });
+});
+
+describe('markSearchBooked', () => {
+  const slot = { start: '2024-11-26T15:00:00Z', end: '2024-11-26T15:30:00Z' };
+
+  it('notes the booked slot', async () => {
+    const store = createMemoryStore();
+    const { id } = await recordSearch(store, { ownerEmail: ME, search: SEARCH, resultCount: 4, now: NOW });
+
+    const entry = await markSearchBooked(store, id, { ownerEmail: ME, slot, htmlLink: 'https://calendar/e1', now: NOW + 60000 });
+
+    expect(entry.booked).toEqual({ ...slot, htmlLink: 'https://calendar/e1', bookedAt: '2024-11-25T14:01:00.000Z' });
+    expect((await listSearches(store, ME))[0].booked).toEqual(entry.booked);
+  });
+
+  it("leaves other users' searches alone", async () => {
+    const store = createMemoryStore();
+    const { id } = await recordSearch(store, { ownerEmail: ME, search: SEARCH, resultCount: 4, now: NOW });
+
+    await expect(markSearchBooked(store, id, { ownerEmail: 'mallory@example.com', slot, htmlLink: 'x' }))
+      .rejects.toMatchObject({ status: 404, code: 'search_not_found' });
+    await expect(markSearchBooked(store, 'missing', { ownerEmail: ME, slot, htmlLink: 'x' }))
+      .rejects.toMatchObject({ code: 'search_not_found' });
+    expect((await listSearches(store, ME))[0].booked).toBeNull();
+  });
+});
+
+describe('deleteSearch', () => {
+  it('only removes the owner’s searches', async () => {
+    const store = createMemoryStore();
+    const { id } = await recordSearch(store, { ownerEmail: ME, search: SEARCH, resultCount: 4, now: NOW });
+
+    await expect(deleteSearch(store, id, { ownerEmail: 'mallory@example.com' }))
+      .rejects.toMatchObject({ status: 404 });
+    await deleteSearch(store, id, { ownerEmail: ME });
+    expect(await listSearches(store, ME)).toEqual([]);
+  });
+});
+
+describe('presets', () => {
+  const preset = { name: '30-min 1:1, no Fridays', settings: { duration: 30, preferences: { noFridays: true } } };
+
+  it('creates, renames and deletes a preset', async () => {
+    const store = createMemoryStore();
+    const created = await createPreset(store, { ownerEmail: ME, preset, now: NOW });
+    expect(created).toMatchObject({ ...preset, createdAt: '2024-11-25T14:00:00.000Z' });
+
+    const updated = await updatePreset(store, created.id, { ownerEmail: ME, changes: { name: '1:1' }, now: NOW + 1000 });
+    expect(updated).toMatchObject({ name: '1:1', settings: preset.settings, updatedAt: '2024-11-25T14:00:01.000Z' });
+    expect(await listPresets(store, ME)).toEqual([updated]);
+
+    await deletePreset(store, created.id, { ownerEmail: ME });
+    expect(await listPresets(store, ME)).toEqual([]);
+  });
+
+  it("can't change or see other users' presets", async () => {
+    const store = createMemoryStore();
+    const { id } = await createPreset(store, { ownerEmail: ME, preset, now: NOW });
+
+    expect(await listPresets(store, 'mallory@example.com')).toEqual([]);
+    await expect(updatePreset(store, id, { ownerEmail: 'mallory@example.com', changes: { name: 'x' } }))
+      .rejects.toMatchObject({ status: 404, code: 'preset_not_found' });
+    await expect(deletePreset(store, id, { ownerEmail: 'mallory@example.com' }))
+      .rejects.toMatchObject({ code: 'preset_not_found' });
+    expect((await listPresets(store, ME))[0].name).toBe(preset.name);
+  });
+});
+
+describe('searchPresetSchema', () => {
+  it('accepts partial settings', () => {
+    const parsed = searchPresetSchema.parse({ name: ' Mornings ', settings: { preferences: { noFridays: true } } });
+    expect(parsed.name).toBe('Mornings');
+  });
+
+  it('needs a name and drops attendees', () => {
+    expect(searchPresetSchema.safeParse({ name: ' ', settings: {} }).success).toBe(false);
+    const parsed = searchPresetSchema.parse({ name: 'x', settings: { duration: 30, attendees: ['a@example.com'] } });
+    expect(parsed.settings).toEqual({ duration: 30 });
+  });
+});
+
+describe('summary helpers', () => {
+  it('formats durations', () => {
+    expect(formatDuration(45)).toBe('45 min');
+    expect(formatDuration(60)).toBe('1 h');
+    expect(formatDuration(90)).toBe('1 h 30 min');
+  });
+
+  it('describes settings and attendees', () => {
+    expect(describeSettings(SEARCH)).toEqual(['30 min', 'next week', 'no Fridays', 'buffers']);
+    expect(describeSettings({
+      duration: 60,
+      startDate: '2024-12-02',
+      endDate: '2024-12-06',
+      recurrence: { frequency: 'biweekly', occurrences: 4 },
+      rooms: [{ email: 'room@example.com' }]
+    })).toEqual(['1 h', 'Dec 2 – Dec 6', 'every 2 weeks × 4', '1 room']);
+    expect(describeSettings({
+      duration: 45,
+      preferences: { workingHours: { start: 12, end: 17.5 }, excludedWeekdays: [1, 5] }
+    })).toEqual(['45 min', '12:00–17:30', 'not Mon, Fri']);
+    expect(describeAttendees(SEARCH.attendees)).toBe('alice@example.com, bob@example.com +1');
+    expect(describeAttendees(['a@example.com'])).toBe('a@example.com');
+  });
+
+  it('turns a search into a preset without people, dates or time zone', () => {
+    expect(presetFromSearch(SEARCH)).toEqual({
+      duration: 30,
+      searchRange: 'week',
+      maxResults: 5,
+      preferences: { noFridays: true, buffers: { beforeMinutes: 0, afterMinutes: 10 } }
+    });
+    expect(presetFromSearch({ ...SEARCH, startDate: '2024-12-02', endDate: '2024-12-06' })).not.toHaveProperty('searchRange');
+  });
+});
@@ -0,0 +1,137 @@
+import { randomBytes } from 'crypto';
+import { ApiError } from '../apiErrors';
+import { storeFromSetting } from '../storage';
+
+// Per-user search history and saved presets. A history entry keeps the search
+// exactly as it was run, so it can be run again, plus the slot booked from
+// it. Presets are named sets of search settings ("30-min 1:1, mornings, no
+// Fridays"). SEARCH_HISTORY_STORE and SEARCH_PRESET_STORE take 'memory' or a
+// JSON file path.
+export const DEFAULT_HISTORY_PATH = '.data/search-history.json';
+export const DEFAULT_PRESET_PATH = '.data/search-presets.json';
+
+// Older searches are dropped once a user has this many
+export const HISTORY_LIMIT = 50;
+
+let historyStore;
+let presetStore;
+
+export function getSearchHistoryStore() {
+  if (!historyStore) {
+    historyStore = storeFromSetting(process.env.SEARCH_HISTORY_STORE, {
+      defaultPath: DEFAULT_HISTORY_PATH,
+      collection: 'searches'
+    });
+  }
+  return historyStore;
+}
+
+export function getPresetStore() {
+  if (!presetStore) {
+    presetStore = storeFromSetting(process.env.SEARCH_PRESET_STORE, {
+      defaultPath: DEFAULT_PRESET_PATH,
+      collection: 'presets'
+    });
+  }
+  return presetStore;
+}
+
+function newId() {
+  return randomBytes(9).toString('base64url');
+}
+
+function withoutOwner(record) {
+  const { ownerEmail, ...rest } = record;
+  return rest;
+}
+
+// Pasted calendar files can be large and private; feed URLs are kept
+function storedSearch(search) {
+  return {
+    ...search,
+    attendees: search.attendees.map(attendee => {
+      if (!attendee.ics?.text) return attendee;
+      const { ics, ...rest } = attendee;
+      return rest;
+    })
+  };
+}
+
+export async function listSearches(store, ownerEmail) {
+  const records = await store.list(record => record.ownerEmail === ownerEmail);
+  return records.map(withoutOwner);
+}
+
+export async function recordSearch(store, { ownerEmail, search, resultCount, now = Date.now() }) {
+  const record = await store.create({
+    id: newId(),
+    ownerEmail,
+    search: storedSearch(search),
+    resultCount,
+    booked: null,
+    createdAt: new Date(now).toISOString()
+  });
+
+  const older = (await store.list(entry => entry.ownerEmail === ownerEmail)).slice(HISTORY_LIMIT);
+  await Promise.all(older.map(entry => store.remove(entry.id)));
+
+  return withoutOwner(record);
+}
+
+// Notes which slot was booked from a search. Other users' searches are left
+// alone and reported as missing.
+export async function markSearchBooked(store, id, { ownerEmail, slot, htmlLink, now = Date.now() }) {
+  const record = await store.update(id, async search => {
+    if (search?.ownerEmail !== ownerEmail) return null;
+    search.booked = { start: slot.start, end: slot.end, htmlLink, bookedAt: new Date(now).toISOString() };
+    return search;
+  });
+  if (!record) throw new ApiError(404, 'search_not_found', 'This search is not in your history.');
+  return withoutOwner(record);
+}
+
+export async function deleteSearch(store, id, { ownerEmail }) {
+  const record = await store.get(id);
+  if (record?.ownerEmail !== ownerEmail) {
+    throw new ApiError(404, 'search_not_found', 'This search is not in your history.');
+  }
+  await store.remove(id);
+}
+
+function presetNotFound() {
+  return new ApiError(404, 'preset_not_found', 'This preset does not exist.');
+}
+
+export async function listPresets(store, ownerEmail) {
+  const records = await store.list(record => record.ownerEmail === ownerEmail);
+  return records.map(withoutOwner);
+}
+
+export async function createPreset(store, { ownerEmail, preset, now = Date.now() }) {
+  const timestamp = new Date(now).toISOString();
+  const record = await store.create({
+    id: newId(),
+    ownerEmail,
+    name: preset.name,
+    settings: preset.settings,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  });
+  return withoutOwner(record);
+}
+
+export async function updatePreset(store, id, { ownerEmail, changes, now = Date.now() }) {
+  const record = await store.update(id, async preset => {
+    if (preset?.ownerEmail !== ownerEmail) return null;
+    Object.assign(preset, changes, { updatedAt: new Date(now).toISOString() });
+    return preset;
+  });
+  if (!record) throw presetNotFound();
+  return withoutOwner(record);
+}
+
+export async function deletePreset(store, id, { ownerEmail }) {
+  const record = await store.get(id);
+  if (record?.ownerEmail !== ownerEmail) throw presetNotFound();
+  await store.remove(id);
+}
@@ -0,0 +1,75 @@
+// Client-safe helpers for showing past searches and presets, and for turning
+// a search into a preset
+
+const RANGE_LABELS = {
+  day: 'next day',
+  week: 'next week',
+  month: 'next month',
+};
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const FREQUENCY_LABELS = {
+  weekly: 'weekly',
+  biweekly: 'every 2 weeks',
+};
+
+export function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest} min`;
+  return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+}
+
+function formatHour(hours) {
+  return `${String(Math.floor(hours)).padStart(2, '0')}:${String(Math.round((hours % 1) * 60)).padStart(2, '0')}`;
+}
+
+function formatDay(date) {
+  return new Date(`${date.slice(0, 10)}T12:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+// Short phrases for the settings of a search or preset, e.g.
+// ['30 min', 'next week', 'no Fridays']
+export function describeSettings(settings) {
+  const preferences = settings.preferences || {};
+  return [
+    settings.duration && formatDuration(settings.duration),
+    settings.startDate
+      ? `${formatDay(settings.startDate)} – ${formatDay(settings.endDate || settings.startDate)}`
+      : RANGE_LABELS[settings.searchRange],
+    settings.recurrence && `${FREQUENCY_LABELS[settings.recurrence.frequency]} × ${settings.recurrence.occurrences}`,
+    settings.rooms?.length > 0 && `${settings.rooms.length} room${settings.rooms.length > 1 ? 's' : ''}`,
+    preferences.workingHours && (preferences.workingHours.start !== 9 || preferences.workingHours.end !== 17)
+      && `${formatHour(preferences.workingHours.start)}–${formatHour(preferences.workingHours.end)}`,
+    preferences.noFridays && 'no Fridays',
+    preferences.excludedWeekdays?.length > 0
+      && `not ${preferences.excludedWeekdays.map(day => WEEKDAY_LABELS[day - 1]).join(', ')}`,
+    (preferences.buffers?.beforeMinutes > 0 || preferences.buffers?.afterMinutes > 0) && 'buffers',
+    preferences.loadRules && 'load rules',
+  ].filter(Boolean);
+}
+
+// "alice@example.com, bob@example.com +3"
+export function describeAttendees(attendees, { shown = 2 } = {}) {
+  const emails = attendees.map(attendee => attendee.email || attendee);
+  const more = emails.length - shown;
+  return `${emails.slice(0, shown).join(', ')}${more > 0 ? ` +${more}` : ''}`;
+}
+
+// The parts of a search worth reusing with other people: no attendees,
+// rooms, fixed dates or time zone
+export function presetFromSearch(search) {
+  const { timezone, ...preferences } = search.preferences || {};
+  return {
+    duration: search.duration,
+    ...(search.searchRange && !search.startDate && { searchRange: search.searchRange }),
+    maxResults: search.maxResults,
+    ...(search.recurrence && { recurrence: search.recurrence }),
+    preferences,
+  };
+}
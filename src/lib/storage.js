@@ -0,0 +1,130 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Small record stores for server-side data (booking links, saved groups).
+// Every backend implements:
+//   get(id)             -> record or null
+//   list(predicate)     -> matching records, newest first (by createdAt)
+//   create(record)      -> record (records carry their own `id`)
+//   update(id, updater) -> result of updater(record), persisting the record
+//                          it mutates; updates to one store run one at a
+//                          time so read-modify-write can't interleave
+//   remove(id)          -> whether a record was removed
+// A SQLite/Redis/... backend only needs the same five methods.
+
+function byNewest(a, b) {
+  return b.createdAt.localeCompare(a.createdAt);
+}
+
+// Runs async tasks one after another
+function createQueue() {
+  let tail = Promise.resolve();
+  return task => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+export function createMemoryStore(initial = []) {
+  const records = new Map(initial.map(record => [record.id, structuredClone(record)]));
+  const enqueue = createQueue();
+
+  return {
+    async get(id) {
+      return records.has(id) ? structuredClone(records.get(id)) : null;
+    },
+    async list(predicate = () => true) {
+      return [...records.values()]
+        .filter(predicate)
+        .sort(byNewest)
+        .map(record => structuredClone(record));
+    },
+    async create(record) {
+      records.set(record.id, structuredClone(record));
+      return record;
+    },
+    update(id, updater) {
+      return enqueue(async () => {
+        const record = records.has(id) ? structuredClone(records.get(id)) : null;
+        const result = await updater(record);
+        if (record) records.set(id, record);
+        return result;
+      });
+    },
+    remove(id) {
+      return enqueue(async () => records.delete(id));
+    }
+  };
+}
+
+// Keeps every record in one JSON file under `collection`; fine for a
+// self-hosted single instance
+export function createFileStore(filePath, { collection = 'records' } = {}) {
+  const enqueue = createQueue();
+
+  async function read() {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return { ...data, [collection]: data[collection] || {} };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { [collection]: {} };
+      throw error;
+    }
+  }
+
+  async function write(data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write then rename so a crash never leaves a half-written file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, filePath);
+  }
+
+  return {
+    async get(id) {
+      const data = await read();
+      return data[collection][id] || null;
+    },
+    async list(predicate = () => true) {
+      const data = await read();
+      return Object.values(data[collection]).filter(predicate).sort(byNewest);
+    },
+    create(record) {
+      return enqueue(async () => {
+        const data = await read();
+        data[collection][record.id] = record;
+        await write(data);
+        return record;
+      });
+    },
+    update(id, updater) {
+      return enqueue(async () => {
+        const data = await read();
+        const record = data[collection][id] || null;
+        const result = await updater(record);
+        if (record) {
+          data[collection][id] = record;
+          await write(data);
+        }
+        return result;
+      });
+    },
+    remove(id) {
+      return enqueue(async () => {
+        const data = await read();
+        if (!data[collection][id]) return false;
+        delete data[collection][id];
+        await write(data);
+        return true;
+      });
+    }
+  };
+}
+
+// Picks a backend from an env setting: 'memory', or a JSON file path
+export function storeFromSetting(setting, { defaultPath, collection }) {
+  return setting === 'memory'
+    ? createMemoryStore()
+    : createFileStore(setting || defaultPath, { collection });
+}
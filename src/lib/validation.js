@@ -0,0 +1,320 @@
+import { z } from 'zod';
+import { HOLIDAY_REGIONS } from './holidays';
+import { PROVIDER_NAMES } from './calendarProviders';
+import { MAX_OCCURRENCES, MIN_OCCURRENCES, RECURRENCE_FREQUENCIES } from './recurrence';
+import { LOAD_RULE_MODES } from './calendarService/loadRules';
+
+export const MIN_DURATION_MINUTES = 5;
+export const MAX_DURATION_MINUTES = 24 * 60;
+export const MAX_RESULTS = 50;
+export const MAX_SEARCH_DAYS = 90;
+export const MAX_ATTENDEES = 50;
+export const MAX_ROOMS = 50;
+export const MAX_LINK_WINDOW_DAYS = 60;
+export const MAX_ICS_BYTES = 2 * 1024 * 1024;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Either a plain date (YYYY-MM-DD) or a full ISO 8601 timestamp
+const dateOrDateTime = z.union(
+  [z.string().date(), z.string().datetime({ offset: true })],
+  { errorMap: () => ({ message: 'Must be a date (YYYY-MM-DD) or ISO 8601 timestamp' }) }
+);
+
+const email = z.string().trim().email('Invalid email address');
+
+const duration = z.coerce
+  .number({ invalid_type_error: 'Duration must be a number of minutes' })
+  .int('Duration must be a whole number of minutes')
+  .min(MIN_DURATION_MINUTES, `Duration must be at least ${MIN_DURATION_MINUTES} minutes`)
+  .max(MAX_DURATION_MINUTES, 'Duration can be at most a full day')
+  .default(30);
+
+const timezone = z.string().refine(value => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}, 'Unknown time zone');
+
+const workingHoursSchema = z
+  .object({
+    start: z.number().min(0).max(24),
+    end: z.number().min(0).max(24),
+  })
+  .refine(hours => hours.end > hours.start, {
+    message: 'Working hours must end after they start',
+    path: ['end'],
+  });
+
+// Meeting-load rules protecting someone's focus time (see
+// calendarService/loadRules.js)
+const loadRulesSchema = z.object({
+  maxMeetingHoursPerDay: z.number().min(0.5).max(24).optional(),
+  focusBlockMinutes: z.number().int().min(30).max(8 * 60).optional(),
+  maxBackToBack: z.number().int().min(1).max(20).optional(),
+  noMeetingsBefore: z
+    .object({
+      hour: z.number().min(0).max(24),
+      weekdays: z.array(z.number().int().min(1).max(7)).min(1).optional(),
+    })
+    .optional(),
+});
+
+// An attendee's calendar as pasted/uploaded iCalendar text or a public feed
+const icsSourceSchema = z
+  .object({
+    text: z
+      .string()
+      .max(MAX_ICS_BYTES, 'Calendar files can be at most 2 MB')
+      .refine(text => text.includes('BEGIN:VCALENDAR'), 'Not an iCalendar file')
+      .optional(),
+    url: z
+      .string()
+      .trim()
+      .regex(/^(https?|webcals?):\/\//i, 'Calendar feeds must be http(s) or webcal URLs')
+      .optional(),
+  })
+  .refine(source => Boolean(source.text) !== Boolean(source.url), 'Give either a calendar file or a feed URL');
+
+// Plain email strings are accepted and normalized to { email }
+export const attendeeSchema = z.preprocess(
+  value => (typeof value === 'string' ? { email: value } : value),
+  z.object(
+    {
+      email,
+      timezone: timezone.optional(),
+      workingHours: workingHoursSchema.optional(),
+      optional: z.boolean().optional(),
+      provider: z.enum(PROVIDER_NAMES).optional(),
+      ics: icsSourceSchema.optional(),
+      loadRules: loadRulesSchema.optional(),
+    },
+    { invalid_type_error: 'Attendees must be email addresses' }
+  )
+);
+
+// A bookable room or other resource calendar
+export const roomSchema = z.object({
+  email: z.string().trim().min(1, 'Room calendar ID is required').max(320),
+  name: z.string().trim().max(200).optional(),
+  capacity: z.number().int().min(1).optional(),
+  location: z.string().trim().max(200).optional(),
+});
+
+const companyHolidaySchema = z.union([
+  z.string().date(),
+  z.object({
+    start: z.string().date(),
+    end: z.string().date().optional(),
+    name: z.string().max(100).optional(),
+  }),
+]);
+
+export const recurrenceSchema = z.object({
+  frequency: z.enum(Object.keys(RECURRENCE_FREQUENCIES)),
+  occurrences: z.coerce
+    .number()
+    .int()
+    .min(MIN_OCCURRENCES, `A series needs at least ${MIN_OCCURRENCES} occurrences`)
+    .max(MAX_OCCURRENCES, `At most ${MAX_OCCURRENCES} occurrences per series`),
+});
+
+const bufferMinutes = z.number().int().min(0).max(240);
+
+export const preferencesSchema = z.object({
+  timezone: timezone.optional(),
+  noFridays: z.boolean().optional(),
+  // ISO weekdays (1 = Monday) to leave out, e.g. [1, 5] for no Mondays or Fridays
+  excludedWeekdays: z.array(z.number().int().min(1).max(7)).max(7).optional(),
+  workingHours: workingHoursSchema.optional(),
+  holidayRegions: z.array(z.enum(Object.keys(HOLIDAY_REGIONS))).optional(),
+  customHolidays: z.array(companyHolidaySchema).max(366).optional(),
+  buffers: z
+    .object({
+      beforeMinutes: bufferMinutes.optional(),
+      afterMinutes: bufferMinutes.optional(),
+    })
+    .optional(),
+  scoringWeights: z.record(z.number().min(0).max(100)).optional(),
+  // The organizer's own load rules, and whether broken rules rule a slot out
+  // ('filter') or only lower its score ('penalize')
+  loadRules: loadRulesSchema.optional(),
+  loadRuleMode: z.enum(LOAD_RULE_MODES).optional(),
+});
+
+// Explicit windows must run forwards and stay within MAX_SEARCH_DAYS. An
+// end date without a start date is a window starting now.
+function checkSearchWindow(body, ctx) {
+  if (!body.endDate) return;
+
+  const start = body.startDate ? Date.parse(body.startDate) : Date.now();
+  const end = Date.parse(body.endDate);
+  if (body.startDate && end < start) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['endDate'],
+      message: 'End date must not be before the start date',
+    });
+  } else if (end - start > MAX_SEARCH_DAYS * DAY_MS) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['endDate'],
+      message: `Search windows are limited to ${MAX_SEARCH_DAYS} days`,
+    });
+  }
+}
+
+const searchWindowFields = {
+  searchRange: z.enum(['day', 'week', 'month']).default('week'),
+  startDate: dateOrDateTime.optional(),
+  endDate: dateOrDateTime.optional(),
+  maxResults: z.coerce
+    .number()
+    .int()
+    .min(1, 'Ask for at least one result')
+    .max(MAX_RESULTS, `At most ${MAX_RESULTS} results can be returned`)
+    .default(5),
+};
+
+export const calendarSearchSchema = z
+  .object({
+    attendees: z
+      .array(attendeeSchema, { required_error: 'Add at least one attendee' })
+      .min(1, 'Add at least one attendee')
+      .max(MAX_ATTENDEES, `At most ${MAX_ATTENDEES} attendees per search`),
+    duration,
+    ...searchWindowFields,
+    recurrence: recurrenceSchema.optional(),
+    rooms: z.array(roomSchema).max(MAX_ROOMS, `At most ${MAX_ROOMS} rooms per search`).optional(),
+    roomFilter: z
+      .object({
+        minCapacity: z.number().int().min(1).optional(),
+        location: z.string().trim().max(200).optional(),
+      })
+      .optional(),
+    preferences: preferencesSchema.default({}),
+    // 'heatmap' returns availability for every slot instead of suggestions
+    mode: z.enum(['suggestions', 'heatmap']).default('suggestions'),
+  })
+  .superRefine((body, ctx) => {
+    if (body.mode === 'heatmap' && (body.recurrence || body.rooms)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['mode'],
+        message: 'The heatmap covers single meetings without rooms',
+      });
+    }
+    checkSearchWindow(body, ctx);
+  });
+
+export const bookingSchema = z
+  .object({
+    slot: z.object({
+      start: z.string().datetime({ offset: true }),
+      end: z.string().datetime({ offset: true }),
+    }),
+    title: z.string().trim().max(1024).optional(),
+    description: z.string().max(8192).optional(),
+    attendees: z
+      .array(attendeeSchema)
+      .min(1, 'Add at least one attendee')
+      .max(MAX_ATTENDEES, `At most ${MAX_ATTENDEES} attendees per event`),
+    timezone: timezone.optional(),
+    recurrence: recurrenceSchema.optional(),
+    room: roomSchema.optional(),
+    // The history entry the slot came from, marked as booked
+    searchId: z.string().max(64).optional(),
+  })
+  .refine(body => Date.parse(body.slot.end) > Date.parse(body.slot.start), {
+    message: 'The slot must end after it starts',
+    path: ['slot', 'end'],
+  })
+  // Google needs a time zone to expand recurring events
+  .refine(body => !body.recurrence || body.timezone, {
+    message: 'Recurring events need a time zone',
+    path: ['timezone'],
+  });
+
+// Finding new times for an existing event: attendees and duration come from
+// the event, given as an ID or a Google Calendar event link
+export const rescheduleSearchSchema = z
+  .object({
+    event: z.string().trim().min(1, 'Enter an event ID or link').max(2048),
+    ...searchWindowFields,
+    preferences: preferencesSchema.default({}),
+  })
+  .superRefine(checkSearchWindow);
+
+export const moveEventSchema = z
+  .object({
+    slot: z.object({
+      start: z.string().datetime({ offset: true }),
+      end: z.string().datetime({ offset: true }),
+    }),
+    timezone: timezone.optional(),
+  })
+  .refine(body => Date.parse(body.slot.end) > Date.parse(body.slot.start), {
+    message: 'The slot must end after it starts',
+    path: ['slot', 'end'],
+  });
+
+// Settings an owner picks when creating a shareable booking link.
+// `attendees` are extra calendars that must also be free.
+export const bookingLinkSchema = z.object({
+  title: z.string().trim().max(200).optional(),
+  duration,
+  windowDays: z.coerce
+    .number()
+    .int()
+    .min(1, 'Offer at least one day')
+    .max(MAX_LINK_WINDOW_DAYS, `Links can offer at most ${MAX_LINK_WINDOW_DAYS} days`)
+    .default(14),
+  attendees: z
+    .array(attendeeSchema)
+    .max(MAX_ATTENDEES, `At most ${MAX_ATTENDEES} attendees per link`)
+    .default([]),
+  preferences: preferencesSchema.default({}),
+  expiresAt: z.string().datetime({ offset: true }).optional(),
+  maxUses: z.coerce.number().int().min(1, 'Allow at least one booking').optional(),
+});
+
+// A guest booking through a public link
+export const guestBookingSchema = z.object({
+  slot: z.object({ start: z.string().datetime({ offset: true }) }),
+  name: z.string().trim().min(1, 'Enter your name').max(200),
+  email,
+});
+
+// A saved group of attendees. Members are kept lower-case and deduplicated.
+export const attendeeGroupSchema = z.object({
+  name: z.string().trim().min(1, 'Give the group a name').max(100),
+  members: z
+    .array(email.toLowerCase(), { required_error: 'Add at least one member' })
+    .min(1, 'Add at least one member')
+    .max(MAX_ATTENDEES, `At most ${MAX_ATTENDEES} members per group`)
+    .transform(members => [...new Set(members)]),
+});
+
+// A named set of search settings. Everything is optional so a preset can
+// cover just the parts it's about (e.g. only duration and no Fridays).
+export const searchPresetSchema = z.object({
+  name: z.string().trim().min(1, 'Give the preset a name').max(100),
+  settings: z.object({
+    duration: duration.optional(),
+    searchRange: z.enum(['day', 'week', 'month']).optional(),
+    maxResults: searchWindowFields.maxResults.optional(),
+    recurrence: recurrenceSchema.optional(),
+    preferences: preferencesSchema.omit({ timezone: true }).optional(),
+  }),
+});
+
+// Flattens zod issues into [{ path: 'attendees.2', message }] for API responses
+export function formatIssues(error) {
+  return error.issues.map(issue => ({
+    path: issue.path.join('.'),
+    message: issue.message,
+  }));
+}